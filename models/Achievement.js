@@ -69,6 +69,13 @@ const achievementSchema = new mongoose.Schema({
       type: String,
       enum: ['lifetime', 'daily', 'weekly', 'monthly', 'yearly'],
       default: 'lifetime'
+    },
+    // What carbon_reduction measures: the drop from the baseline footprint,
+    // or the emissions avoided by activities logged in the timeframe
+    basis: {
+      type: String,
+      enum: ['footprint', 'avoided'],
+      default: 'footprint'
     }
   },
   icon: {
@@ -145,6 +152,10 @@ const achievementSchema = new mongoose.Schema({
 achievementSchema.index({ user: 1, isUnlocked: 1 });
 achievementSchema.index({ user: 1, category: 1 });
 achievementSchema.index({ type: 1, rarity: 1 });
+achievementSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'achievement_text', weights: { title: 10, description: 2 } }
+);
 
 // Virtual for progress percentage
 achievementSchema.virtual('progressPercentage').get(function() {
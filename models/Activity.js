@@ -1,4 +1,27 @@
 import mongoose from 'mongoose';
+import { getOccurrenceDates, MAX_OCCURRENCES_PER_RUN, toDayKey } from '../utils/recurrence.js';
+import { formatActivityUnits } from '../utils/units.js';
+
+// A flight logged by airport codes, with the legs resolved by the server
+const flightSchema = new mongoose.Schema({
+  origin: String,
+  destination: String,
+  via: [String],
+  cabinClass: {
+    type: String,
+    enum: ['economy', 'premium_economy', 'business', 'first']
+  },
+  roundTrip: Boolean,
+  radiativeForcing: Boolean,
+  legs: [{
+    _id: false,
+    from: String,
+    to: String,
+    greatCircleDistance: Number,
+    distance: Number,
+    band: String
+  }]
+}, { _id: false });
 
 const activitySchema = new mongoose.Schema({
   user: {
@@ -9,16 +32,7 @@ const activitySchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: [
-      'transportation',
-      'energy',
-      'food',
-      'waste',
-      'water',
-      'shopping',
-      'travel',
-      'other'
-    ]
+    trim: true
   },
   subcategory: {
     type: String,
@@ -55,8 +69,83 @@ const activitySchema = new mongoose.Schema({
       type: String,
       enum: ['manual', 'calculated', 'estimated'],
       default: 'calculated'
+    },
+    breakdown: [{
+      _id: false,
+      item: String,
+      quantity: Number,
+      unit: String,
+      factor: Number,
+      factorUnit: String,
+      emissions: Number,
+      // Applied on top of the factor, e.g. radiative forcing for flights
+      multiplier: Number,
+      // Quantity as given, when it was converted (e.g. a price in EUR to USD)
+      originalQuantity: Number,
+      originalUnit: String,
+      conversionRate: Number,
+      // Catalog entry and version the factor came from (null for built-in defaults)
+      factorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EmissionFactor'
+      },
+      factorVersion: Number,
+      region: String,
+      source: String
+    }],
+    region: String,
+    calculatedAt: Date,
+    // Footprint of the whole trip or bill before allocation, in the same unit
+    // as value. value is the user's share.
+    gross: {
+      type: Number,
+      min: [0, 'Gross carbon footprint cannot be negative']
     }
   },
+  // How a shared footprint is split. splitBetween overrides the household
+  // size or passenger count; enabled: false opts out.
+  allocation: {
+    enabled: Boolean,
+    splitBetween: {
+      type: Number,
+      min: [1, 'Allocation must split between at least one person']
+    },
+    method: {
+      type: String,
+      enum: ['household', 'passengers']
+    },
+    divisor: Number,
+    share: Number
+  },
+  // Counterfactual the activity is compared with and the emissions it avoided.
+  // vehicleType/fuelType override the user's default car; enabled: false opts out.
+  baseline: {
+    enabled: Boolean,
+    vehicleType: String,
+    fuelType: String,
+    kind: {
+      type: String,
+      enum: ['vehicle', 'diet', 'grid']
+    },
+    item: String,
+    quantity: Number,
+    unit: String,
+    factor: Number,
+    factorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmissionFactor'
+    },
+    region: String,
+    source: String,
+    // kg CO2e the counterfactual would have emitted
+    value: Number,
+    // kg CO2e avoided, the baseline minus the actual footprint
+    avoided: {
+      type: Number,
+      min: [0, 'Avoided emissions cannot be negative']
+    },
+    calculatedAt: Date
+  },
   data: {
     // Transportation specific fields
     distance: Number,
@@ -68,11 +157,23 @@ const activitySchema = new mongoose.Schema({
     energyType: String,
     consumption: Number,
     consumptionUnit: String,
+    // Thermostat setpoint in °C
+    temperature: Number,
     
     // Food specific fields
     foodType: String,
     quantity: Number,
     quantityUnit: String,
+    // A meal logged as a list of ingredients, each with its own quantity
+    ingredients: {
+      type: [{
+        _id: false,
+        foodType: String,
+        quantity: Number,
+        quantityUnit: String
+      }],
+      default: undefined
+    },
     
     // Waste specific fields
     wasteType: String,
@@ -93,6 +194,12 @@ const activitySchema = new mongoose.Schema({
     travelMode: String,
     duration: Number,
     
+    // Flight specific fields, the legs are resolved from the airport codes
+    flight: {
+      type: flightSchema,
+      default: undefined
+    },
+    
     // Generic fields
     customFields: mongoose.Schema.Types.Mixed
   },
@@ -106,6 +213,11 @@ const activitySchema = new mongoose.Schema({
       type: [Number],
       index: '2dsphere'
     },
+    // [longitude, latitude] where a trip ended; coordinates holds its start
+    endCoordinates: {
+      type: [Number],
+      default: undefined
+    },
     address: String,
     city: String,
     country: String
@@ -127,13 +239,46 @@ const activitySchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
-    endDate: Date
+    endDate: Date,
+    skipDates: [Date],
+    // Occurrences have been materialized up to this date
+    generatedThrough: Date
+  },
+  // Set on activities materialized from a recurring series
+  recurrence: {
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Activity'
+    },
+    occurrenceDate: Date,
+    // Edited on its own ("this occurrence"), so series-wide edits leave it alone
+    isException: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Stable id of the record an imported activity came from (e.g. a meter day),
+  // so re-importing the same data updates the activity instead of duplicating it
+  externalId: {
+    type: String,
+    trim: true
+  },
+  // Set on activities created by a bulk import, so the import can be undone
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
   },
   status: {
     type: String,
     enum: ['active', 'completed', 'cancelled'],
     default: 'active'
   },
+  // Set while a deleted activity sits in the trash; it is purged at expiresAt
+  trash: {
+    deletedAt: Date,
+    previousStatus: String,
+    expiresAt: Date
+  },
   notes: {
     type: String,
     trim: true,
@@ -148,6 +293,19 @@ activitySchema.index({ user: 1, date: -1 });
 activitySchema.index({ user: 1, category: 1 });
 activitySchema.index({ date: -1 });
 activitySchema.index({ 'carbonFootprint.value': -1 });
+activitySchema.index({ 'recurrence.parent': 1, 'recurrence.occurrenceDate': 1 });
+activitySchema.index({ user: 1, isRecurring: 1 });
+activitySchema.index({ importBatch: 1 });
+activitySchema.index({ user: 1, 'trash.deletedAt': -1 });
+activitySchema.index({ 'trash.expiresAt': 1 }, { expireAfterSeconds: 0 });
+activitySchema.index(
+  { user: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+activitySchema.index(
+  { title: 'text', description: 'text', notes: 'text', tags: 'text' },
+  { name: 'activity_text', weights: { title: 10, tags: 5, description: 2, notes: 1 } }
+);
 
 // Virtual for formatted date
 activitySchema.virtual('formattedDate').get(function() {
@@ -162,11 +320,78 @@ activitySchema.virtual('carbonFootprintTons').get(function() {
   return this.carbonFootprint.value / 1000;
 });
 
+// Static method to materialize occurrences of the user's recurring activities
+// up to the given date, adding their footprint to the user's total
+activitySchema.statics.materializeRecurring = async function(user, until = new Date()) {
+  const series = await this.find({
+    user: user._id,
+    isRecurring: true,
+    status: 'active',
+    'recurringPattern.frequency': { $exists: true }
+  });
+
+  let created = 0;
+  let addedKg = 0;
+
+  for (const parent of series) {
+    const pattern = parent.recurringPattern;
+    const previousThrough = pattern.generatedThrough || null;
+    const dates = getOccurrenceDates(parent.date, pattern, {
+      after: previousThrough || parent.date,
+      until
+    });
+    if (dates.length === 0) continue;
+
+    const generatedThrough = dates.length === MAX_OCCURRENCES_PER_RUN ? dates[dates.length - 1] : until;
+
+    // Claim the range first so concurrent requests cannot generate it twice
+    const claimed = await this.findOneAndUpdate(
+      { _id: parent._id, 'recurringPattern.generatedThrough': previousThrough },
+      { $set: { 'recurringPattern.generatedThrough': generatedThrough } }
+    );
+    if (!claimed) continue;
+
+    const existing = await this.find({ 'recurrence.parent': parent._id }).select('recurrence.occurrenceDate');
+    const taken = new Set([
+      ...(pattern.skipDates || []).map(toDayKey),
+      ...existing.map(occurrence => toDayKey(occurrence.recurrence.occurrenceDate))
+    ]);
+
+    const occurrences = dates
+      .filter(date => !taken.has(toDayKey(date)))
+      .map(date => parent.toOccurrence(date));
+    if (occurrences.length === 0) continue;
+
+    await this.insertMany(occurrences);
+
+    created += occurrences.length;
+    addedKg += occurrences.reduce((sum, occurrence) => {
+      const { value, unit } = occurrence.carbonFootprint;
+      return sum + (unit === 'tons' ? value * 1000 : value);
+    }, 0);
+  }
+
+  if (created > 0) {
+    user.carbonFootprint.total += addedKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+  }
+
+  return { created, addedKg };
+};
+
+// Activities that count towards the user's total: neither cancelled nor in
+// the trash, as isCounted in utils/activityService.js
+export const COUNTED_FILTER = {
+  status: { $ne: 'cancelled' },
+  'trash.deletedAt': { $exists: false }
+};
+
 // Static method to get user's total carbon footprint
 activitySchema.statics.getUserTotalFootprint = async function(userId, startDate, endDate) {
   const matchStage = {
     user: userId,
-    status: 'active'
+    ...COUNTED_FILTER
   };
   
   if (startDate && endDate) {
@@ -199,19 +424,28 @@ activitySchema.statics.getUserTotalFootprint = async function(userId, startDate,
             ]
           }
         },
+        grossKg: {
+          $sum: {
+            $multiply: [
+              { $ifNull: ['$carbonFootprint.gross', '$carbonFootprint.value'] },
+              { $cond: [{ $eq: ['$carbonFootprint.unit', 'tons'] }, 1000, 1] }
+            ]
+          }
+        },
+        avoidedKg: { $sum: { $ifNull: ['$baseline.avoided', 0] } },
         activityCount: { $sum: 1 }
       }
     }
   ]);
   
-  return result[0] || { totalKg: 0, totalTons: 0, activityCount: 0 };
+  return result[0] || { totalKg: 0, totalTons: 0, grossKg: 0, avoidedKg: 0, activityCount: 0 };
 };
 
 // Static method to get footprint by category
 activitySchema.statics.getFootprintByCategory = async function(userId, startDate, endDate) {
   const matchStage = {
     user: userId,
-    status: 'active'
+    ...COUNTED_FILTER
   };
   
   if (startDate && endDate) {
@@ -244,6 +478,15 @@ activitySchema.statics.getFootprintByCategory = async function(userId, startDate
             ]
           }
         },
+        grossKg: {
+          $sum: {
+            $multiply: [
+              { $ifNull: ['$carbonFootprint.gross', '$carbonFootprint.value'] },
+              { $cond: [{ $eq: ['$carbonFootprint.unit', 'tons'] }, 1000, 1] }
+            ]
+          }
+        },
+        avoidedKg: { $sum: { $ifNull: ['$baseline.avoided', 0] } },
         count: { $sum: 1 }
       }
     },
@@ -251,9 +494,34 @@ activitySchema.statics.getFootprintByCategory = async function(userId, startDate
   ]);
 };
 
-// Instance method to convert to response format
-activitySchema.methods.toResponseFormat = function() {
+// Instance method to build an occurrence of this recurring activity
+activitySchema.methods.toOccurrence = function(date) {
+  const source = this.toObject();
   return {
+    user: source.user,
+    category: source.category,
+    subcategory: source.subcategory,
+    title: source.title,
+    description: source.description,
+    date,
+    carbonFootprint: source.carbonFootprint,
+    allocation: source.allocation,
+    baseline: source.baseline,
+    data: source.data,
+    location: source.location,
+    tags: source.tags,
+    notes: source.notes,
+    recurrence: {
+      parent: this._id,
+      occurrenceDate: date
+    }
+  };
+};
+
+// Instance method to convert to response format, in the given unit system
+// when one is passed
+activitySchema.methods.toResponseFormat = function(units) {
+  const response = {
     id: this._id,
     category: this.category,
     subcategory: this.subcategory,
@@ -263,17 +531,30 @@ activitySchema.methods.toResponseFormat = function() {
     carbonFootprint: {
       value: this.carbonFootprint.value,
       unit: this.carbonFootprint.unit,
-      tons: this.carbonFootprintTons
+      tons: this.carbonFootprintTons,
+      calculationMethod: this.carbonFootprint.calculationMethod,
+      breakdown: this.carbonFootprint.breakdown,
+      region: this.carbonFootprint.region,
+      calculatedAt: this.carbonFootprint.calculatedAt,
+      gross: this.carbonFootprint.gross
     },
+    allocation: this.allocation?.method || this.allocation?.enabled === false ? this.allocation : undefined,
+    baseline: this.baseline?.kind || this.baseline?.enabled === false ? this.baseline : undefined,
     data: this.data,
     location: this.location,
     tags: this.tags,
     isRecurring: this.isRecurring,
+    recurringPattern: this.isRecurring ? this.recurringPattern : undefined,
+    recurrence: this.recurrence?.parent ? this.recurrence : undefined,
+    externalId: this.externalId,
+    importBatch: this.importBatch,
     status: this.status,
+    trash: this.trash?.deletedAt ? this.trash : undefined,
     notes: this.notes,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
+  return units ? formatActivityUnits(response, units) : response;
 };
 
 export default mongoose.model('Activity', activitySchema); 
\ No newline at end of file
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+// A field of activity data an activity of the category records
+const dataFieldSchema = new mongoose.Schema({
+  // Key in the activity's data, e.g. distance
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9]*$/, 'Field name must be alphanumeric']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['number', 'string', 'boolean', 'object', 'array'],
+    default: 'number'
+  },
+  // Unit the value is stored in
+  unit: {
+    type: String,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Data fields that can be given instead of a required one
+  alternatives: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const subcategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Subcategory name cannot be more than 50 characters']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+  defaultUnit: {
+    type: String,
+    trim: true
+  },
+  // Added to, or replacing by name, the fields of the category
+  fields: [dataFieldSchema],
+  // Retired subcategories stay on the activities that use them but cannot be picked for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// An activity category and its subcategories, as curated by admins. Built-in
+// defaults apply to categories that are not stored.
+const activityCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Category name must be a lowercase key, like transportation'],
+    maxlength: [50, 'Category name cannot be more than 50 characters']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  defaultUnit: {
+    type: String,
+    trim: true
+  },
+  // Position in category lists
+  order: {
+    type: Number,
+    default: 0
+  },
+  fields: [dataFieldSchema],
+  subcategories: [subcategorySchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to find a subcategory by name, ignoring case
+activityCategorySchema.methods.getSubcategory = function(name) {
+  const key = String(name ?? '').trim().toLowerCase();
+  return this.subcategories.find(subcategory => subcategory.name === key) || null;
+};
+
+// Instance method to convert to response format
+activityCategorySchema.methods.toResponseFormat = function() {
+  const formatFields = (fields) => fields.map(field => ({
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    unit: field.unit,
+    required: field.required,
+    alternatives: field.alternatives?.length ? [...field.alternatives] : undefined
+  }));
+
+  return {
+    name: this.name,
+    label: this.label,
+    icon: this.icon,
+    description: this.description,
+    defaultUnit: this.defaultUnit,
+    order: this.order,
+    fields: formatFields(this.fields),
+    subcategories: this.subcategories.map(subcategory => ({
+      name: subcategory.name,
+      label: subcategory.label,
+      icon: subcategory.icon,
+      defaultUnit: subcategory.defaultUnit,
+      fields: formatFields(subcategory.fields),
+      isActive: subcategory.isActive
+    })),
+    isActive: this.isActive,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('ActivityCategory', activityCategorySchema);
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import { formatActivityUnits } from '../utils/units.js';
+
+// A saved activity a user logs often. Holds the same fields as an Activity
+// minus the date, so logging from it only needs the values that change.
+const activityTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subcategory: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Activity data fields, e.g. { distance, vehicleType }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Only kept for manual entries; calculated footprints are recomputed on every log
+  carbonFootprint: {
+    value: Number,
+    unit: {
+      type: String,
+      enum: ['kg', 'tons']
+    },
+    calculationMethod: {
+      type: String,
+      enum: ['manual']
+    }
+  },
+  location: {
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    address: String,
+    city: String,
+    country: String
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  sourceActivity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+activityTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+activityTemplateSchema.index({ user: 1, usageCount: -1, lastUsedAt: -1 });
+
+// Instance method to build activity input from the template and overrides
+activityTemplateSchema.methods.toActivityInput = function(overrides = {}) {
+  const template = this.toObject();
+  const input = {
+    category: template.category,
+    subcategory: template.subcategory,
+    title: overrides.title || template.title,
+    description: overrides.description ?? template.description,
+    date: overrides.date,
+    data: { ...template.data, ...overrides.data },
+    tags: overrides.tags || template.tags,
+    notes: overrides.notes ?? template.notes
+  };
+
+  if (template.location?.coordinates?.length || template.location?.city || template.location?.country) {
+    input.location = { type: 'Point', ...template.location };
+  }
+
+  if (template.carbonFootprint?.calculationMethod === 'manual') {
+    input.carbonFootprint = { ...template.carbonFootprint };
+  }
+
+  return input;
+};
+
+// Instance method to convert to response format
+activityTemplateSchema.methods.toResponseFormat = function(units) {
+  const response = {
+    id: this._id,
+    name: this.name,
+    category: this.category,
+    subcategory: this.subcategory,
+    title: this.title,
+    description: this.description,
+    data: this.data,
+    carbonFootprint: this.carbonFootprint?.calculationMethod ? this.carbonFootprint : undefined,
+    location: this.location,
+    tags: this.tags,
+    notes: this.notes,
+    sourceActivity: this.sourceActivity,
+    usageCount: this.usageCount,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+
+  return units ? formatActivityUnits(response, units) : response;
+};
+
+// Static method to build a template from an existing activity
+activityTemplateSchema.statics.fromActivity = function(activity, name) {
+  const { data = {}, location = {} } = activity.toObject();
+  delete data.customFields;
+
+  return new this({
+    user: activity.user,
+    name: name || activity.title.slice(0, 50),
+    category: activity.category,
+    subcategory: activity.subcategory,
+    title: activity.title,
+    description: activity.description,
+    data,
+    carbonFootprint: activity.carbonFootprint.calculationMethod === 'manual'
+      ? {
+        value: activity.carbonFootprint.value,
+        unit: activity.carbonFootprint.unit,
+        calculationMethod: 'manual'
+      }
+      : undefined,
+    location: {
+      coordinates: location.coordinates?.length ? location.coordinates : undefined,
+      address: location.address,
+      city: location.city,
+      country: location.country
+    },
+    tags: activity.tags,
+    notes: activity.notes,
+    sourceActivity: activity._id
+  });
+};
+
+export default mongoose.model('ActivityTemplate', activityTemplateSchema);
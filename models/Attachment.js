@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import Activity from './Activity.js';
+import Offset from './Offset.js';
+import { getStorage } from '../utils/attachmentStorage.js';
+
+// Path segment of each resource type in attachment URLs
+const RESOURCE_PATHS = {
+  activity: 'activities',
+  offset: 'offsets'
+};
+
+// A receipt, bill or photo attached to an activity or offset as evidence.
+// The file and its thumbnail live in the storage backend named in storage.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resourceType: {
+    type: String,
+    required: true,
+    enum: ['activity', 'offset']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // File name as uploaded
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnail: {
+    key: String,
+    contentType: String,
+    width: Number,
+    height: Number,
+    size: Number
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+attachmentSchema.index({ resourceType: 1, resource: 1, createdAt: 1 });
+attachmentSchema.index({ user: 1 });
+
+// Remove the stored file and thumbnail of an attachment
+attachmentSchema.methods.removeFiles = async function() {
+  const storage = getStorage(this.storage);
+  await storage.remove(this.key);
+  if (this.thumbnail?.key) {
+    await storage.remove(this.thumbnail.key);
+  }
+};
+
+// Static method to delete the attachments of resources together with their
+// files. Returns the number deleted.
+attachmentSchema.statics.deleteForResources = async function(resourceType, resourceIds) {
+  const attachments = await this.find({ resourceType, resource: { $in: resourceIds } });
+  for (const attachment of attachments) {
+    await attachment.removeFiles();
+  }
+  await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+// Static method to delete attachments whose resource no longer exists, such
+// as activities purged from the trash when it expired. Returns the number
+// deleted.
+attachmentSchema.statics.purgeOrphans = async function() {
+  const models = { activity: Activity, offset: Offset };
+
+  let deleted = 0;
+  for (const [resourceType, model] of Object.entries(models)) {
+    const resourceIds = await this.distinct('resource', { resourceType });
+    const existing = await model.distinct('_id', { _id: { $in: resourceIds } });
+    const existingIds = new Set(existing.map(String));
+    const orphaned = resourceIds.filter(id => !existingIds.has(String(id)));
+    if (orphaned.length > 0) {
+      deleted += await this.deleteForResources(resourceType, orphaned);
+    }
+  }
+  return deleted;
+};
+
+// Instance method to convert to response format
+attachmentSchema.methods.toResponseFormat = function() {
+  const url = `/api/${RESOURCE_PATHS[this.resourceType]}/${this.resource}/attachments/${this._id}`;
+
+  return {
+    id: this._id,
+    resourceType: this.resourceType,
+    resource: this.resource,
+    filename: this.filename,
+    contentType: this.contentType,
+    size: this.size,
+    width: this.width,
+    height: this.height,
+    description: this.description,
+    url: `${url}/file`,
+    thumbnailUrl: this.thumbnail?.key ? `${url}/thumbnail` : undefined,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+
+const emissionFactorSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: [
+      'transportation',
+      'energy',
+      'food',
+      'waste',
+      'water',
+      'shopping',
+      'travel',
+      'other'
+    ]
+  },
+  subcategory: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Fuel type, or the variant of the subcategory (e.g. waste disposal method)
+  fuel: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // ISO 3166-1 alpha-2 country code, or GLOBAL for the fallback factor
+  region: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: 'GLOBAL'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Emission factor cannot be negative']
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: ['km', 'kWh', 'kg', 'L', 'USD']
+  },
+  source: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Source cannot be more than 200 characters']
+  },
+  validFrom: {
+    type: Date,
+    required: true,
+    default: () => new Date(0)
+  },
+  validTo: {
+    type: Date
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: [1, 'Version must be at least 1']
+  },
+  // Superseded versions stay in the catalog so historic numbers can be reproduced
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmissionFactor'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+emissionFactorSchema.index({ category: 1, subcategory: 1, fuel: 1, region: 1, version: -1 });
+emissionFactorSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+// Static method to find the factor that applies to a lookup on a given date.
+// Superseded versions still apply to the dates before their successor, only
+// retired factors are left out. Region and fuel specific factors win over
+// the GLOBAL and fuel-less ones.
+emissionFactorSchema.statics.findApplicable = async function({ category, subcategory, fuel, unit, region, date = new Date() }) {
+  const regions = region && region !== 'GLOBAL' ? [region, 'GLOBAL'] : ['GLOBAL'];
+  const fuels = fuel ? [fuel, null] : [null];
+
+  const candidates = await this.find({
+    category,
+    subcategory,
+    unit,
+    fuel: { $in: fuels },
+    region: { $in: regions },
+    validFrom: { $lte: date },
+    $and: [
+      { $or: [{ isActive: true }, { supersededBy: { $exists: true } }] },
+      {
+        $or: [
+          { validTo: { $exists: false } },
+          { validTo: null },
+          { validTo: { $gt: date } }
+        ]
+      }
+    ]
+  }).sort({ version: -1 });
+
+  const specificity = (factor) => {
+    return (factor.region === 'GLOBAL' ? 0 : 2) + (factor.fuel ? 1 : 0);
+  };
+
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Static method to get the next version number for a catalog key
+emissionFactorSchema.statics.getNextVersion = async function({ category, subcategory, fuel, region }) {
+  const latest = await this.findOne({
+    category,
+    subcategory,
+    fuel: fuel || null,
+    region: region || 'GLOBAL'
+  }).sort({ version: -1 });
+
+  return latest ? latest.version + 1 : 1;
+};
+
+// Instance method to convert to response format
+emissionFactorSchema.methods.toResponseFormat = function() {
+  return {
+    id: this._id,
+    category: this.category,
+    subcategory: this.subcategory,
+    fuel: this.fuel,
+    region: this.region,
+    value: this.value,
+    unit: this.unit,
+    source: this.source,
+    validFrom: this.validFrom,
+    validTo: this.validTo,
+    version: this.version,
+    isActive: this.isActive,
+    supersededBy: this.supersededBy,
+    notes: this.notes,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('EmissionFactor', emissionFactorSchema);
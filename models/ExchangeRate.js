@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 currency code
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code']
+  },
+  // Units of the currency per US dollar
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Exchange rate cannot be negative']
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Source cannot be more than 200 characters']
+  },
+  // Date the rate was published
+  asOf: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the stored rate for a currency
+exchangeRateSchema.statics.findRate = async function(currency) {
+  return await this.findOne({ currency: currency.toUpperCase() });
+};
+
+// Instance method to convert to response format
+exchangeRateSchema.methods.toResponseFormat = function() {
+  return {
+    id: this._id,
+    currency: this.currency,
+    rate: this.rate,
+    source: this.source,
+    asOf: this.asOf,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
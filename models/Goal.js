@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { formatGoalUnits } from '../utils/units.js';
 
 const goalSchema = new mongoose.Schema({
   user: {
@@ -137,6 +138,10 @@ const goalSchema = new mongoose.Schema({
 goalSchema.index({ user: 1, status: 1 });
 goalSchema.index({ user: 1, endDate: 1 });
 goalSchema.index({ status: 1, endDate: 1 });
+goalSchema.index(
+  { title: 'text', description: 'text', notes: 'text', tags: 'text' },
+  { name: 'goal_text', weights: { title: 10, tags: 5, description: 2, notes: 1 } }
+);
 
 // Virtual for progress percentage
 goalSchema.virtual('progressPercentage').get(function() {
@@ -196,9 +201,10 @@ goalSchema.statics.getGoalsByCategory = async function(userId, category) {
   }).sort({ createdAt: -1 });
 };
 
-// Instance method to convert to response format
-goalSchema.methods.toResponseFormat = function() {
-  return {
+// Instance method to convert to response format, in the given unit system
+// when one is passed
+goalSchema.methods.toResponseFormat = function(units) {
+  const response = {
     id: this._id,
     title: this.title,
     description: this.description,
@@ -220,6 +226,7 @@ goalSchema.methods.toResponseFormat = function() {
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
+  return units ? formatGoalUnits(response, units) : response;
 };
 
 export default mongoose.model('Goal', goalSchema); 
\ No newline at end of file
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// A meter reading an energy import replaced, restored when it is undone
+const replacedReadingSchema = new mongoose.Schema({
+  start: Date,
+  duration: Number,
+  kWh: Number,
+  source: String,
+  importBatch: mongoose.Schema.Types.ObjectId
+}, { _id: false });
+
+// A daily energy activity as it was before an energy import updated it
+const replacedDaySchema = new mongoose.Schema({
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  carbonFootprint: mongoose.Schema.Types.Mixed,
+  allocation: mongoose.Schema.Types.Mixed,
+  baseline: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'xlsx', 'green_button', 'interval_csv']
+  },
+  // Spreadsheet column -> Activity field path used for this import
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  skippedRows: [{
+    _id: false,
+    row: Number,
+    errors: [String]
+  }],
+  totalKg: {
+    type: Number,
+    default: 0
+  },
+  // Energy imports: the meter, and what the import overwrote so it can be undone
+  meter: {
+    meterId: String,
+    utcOffsetMinutes: Number,
+    skippedDays: [{
+      _id: false,
+      date: String,
+      error: String
+    }],
+    replacedReadings: [replacedReadingSchema],
+    replacedDays: [replacedDaySchema]
+  },
+  status: {
+    type: String,
+    enum: ['committed', 'undone'],
+    default: 'committed'
+  },
+  undoneAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+importBatchSchema.index({ user: 1, createdAt: -1 });
+importBatchSchema.index({ user: 1, 'meter.meterId': 1, createdAt: -1 });
+
+// Instance method to convert to response format
+importBatchSchema.methods.toResponseFormat = function() {
+  return {
+    id: this._id,
+    filename: this.filename,
+    format: this.format,
+    mapping: this.mapping,
+    rowCount: this.rowCount,
+    importedCount: this.importedCount,
+    skippedRows: this.skippedRows,
+    totalKg: this.totalKg,
+    meterId: this.meter?.meterId,
+    skippedDays: this.meter?.meterId ? this.meter.skippedDays : undefined,
+    status: this.status,
+    undoneAt: this.undoneAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { toLocalDayKey } from '../utils/meterData.js';
+
+// A single interval reading from a smart meter. Readings are kept so that
+// re-importing an overlapping period replaces readings instead of adding them
+// twice, and daily energy activities are rebuilt from the stored readings.
+const meterReadingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  meterId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  // Interval length in seconds
+  duration: {
+    type: Number,
+    required: true,
+    min: [1, 'Duration must be at least 1 second']
+  },
+  kWh: {
+    type: Number,
+    required: true,
+    min: [0, 'Consumption cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['green_button', 'csv'],
+    required: true
+  },
+  // The energy import that last wrote the reading
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+meterReadingSchema.index({ user: 1, meterId: 1, start: 1 }, { unique: true });
+meterReadingSchema.index({ importBatch: 1 });
+
+// Static method to sum a meter's readings per day between two dates.
+// Readings not yet stored replace the stored ones with the same start, so
+// the totals can be worked out before anything is written.
+meterReadingSchema.statics.getDailyTotals = async function(userId, meterId, startDate, endDate, utcOffsetMinutes = 0, pending = []) {
+  const stored = await this.find({
+    user: userId,
+    meterId,
+    start: { $gte: startDate, $lt: endDate }
+  }).select('start kWh');
+
+  const kWhByStart = new Map(stored.map(reading => [reading.start.getTime(), reading.kWh]));
+  pending
+    .filter(reading => reading.start >= startDate && reading.start < endDate)
+    .forEach(reading => kWhByStart.set(reading.start.getTime(), reading.kWh));
+
+  const days = new Map();
+  kWhByStart.forEach((kWh, start) => {
+    const dayKey = toLocalDayKey(new Date(start), utcOffsetMinutes);
+    const day = days.get(dayKey) || { _id: dayKey, kWh: 0, readings: 0 };
+    day.kWh += kWh;
+    day.readings += 1;
+    days.set(dayKey, day);
+  });
+
+  return [...days.values()].sort((a, b) => a._id.localeCompare(b._id));
+};
+
+export default mongoose.model('MeterReading', meterReadingSchema);
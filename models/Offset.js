@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+
+// A carbon offset or removal credit the user bought or retired. Offsets are
+// kept apart from activities so gross emissions are never netted silently.
+const offsetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Project name cannot be more than 200 characters']
+  },
+  // Registry ID of the project, e.g. VCS 1234
+  projectId: {
+    type: String,
+    trim: true
+  },
+  standard: {
+    type: String,
+    required: true,
+    enum: ['VCS', 'Gold Standard', 'CDM', 'CAR', 'ACR', 'Plan Vivo', 'Puro', 'other']
+  },
+  type: {
+    type: String,
+    enum: ['avoidance', 'removal'],
+    default: 'avoidance'
+  },
+  vintage: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    value: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: ['kg', 'tons'],
+      default: 'tons'
+    }
+  },
+  // Date the offset counts towards, usually when it was retired
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  retirement: {
+    certificate: {
+      type: String,
+      trim: true
+    },
+    registryUrl: {
+      type: String,
+      trim: true
+    },
+    retiredAt: Date
+  },
+  provider: {
+    type: String,
+    trim: true
+  },
+  price: Number,
+  currency: String,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+offsetSchema.index({ user: 1, date: -1 });
+
+// Virtual for quantity in kg
+offsetSchema.virtual('quantityKg').get(function() {
+  return this.quantity.unit === 'tons' ? this.quantity.value * 1000 : this.quantity.value;
+});
+
+// Static method to get user's total offsets in kg between two dates
+offsetSchema.statics.getUserTotalOffsets = async function(userId, startDate, endDate) {
+  const matchStage = { user: userId };
+
+  if (startDate && endDate) {
+    matchStage.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  const result = await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: null,
+        totalKg: {
+          $sum: {
+            $cond: [
+              { $eq: ['$quantity.unit', 'tons'] },
+              { $multiply: ['$quantity.value', 1000] },
+              '$quantity.value'
+            ]
+          }
+        },
+        offsetCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return result[0] || { totalKg: 0, offsetCount: 0 };
+};
+
+// Instance method to convert to response format
+offsetSchema.methods.toResponseFormat = function() {
+  return {
+    id: this._id,
+    projectName: this.projectName,
+    projectId: this.projectId,
+    standard: this.standard,
+    type: this.type,
+    vintage: this.vintage,
+    quantity: {
+      value: this.quantity.value,
+      unit: this.quantity.unit,
+      kg: this.quantityKg
+    },
+    date: this.date,
+    retirement: this.retirement,
+    provider: this.provider,
+    price: this.price,
+    currency: this.currency,
+    notes: this.notes,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('Offset', offsetSchema);
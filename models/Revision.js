@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { diffSnapshots, takeSnapshot } from '../utils/revisions.js';
+
+// One change to an activity or goal: the fields that changed with their old
+// and new values. Versions count up per resource, starting at 1.
+const revisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true,
+    enum: ['activity', 'goal']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the resource
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['update', 'recalculate', 'progress', 'revert']
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  // Version the resource was reverted to, for revert revisions
+  revertedTo: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+revisionSchema.index({ resourceType: 1, resource: 1, version: -1 }, { unique: true });
+
+// Static method to store the changes made to a document since a snapshot.
+// Returns null when nothing tracked changed.
+revisionSchema.statics.record = async function(resourceType, doc, before, { actor, action = 'update', revertedTo, session } = {}) {
+  const changes = diffSnapshots(before, takeSnapshot(doc, resourceType));
+  if (changes.length === 0) return null;
+
+  const latest = await this.findOne({ resourceType, resource: doc._id })
+    .sort({ version: -1 })
+    .session(session || null);
+
+  const revision = new this({
+    resourceType,
+    resource: doc._id,
+    user: doc.user,
+    actor,
+    action,
+    version: (latest?.version || 0) + 1,
+    changes,
+    revertedTo
+  });
+  await revision.save({ session });
+  return revision;
+};
+
+// Static method to get a resource's revisions, newest first
+revisionSchema.statics.getHistory = async function(resourceType, resourceId) {
+  return await this.find({ resourceType, resource: resourceId }).sort({ version: -1 });
+};
+
+// Static method to roll a document back to how it was at a version (0 is the
+// original) by undoing every later revision, newest first. The document is
+// not saved. Returns the number of revisions undone, or null for an unknown
+// version.
+revisionSchema.statics.revertTo = async function(resourceType, doc, version) {
+  const later = await this.find({ resourceType, resource: doc._id, version: { $gt: version } })
+    .sort({ version: -1 });
+
+  const latestVersion = later.length > 0
+    ? later[0].version
+    : (await this.findOne({ resourceType, resource: doc._id }).sort({ version: -1 }))?.version || 0;
+  if (version > latestVersion) return null;
+
+  later.forEach(revision => {
+    revision.changes.forEach(change => {
+      doc.set(change.path, change.oldValue === null ? undefined : change.oldValue);
+    });
+  });
+
+  return later.length;
+};
+
+// Instance method to convert to response format
+revisionSchema.methods.toResponseFormat = function() {
+  return {
+    id: this._id,
+    resourceType: this.resourceType,
+    resource: this.resource,
+    actor: this.actor,
+    action: this.action,
+    version: this.version,
+    changes: this.changes,
+    revertedTo: this.revertedTo,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.model('Revision', revisionSchema);
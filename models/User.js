@@ -64,6 +64,11 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Running total of offsets in kg, kept apart from gross emissions in total
+    offsets: {
+      type: Number,
+      default: 0
+    },
     lastCalculated: {
       type: Date,
       default: Date.now
@@ -85,6 +90,29 @@ const userSchema = new mongoose.Schema({
         default: true
       }
     },
+    // Which shared footprints are split: household bills by profile.householdSize,
+    // shared rides by their passengers
+    allocation: {
+      household: {
+        type: Boolean,
+        default: true
+      },
+      passengers: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Counterfactual trips are compared with when calculating avoided emissions
+    baseline: {
+      vehicleType: {
+        type: String,
+        default: 'car'
+      },
+      fuelType: {
+        type: String,
+        default: 'petrol'
+      }
+    },
     privacy: {
       shareData: {
         type: Boolean,
@@ -148,8 +176,13 @@ userSchema.methods.calculateBaseline = function() {
 
 // Get user stats
 userSchema.methods.getStats = function() {
+  const offsets = this.carbonFootprint.offsets || 0;
+
   return {
     totalFootprint: this.carbonFootprint.total,
+    grossFootprint: this.carbonFootprint.total,
+    offsets,
+    netFootprint: this.carbonFootprint.total - offsets,
     baselineFootprint: this.carbonFootprint.baseline,
     targetFootprint: this.carbonFootprint.target,
     reduction: this.carbonFootprint.baseline - this.carbonFootprint.total,
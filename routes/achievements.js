@@ -139,6 +139,9 @@ router.post('/check', authenticateToken, async (req, res) => {
     const user = req.user;
     const newlyUnlocked = [];
 
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's available achievements
     const availableAchievements = await Achievement.getUserAvailableAchievements(user._id);
 
@@ -208,7 +211,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
 
 // Helper function to calculate achievement progress
 async function calculateAchievementProgress(user, achievement) {
-  const { metric, threshold, timeframe } = achievement.criteria;
+  const { metric, threshold, timeframe, basis } = achievement.criteria;
   
   let progress = 0;
   const now = new Date();
@@ -236,9 +239,14 @@ async function calculateAchievementProgress(user, achievement) {
 
   switch (metric) {
     case 'carbon_reduction':
-      const baseline = user.carbonFootprint.baseline;
-      const current = user.carbonFootprint.total;
-      progress = Math.max(0, baseline - current);
+      if (basis === 'avoided') {
+        const totals = await Activity.getUserTotalFootprint(user._id, startDate, now);
+        progress = totals.avoidedKg;
+      } else {
+        const baseline = user.carbonFootprint.baseline;
+        const current = user.carbonFootprint.total;
+        progress = Math.max(0, baseline - current);
+      }
       break;
 
     case 'activities_count':
@@ -1,11 +1,105 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import Activity from '../models/Activity.js';
+import Attachment from '../models/Attachment.js';
+import Offset from '../models/Offset.js';
+import Revision from '../models/Revision.js';
 import User from '../models/User.js';
+import {
+  applyActivityUpdates,
+  applyAllocation,
+  applyBaseline,
+  countedKg,
+  getTrashRetentionDays,
+  moveToTrash,
+  prepareActivityData,
+  restoreFromTrash
+} from '../utils/activityService.js';
+import { createActivityRules, updateActivityRules, validateActivityInput } from '../utils/activityValidation.js';
+import { searchAirports } from '../utils/airports.js';
+import { calculateCarbonFootprint } from '../utils/carbonCalculator.js';
+import {
+  DUPLICATE_ACTIONS,
+  findDuplicateClusters,
+  findDuplicates,
+  getDuplicateWindowMinutes,
+  mergeDuplicates
+} from '../utils/duplicates.js';
+import {
+  ACTIVITY_FILTERS,
+  buildListFilter,
+  MAX_LIST_LIMIT,
+  paginate,
+  parseSort
+} from '../utils/listQuery.js';
+import { toDayKey } from '../utils/recurrence.js';
+import { takeSnapshot } from '../utils/revisions.js';
+import { activeTaxonomy, getTaxonomy, getTaxonomyCacheSeconds } from '../utils/taxonomy.js';
+import {
+  formatEmissions,
+  formatTotals,
+  formatUserFootprint,
+  getUnitSystem,
+  normalizeActivityUnits,
+  normalizeUnits
+} from '../utils/units.js';
 
 const router = express.Router();
 
+const MAX_BATCH_OPERATIONS = 100;
+
+// Sent when editing an activity in the trash, which no longer counts towards the total
+const TRASHED_ERROR = {
+  error: 'Activity is in the trash',
+  message: 'Restore the activity before editing it'
+};
+
+const ACTIVITY_SORT_FIELDS = {
+  date: { path: 'date', type: 'date' },
+  footprint: { path: 'carbonFootprint.value', type: 'number' },
+  title: { path: 'title', type: 'string' },
+  category: { path: 'category', type: 'string' },
+  createdAt: { path: 'createdAt', type: 'date' }
+};
+
+const listActivitiesRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIST_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIST_LIMIT}`),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO dates'),
+  query(['minFootprint', 'maxFootprint'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Footprint bounds must be positive numbers in kg'),
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMatch must be any or all')
+];
+
+// Rules for the options of a duplicate scan, read from the query string or
+// the body with the given express-validator location
+const duplicateScanRules = (location) => [
+  location('windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 7 * 24 * 60 })
+    .withMessage('windowMinutes must be between 1 and 10080'),
+  location(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO dates')
+];
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -34,26 +128,12 @@ const authenticateToken = async (req, res, next) => {
 // @access  Private
 router.post('/', [
   authenticateToken,
-  body('category')
-    .isIn(['transportation', 'energy', 'food', 'waste', 'water', 'shopping', 'travel', 'other'])
-    .withMessage('Invalid category'),
-  body('subcategory')
-    .notEmpty()
-    .withMessage('Subcategory is required'),
-  body('title')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Title must be between 1 and 100 characters'),
-  body('carbonFootprint.value')
-    .isFloat({ min: 0 })
-    .withMessage('Carbon footprint value must be a positive number'),
-  body('carbonFootprint.unit')
-    .isIn(['kg', 'tons'])
-    .withMessage('Carbon footprint unit must be kg or tons'),
-  body('date')
+  normalizeUnits(normalizeActivityUnits),
+  ...createActivityRules,
+  query('onDuplicate')
     .optional()
-    .isISO8601()
-    .withMessage('Date must be a valid ISO date')
+    .isIn(DUPLICATE_ACTIONS)
+    .withMessage(`onDuplicate must be one of ${DUPLICATE_ACTIONS.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -65,11 +145,21 @@ router.post('/', [
     }
 
     const user = req.user;
-    const activityData = {
-      ...req.body,
-      user: user._id,
-      date: req.body.date ? new Date(req.body.date) : new Date()
-    };
+    const { activityData, error } = await prepareActivityData(user, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    // Catch double submissions and re-syncs before they inflate the total
+    const onDuplicate = req.query.onDuplicate || 'warn';
+    const duplicates = onDuplicate === 'allow' ? [] : await findDuplicates(user, activityData);
+    if (duplicates.length > 0 && onDuplicate === 'reject') {
+      return res.status(409).json({
+        error: 'Duplicate activity',
+        message: 'A matching activity was already logged, send onDuplicate=allow to create it anyway',
+        duplicates: duplicates.map(duplicate => duplicate.toResponseFormat(getUnitSystem(req)))
+      });
+    }
 
     const activity = new Activity(activityData);
     await activity.save();
@@ -83,9 +173,21 @@ router.post('/', [
     user.carbonFootprint.lastCalculated = new Date();
     await user.save();
 
+    // Back-dated series catch up with their past occurrences straight away
+    if (activity.isRecurring) {
+      await Activity.materializeRecurring(user);
+    }
+
     res.status(201).json({
       message: 'Activity created successfully',
-      activity: activity.toResponseFormat()
+      activity: activity.toResponseFormat(getUnitSystem(req)),
+      warnings: duplicates.length > 0
+        ? [{
+          type: 'duplicate',
+          message: 'This looks like a duplicate of an activity already logged',
+          duplicateIds: duplicates.map(duplicate => duplicate._id)
+        }]
+        : undefined
     });
 
   } catch (error) {
@@ -99,40 +201,244 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/activities/batch
+// @desc    Apply create, update and delete operations in one transaction.
+//          Body: { operations: [{ op, id, data, clientId }] }. Either every
+//          operation is applied or none is.
+// @access  Private
+router.post('/batch', [
+  authenticateToken,
+  body('operations')
+    .isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`Operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`),
+  body('operations.*.op')
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Operation must be create, update or delete')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const units = getUnitSystem(req);
+    const operations = req.body.operations.map(operation => ({
+      ...operation,
+      data: normalizeActivityUnits(operation.data, units)
+    }));
+
+    // Check every operation with the single endpoints' rules before touching the database
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      const details = [];
+      if (operation.op !== 'create' && !mongoose.isValidObjectId(operation.id)) {
+        details.push({ type: 'field', path: 'id', msg: 'A valid activity id is required' });
+      }
+      if (operation.op !== 'delete') {
+        details.push(...await validateActivityInput(
+          operation.data || {},
+          operation.op === 'create' ? createActivityRules : updateActivityRules
+        ));
+      }
+
+      results.push({
+        index,
+        op: operation.op,
+        clientId: operation.clientId,
+        status: details.length > 0 ? 'invalid' : 'pending',
+        details: details.length > 0 ? details : undefined
+      });
+    }
+
+    if (results.some(result => result.status === 'invalid')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'No operations were applied',
+        results
+      });
+    }
+
+    const startingTotal = user.carbonFootprint.total;
+    const session = await mongoose.startSession();
+    let failure = null;
+    let totalChange = 0;
+
+    try {
+      await session.withTransaction(async () => {
+        // The driver may retry this callback, so start from a clean slate each time
+        failure = null;
+        totalChange = 0;
+
+        for (const [index, operation] of operations.entries()) {
+          const result = results[index];
+          result.status = 'pending';
+          result.activity = undefined;
+
+          if (operation.op === 'create') {
+            const { activityData, error } = await prepareActivityData(user, operation.data);
+            if (error) {
+              failure = { index, status: 400, error };
+              break;
+            }
+
+            const activity = new Activity(activityData);
+            await activity.save({ session });
+            totalChange += countedKg(activity);
+            result.status = 'created';
+            result.activity = activity;
+            continue;
+          }
+
+          const activity = await Activity.findOne({
+            _id: operation.id,
+            user: user._id
+          }).session(session);
+
+          if (!activity) {
+            failure = { index, status: 404, error: { error: 'Activity not found' } };
+            break;
+          }
+
+          const oldCarbonValue = countedKg(activity);
+
+          if (operation.op === 'update') {
+            if (activity.trash?.deletedAt) {
+              failure = { index, status: 400, error: TRASHED_ERROR };
+              break;
+            }
+
+            const before = takeSnapshot(activity, 'activity');
+            const { error } = await applyActivityUpdates(activity, operation.data, { user });
+            if (error) {
+              failure = { index, status: 400, error };
+              break;
+            }
+
+            // Batched edits of an occurrence only ever apply to that occurrence
+            if (activity.recurrence?.parent) {
+              activity.recurrence.isException = true;
+            }
+
+            await activity.save({ session });
+            await Revision.record('activity', activity, before, { actor: user._id, session });
+            totalChange += countedKg(activity) - oldCarbonValue;
+            result.status = 'updated';
+            result.activity = activity;
+            continue;
+          }
+
+          if (activity.trash?.deletedAt) {
+            failure = { index, status: 400, error: { error: 'Activity is already in the trash' } };
+            break;
+          }
+
+          totalChange += await moveToTrash(activity, { session });
+          result.status = 'deleted';
+          result.id = activity._id;
+        }
+
+        if (failure) {
+          await session.abortTransaction();
+          return;
+        }
+
+        // Update user's total carbon footprint once for the whole batch
+        user.carbonFootprint.total = startingTotal + totalChange;
+        user.carbonFootprint.lastCalculated = new Date();
+        await user.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (failure) {
+      const failed = results[failure.index];
+
+      return res.status(failure.status).json({
+        error: 'Batch failed',
+        message: `Operation ${failure.index} failed, no operations were applied`,
+        results: results.map(result => ({
+          index: result.index,
+          op: result.op,
+          clientId: result.clientId,
+          status: result === failed ? 'failed' : 'not_applied',
+          ...(result === failed ? failure.error : {})
+        }))
+      });
+    }
+
+    // Back-dated series catch up with their past occurrences straight away
+    if (results.some(result => result.activity?.isRecurring)) {
+      await Activity.materializeRecurring(user);
+    }
+
+    res.json({
+      message: 'Batch applied successfully',
+      totalChange,
+      results: results.map(result => ({
+        ...result,
+        activity: result.activity?.toResponseFormat(units)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Batch activities error:', error);
+    if (error.code === 20) {
+      // IllegalOperation: transactions need a replica set or sharded cluster
+      return res.status(500).json({ error: 'Batch operations require MongoDB to run as a replica set' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/activities
-// @desc    Get user's activities
+// @desc    Get user's activities. Filters: category, subcategory, status,
+//          tags (tagMatch=all), minFootprint/maxFootprint (kg), startDate,
+//          endDate. sort: comma-separated fields, "-" for descending.
+//          Paging: page/limit, or the next/prev cursor.
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', [
+  authenticateToken,
+  ...listActivitiesRules
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
     const user = req.user;
-    const { page = 1, limit = 10, category, startDate, endDate } = req.query;
 
-    const filter = { user: user._id, status: 'active' };
+    await Activity.materializeRecurring(user);
 
-    if (category) filter.category = category;
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+    const { sort, error: sortError } = parseSort(req.query.sort, ACTIVITY_SORT_FIELDS, '-date');
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const activities = await Activity.find(filter)
-      .sort({ date: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Trashed activities only show up in the trash
+    const filter = buildListFilter(
+      { status: 'active', ...req.query },
+      ACTIVITY_FILTERS,
+      { user: user._id, 'trash.deletedAt': { $exists: false } }
+    );
 
-    const total = await Activity.countDocuments(filter);
+    const { docs, pagination, error } = await paginate(Activity, { filter, sort, query: req.query });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
+    const units = getUnitSystem(req);
     res.json({
-      activities: activities.map(activity => activity.toResponseFormat()),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      activities: docs.map(activity => activity.toResponseFormat(units)),
+      pagination
     });
 
   } catch (error) {
@@ -149,6 +455,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const user = req.user;
     const { startDate, endDate } = req.query;
 
+    await Activity.materializeRecurring(user);
+
     const totalFootprint = await Activity.getUserTotalFootprint(
       user._id, 
       startDate, 
@@ -161,10 +469,25 @@ router.get('/stats', authenticateToken, async (req, res) => {
       endDate
     );
 
+    const totalOffsets = await Offset.getUserTotalOffsets(
+      user._id, 
+      startDate, 
+      endDate
+    );
+
+    const units = getUnitSystem(req);
+    const netFootprintKg = totalFootprint.totalKg - totalOffsets.totalKg;
+
     res.json({
-      totalFootprint,
-      footprintByCategory,
-      userStats: user.getStats()
+      totalFootprint: formatTotals(totalFootprint, units),
+      footprintByCategory: footprintByCategory.map(category => formatTotals(category, units)),
+      avoidedKg: totalFootprint.avoidedKg,
+      avoided: formatEmissions(totalFootprint.avoidedKg, units),
+      offsets: formatTotals(totalOffsets, units),
+      netFootprintKg,
+      netFootprint: formatEmissions(netFootprintKg, units),
+      units,
+      userStats: formatUserFootprint(user.getStats(), units)
     });
 
   } catch (error) {
@@ -173,6 +496,303 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/activities/duplicates
+// @desc    Find clusters of likely duplicate activities. Query: windowMinutes,
+//          startDate, endDate
+// @access  Private
+router.get('/duplicates', [
+  authenticateToken,
+  ...duplicateScanRules(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const units = getUnitSystem(req);
+    const windowMinutes = parseInt(req.query.windowMinutes) || getDuplicateWindowMinutes();
+    const clusters = await findDuplicateClusters(user, { ...req.query, windowMinutes });
+    const extraKg = clusters.reduce((sum, cluster) => sum + cluster.extraKg, 0);
+
+    res.json({
+      windowMinutes,
+      clusters: clusters.map(cluster => ({
+        keep: cluster.keep.toResponseFormat(units),
+        duplicates: cluster.duplicates.map(activity => activity.toResponseFormat(units)),
+        extraKg: cluster.extraKg
+      })),
+      clusterCount: clusters.length,
+      duplicateCount: clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0),
+      extraKg,
+      extra: formatEmissions(extraKg, units)
+    });
+
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/duplicates/merge
+// @desc    Merge duplicate clusters: the duplicates' tags and attachments move
+//          to the activity kept and they go to the trash. Body: clusters
+//          ([{ keep, duplicates: [id] }]), or windowMinutes, startDate and
+//          endDate to merge every cluster found by a scan
+// @access  Private
+router.post('/duplicates/merge', [
+  authenticateToken,
+  ...duplicateScanRules(body),
+  body('clusters')
+    .optional()
+    .isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`Clusters must be a list of 1 to ${MAX_BATCH_OPERATIONS} clusters`),
+  body('clusters.*.keep')
+    .isMongoId()
+    .withMessage('Each cluster needs the id of the activity to keep'),
+  body('clusters.*.duplicates')
+    .isArray({ min: 1 })
+    .withMessage('Each cluster needs a list of duplicate ids'),
+  body('clusters.*.duplicates.*')
+    .isMongoId()
+    .withMessage('Duplicate ids must be valid activity ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    let clusters;
+
+    if (req.body.clusters) {
+      // Check every cluster before merging any
+      clusters = [];
+      const seen = new Set();
+      for (const [index, cluster] of req.body.clusters.entries()) {
+        const ids = [cluster.keep, ...cluster.duplicates].map(String);
+        if (ids.some(id => seen.has(id)) || new Set(ids).size !== ids.length) {
+          return res.status(400).json({ error: `Cluster ${index} repeats an activity` });
+        }
+        ids.forEach(id => seen.add(id));
+
+        const activities = await Activity.find({
+          _id: { $in: ids },
+          user: user._id,
+          'trash.deletedAt': { $exists: false }
+        });
+        if (activities.length !== ids.length) {
+          return res.status(404).json({ error: `Cluster ${index} has activities that were not found or are in the trash` });
+        }
+
+        const byId = new Map(activities.map(activity => [String(activity._id), activity]));
+        clusters.push({
+          keep: byId.get(String(cluster.keep)),
+          duplicates: cluster.duplicates.map(id => byId.get(String(id)))
+        });
+      }
+    } else {
+      const windowMinutes = parseInt(req.body.windowMinutes) || getDuplicateWindowMinutes();
+      clusters = await findDuplicateClusters(user, { ...req.body, windowMinutes });
+    }
+
+    let totalChange = 0;
+    for (const cluster of clusters) {
+      totalChange += await mergeDuplicates(cluster.keep, cluster.duplicates, { actor: user._id });
+    }
+
+    // Update user's total carbon footprint
+    user.carbonFootprint.total += totalChange;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    const units = getUnitSystem(req);
+    res.json({
+      message: 'Duplicates merged successfully',
+      merged: clusters.map(cluster => ({
+        keep: cluster.keep.toResponseFormat(units),
+        trashedIds: cluster.duplicates.map(activity => activity._id)
+      })),
+      trashedCount: clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0),
+      totalChange,
+      userStats: formatUserFootprint(user.getStats(), units)
+    });
+
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/categories
+// @desc    Get the categories and subcategories activities can be logged in
+// @access  Private
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    const taxonomy = await getTaxonomy();
+
+    res.set('Cache-Control', `private, max-age=${getTaxonomyCacheSeconds()}`);
+    res.json({ categories: activeTaxonomy(taxonomy) });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/airports
+// @desc    Search the bundled airport dataset for logging flights
+// @access  Private
+router.get('/airports', [
+  authenticateToken,
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json({ airports: searchAirports(req.query.q, limit) });
+
+  } catch (error) {
+    console.error('Search airports error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/trash
+// @desc    Get user's deleted activities, most recently deleted first
+// @access  Private
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { page = 1, limit = 10 } = req.query;
+
+    const filter = { user: user._id, 'trash.deletedAt': { $exists: true } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const activities = await Activity.find(filter)
+      .sort({ 'trash.deletedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Activity.countDocuments(filter);
+    const units = getUnitSystem(req);
+
+    res.json({
+      activities: activities.map(activity => activity.toResponseFormat(units)),
+      retentionDays: getTrashRetentionDays(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/trash/restore
+// @desc    Restore activities from the trash. Body: { ids }
+// @access  Private
+router.post('/trash/restore', [
+  authenticateToken,
+  body('ids')
+    .isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`ids must be a list of 1 to ${MAX_BATCH_OPERATIONS} activity ids`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid activity id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const activities = await Activity.find({
+      _id: { $in: req.body.ids },
+      user: user._id,
+      'trash.deletedAt': { $exists: true }
+    });
+
+    let totalChange = 0;
+    for (const activity of activities) {
+      totalChange += await restoreFromTrash(activity);
+    }
+
+    // Update user's total carbon footprint once for all restored activities
+    user.carbonFootprint.total += totalChange;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    const restoredIds = activities.map(activity => String(activity._id));
+    const units = getUnitSystem(req);
+
+    res.json({
+      message: 'Activities restored successfully',
+      restored: activities.map(activity => activity.toResponseFormat(units)),
+      notFound: req.body.ids.filter(id => !restoredIds.includes(String(id)))
+    });
+
+  } catch (error) {
+    console.error('Restore activities error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/activities/trash
+// @desc    Permanently delete everything in the trash, or only the given ids
+// @access  Private
+router.delete('/trash', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const filter = { user: user._id, 'trash.deletedAt': { $exists: true } };
+
+    if (Array.isArray(req.body?.ids)) {
+      filter._id = { $in: req.body.ids.filter(id => mongoose.isValidObjectId(id)) };
+    }
+
+    // Footprints were taken off the user's total when the activities were trashed
+    const trashedIds = await Activity.distinct('_id', filter);
+    const { deletedCount } = await Activity.deleteMany({ _id: { $in: trashedIds } });
+    await Attachment.deleteForResources('activity', trashedIds);
+
+    res.json({
+      message: 'Trash emptied successfully',
+      deletedCount
+    });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/activities/:id
 // @desc    Get a specific activity
 // @access  Private
@@ -188,7 +808,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Activity not found' });
     }
 
-    res.json({ activity: activity.toResponseFormat() });
+    res.json({ activity: activity.toResponseFormat(getUnitSystem(req)) });
 
   } catch (error) {
     console.error('Get activity error:', error);
@@ -197,23 +817,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // @route   PUT /api/activities/:id
-// @desc    Update an activity
+// @desc    Update an activity. For recurring series, ?scope=this (default)
+//          edits one occurrence and ?scope=future edits it and all later ones
 // @access  Private
 router.put('/:id', [
   authenticateToken,
-  body('category')
-    .optional()
-    .isIn(['transportation', 'energy', 'food', 'waste', 'water', 'shopping', 'travel', 'other'])
-    .withMessage('Invalid category'),
-  body('title')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Title must be between 1 and 100 characters'),
-  body('carbonFootprint.value')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Carbon footprint value must be a positive number')
+  normalizeUnits(normalizeActivityUnits),
+  ...updateActivityRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -225,6 +835,7 @@ router.put('/:id', [
     }
 
     const user = req.user;
+    const scope = req.query.scope === 'future' ? 'future' : 'this';
     const activity = await Activity.findOne({
       _id: req.params.id,
       user: user._id
@@ -234,28 +845,40 @@ router.put('/:id', [
       return res.status(404).json({ error: 'Activity not found' });
     }
 
+    if (activity.trash?.deletedAt) {
+      return res.status(400).json(TRASHED_ERROR);
+    }
+
     // Calculate the difference in carbon footprint
-    const oldCarbonValue = activity.carbonFootprint.unit === 'tons' 
-      ? activity.carbonFootprint.value * 1000 
-      : activity.carbonFootprint.value;
+    const oldCarbonValue = countedKg(activity);
 
-    // Update activity
-    Object.assign(activity, req.body);
-    await activity.save();
+    const before = takeSnapshot(activity, 'activity');
+    const { error } = await applyActivityUpdates(activity, req.body, { user });
+    if (error) {
+      return res.status(400).json(error);
+    }
 
-    const newCarbonValue = activity.carbonFootprint.unit === 'tons' 
-      ? activity.carbonFootprint.value * 1000 
-      : activity.carbonFootprint.value;
+    const isSeriesMember = activity.isRecurring || Boolean(activity.recurrence?.parent);
+    if (scope === 'this' && activity.recurrence?.parent) {
+      activity.recurrence.isException = true;
+    }
+
+    await activity.save();
+    await Revision.record('activity', activity, before, { actor: user._id });
 
     // Update user's total carbon footprint
-    const difference = newCarbonValue - oldCarbonValue;
+    const difference = countedKg(activity) - oldCarbonValue;
     user.carbonFootprint.total += difference;
     user.carbonFootprint.lastCalculated = new Date();
     await user.save();
 
+    if (scope === 'future' && isSeriesMember) {
+      await applyToFutureOccurrences(activity, user);
+    }
+
     res.json({
       message: 'Activity updated successfully',
-      activity: activity.toResponseFormat()
+      activity: activity.toResponseFormat(getUnitSystem(req))
     });
 
   } catch (error) {
@@ -264,10 +887,10 @@ router.put('/:id', [
   }
 });
 
-// @route   DELETE /api/activities/:id
-// @desc    Delete an activity
+// @route   POST /api/activities/:id/recalculate
+// @desc    Recalculate an activity's footprint with the current emission factors
 // @access  Private
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.post('/:id/recalculate', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     const activity = await Activity.findOne({
@@ -279,79 +902,357 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Activity not found' });
     }
 
+    if (activity.trash?.deletedAt) {
+      return res.status(400).json(TRASHED_ERROR);
+    }
+
+    if (activity.carbonFootprint.calculationMethod === 'manual') {
+      return res.status(400).json({ error: 'Manually entered footprints cannot be recalculated' });
+    }
+
+    const calculation = await calculateCarbonFootprint(activity, { user });
+    if (!calculation) {
+      return res.status(400).json({ error: 'Unable to calculate carbon footprint' });
+    }
+
+    const previous = {
+      value: activity.carbonFootprint.value,
+      unit: activity.carbonFootprint.unit,
+      region: activity.carbonFootprint.region,
+      breakdown: activity.carbonFootprint.breakdown,
+      calculatedAt: activity.carbonFootprint.calculatedAt
+    };
+
+    const oldCarbonValue = countedKg(activity);
+
+    const before = takeSnapshot(activity, 'activity');
+    activity.carbonFootprint = {
+      ...calculation,
+      calculationMethod: 'calculated',
+      calculatedAt: new Date()
+    };
+    applyAllocation(activity, { user });
+    await applyBaseline(activity, { user });
+    await activity.save();
+    await Revision.record('activity', activity, before, { actor: user._id, action: 'recalculate' });
+
     // Update user's total carbon footprint
-    const carbonValue = activity.carbonFootprint.unit === 'tons' 
-      ? activity.carbonFootprint.value * 1000 
-      : activity.carbonFootprint.value;
-    
-    user.carbonFootprint.total -= carbonValue;
+    user.carbonFootprint.total += countedKg(activity) - oldCarbonValue;
     user.carbonFootprint.lastCalculated = new Date();
     await user.save();
 
-    await Activity.findByIdAndDelete(req.params.id);
+    res.json({
+      message: 'Activity recalculated successfully',
+      previous,
+      activity: activity.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Recalculate activity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/:id/skip
+// @desc    Skip a single date of a recurring series
+// @access  Private
+router.post('/:id/skip', [
+  authenticateToken,
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const parent = activity.isRecurring
+      ? activity
+      : activity.recurrence?.parent && await Activity.findOne({ _id: activity.recurrence.parent, user: user._id });
+
+    if (!parent) {
+      return res.status(400).json({ error: 'Activity is not part of a recurring series' });
+    }
+
+    const dayKey = toDayKey(req.body.date);
+    if (dayKey === toDayKey(parent.date)) {
+      return res.status(400).json({ error: 'The first occurrence of a series cannot be skipped, delete it instead' });
+    }
+
+    if (!parent.recurringPattern.skipDates.some(date => toDayKey(date) === dayKey)) {
+      parent.recurringPattern.skipDates.push(new Date(dayKey));
+      await parent.save();
+    }
+
+    // Cancel the occurrence if it has already been generated
+    const dayStart = new Date(dayKey);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const occurrence = await Activity.findOne({
+      'recurrence.parent': parent._id,
+      'recurrence.occurrenceDate': { $gte: dayStart, $lt: dayEnd },
+      status: 'active'
+    });
+
+    if (occurrence) {
+      occurrence.status = 'cancelled';
+      await occurrence.save();
 
-    res.json({ message: 'Activity deleted successfully' });
+      const carbonValue = occurrence.carbonFootprint.unit === 'tons' 
+        ? occurrence.carbonFootprint.value * 1000 
+        : occurrence.carbonFootprint.value;
+
+      user.carbonFootprint.total -= carbonValue;
+      user.carbonFootprint.lastCalculated = new Date();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Occurrence skipped successfully',
+      skipDates: parent.recurringPattern.skipDates,
+      cancelled: occurrence ? occurrence.toResponseFormat(getUnitSystem(req)) : null
+    });
 
   } catch (error) {
-    console.error('Delete activity error:', error);
+    console.error('Skip occurrence error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @route   GET /api/activities/categories
-// @desc    Get available activity categories
+// @route   GET /api/activities/:id/history
+// @desc    Get an activity's revisions, newest first
 // @access  Private
-router.get('/categories', authenticateToken, async (req, res) => {
+router.get('/:id/history', authenticateToken, async (req, res) => {
   try {
-    const categories = [
-      {
-        name: 'transportation',
-        label: 'Transportation',
-        subcategories: ['car', 'bus', 'train', 'plane', 'bike', 'walk', 'scooter', 'motorcycle']
-      },
-      {
-        name: 'energy',
-        label: 'Energy',
-        subcategories: ['electricity', 'gas', 'heating', 'cooling', 'renewable']
-      },
-      {
-        name: 'food',
-        label: 'Food',
-        subcategories: ['meat', 'dairy', 'vegetables', 'fruits', 'grains', 'processed', 'organic']
-      },
-      {
-        name: 'waste',
-        label: 'Waste',
-        subcategories: ['plastic', 'paper', 'glass', 'metal', 'organic', 'electronics']
-      },
-      {
-        name: 'water',
-        label: 'Water',
-        subcategories: ['drinking', 'showering', 'laundry', 'dishwashing', 'irrigation']
-      },
-      {
-        name: 'shopping',
-        label: 'Shopping',
-        subcategories: ['clothing', 'electronics', 'furniture', 'cosmetics', 'books']
-      },
-      {
-        name: 'travel',
-        label: 'Travel',
-        subcategories: ['vacation', 'business', 'local', 'international']
-      },
-      {
-        name: 'other',
-        label: 'Other',
-        subcategories: ['entertainment', 'services', 'custom']
-      }
-    ];
+    const user = req.user;
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const revisions = await Revision.getHistory('activity', activity._id);
 
-    res.json({ categories });
+    res.json({
+      revisions: revisions.map(revision => revision.toResponseFormat())
+    });
 
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Get activity history error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   POST /api/activities/:id/revert
+// @desc    Revert an activity to how it was at a revision. Body: { version },
+//          where 0 is the activity as first created
+// @access  Private
+router.post('/:id/revert', [
+  authenticateToken,
+  body('version')
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const version = parseInt(req.body.version);
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    if (activity.trash?.deletedAt) {
+      return res.status(400).json(TRASHED_ERROR);
+    }
+
+    const oldCarbonValue = countedKg(activity);
+    const before = takeSnapshot(activity, 'activity');
+
+    const undone = await Revision.revertTo('activity', activity, version);
+    if (undone === null) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await activity.save();
+    const revision = await Revision.record('activity', activity, before, {
+      actor: user._id,
+      action: 'revert',
+      revertedTo: version
+    });
+
+    // Update user's total carbon footprint
+    user.carbonFootprint.total += countedKg(activity) - oldCarbonValue;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Activity reverted successfully',
+      revision: revision ? revision.toResponseFormat() : null,
+      activity: activity.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Revert activity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/:id/restore
+// @desc    Restore an activity from the trash
+// @access  Private
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    if (!activity.trash?.deletedAt) {
+      return res.status(400).json({ error: 'Activity is not in the trash' });
+    }
+
+    // Update user's total carbon footprint
+    user.carbonFootprint.total += await restoreFromTrash(activity);
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Activity restored successfully',
+      activity: activity.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Restore activity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/activities/:id
+// @desc    Move an activity to the trash
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    if (activity.trash?.deletedAt) {
+      return res.status(400).json({ error: 'Activity is already in the trash' });
+    }
+
+    // Update user's total carbon footprint
+    user.carbonFootprint.total += await moveToTrash(activity);
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Activity moved to trash',
+      restoreUntil: activity.trash.expiresAt,
+      activity: activity.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Delete activity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper function to apply an edit to the rest of a recurring series.
+// Editing an occurrence splits the series there: the original series ends
+// before it and the edited occurrence becomes the head of a new series.
+// Generated occurrences that were not edited on their own are then
+// regenerated from the new head.
+async function applyToFutureOccurrences(activity, user) {
+  if (activity.recurrence?.parent) {
+    const parent = await Activity.findById(activity.recurrence.parent);
+    const splitDate = activity.recurrence.occurrenceDate;
+
+    if (parent) {
+      const pattern = activity.recurringPattern?.frequency
+        ? activity.recurringPattern
+        : parent.recurringPattern;
+
+      activity.isRecurring = true;
+      activity.recurringPattern = {
+        frequency: pattern.frequency,
+        interval: pattern.interval,
+        endDate: pattern.endDate,
+        skipDates: parent.recurringPattern.skipDates.filter(date => date > splitDate),
+        generatedThrough: activity.date
+      };
+
+      parent.recurringPattern.endDate = new Date(splitDate.getTime() - 1);
+      await parent.save();
+
+      // Later occurrences now belong to the new series
+      await Activity.updateMany(
+        { 'recurrence.parent': parent._id, 'recurrence.occurrenceDate': { $gt: splitDate } },
+        { $set: { 'recurrence.parent': activity._id } }
+      );
+    }
+
+    activity.recurrence = undefined;
+  } else {
+    activity.recurringPattern.generatedThrough = activity.date;
+  }
+  await activity.save();
+
+  const stale = await Activity.find({
+    'recurrence.parent': activity._id,
+    'recurrence.isException': { $ne: true }
+  });
+
+  const removedKg = stale.reduce((sum, occurrence) => sum + countedKg(occurrence), 0);
+
+  const staleIds = stale.map(occurrence => occurrence._id);
+  await Activity.deleteMany({ _id: { $in: staleIds } });
+  await Attachment.deleteForResources('activity', staleIds);
+
+  user.carbonFootprint.total -= removedKg;
+  user.carbonFootprint.lastCalculated = new Date();
+  await user.save();
+
+  await Activity.materializeRecurring(user);
+}
+
 export default router;
\ No newline at end of file
@@ -1,7 +1,10 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import Activity from '../models/Activity.js';
+import Offset from '../models/Offset.js';
 import User from '../models/User.js';
+import { COUNTED_FILTER } from '../utils/activityService.js';
+import { formatEmissions, getUnitSystem } from '../utils/units.js';
 
 const router = express.Router();
 
@@ -34,6 +37,11 @@ const authenticateToken = async (req, res, next) => {
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
+    const units = getUnitSystem(req);
+    const emissions = (kg) => formatEmissions(kg, units);
+
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
     
     // Get user's activities for the last 30 days
     const startDate = new Date();
@@ -42,7 +50,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     // Get total footprint
@@ -52,6 +60,13 @@ router.get('/', authenticateToken, async (req, res) => {
       new Date().toISOString()
     );
 
+    // Get offsets retired in the same period
+    const totalOffsets = await Offset.getUserTotalOffsets(
+      user._id, 
+      startDate.toISOString(), 
+      new Date().toISOString()
+    );
+
     // Get footprint by category
     const footprintByCategory = await Activity.getFootprintByCategory(
       user._id, 
@@ -79,15 +94,17 @@ router.get('/', authenticateToken, async (req, res) => {
       
       weeklyData.push({
         day: days[date.getDay()],
-        footprint: dayFootprint,
-        target: 15 // Default daily target
+        footprint: emissions(dayFootprint).value,
+        target: emissions(15).value, // Default daily target
+        unit: emissions(0).unit
       });
     }
 
     // Generate category breakdown
     const categoryBreakdown = footprintByCategory.map(category => ({
       category: category._id,
-      value: category.totalKg,
+      value: emissions(category.totalKg).value,
+      unit: emissions(0).unit,
       percentage: totalFootprint.totalKg > 0 ? 
         (category.totalKg / totalFootprint.totalKg * 100) : 0
     }));
@@ -98,13 +115,20 @@ router.get('/', authenticateToken, async (req, res) => {
       { label: "Country Average", value: 320, better: totalFootprint.totalKg < 320 },
       { label: "Similar Households", value: 195, better: totalFootprint.totalKg < 195 },
       { label: "Global Average", value: 450, better: totalFootprint.totalKg < 450 }
-    ];
+    ].map(comparison => ({ ...comparison, ...emissions(comparison.value) }));
 
     res.json({
       weeklyData,
       categoryBreakdown,
       comparisons,
-      totalFootprint: totalFootprint.totalKg,
+      totalFootprint: emissions(totalFootprint.totalKg).value,
+      grossFootprint: emissions(totalFootprint.totalKg).value,
+      // Footprint had shared trips and bills been counted in full
+      beforeAllocation: emissions(totalFootprint.grossKg ?? totalFootprint.totalKg).value,
+      offsets: emissions(totalOffsets.totalKg).value,
+      netFootprint: emissions(totalFootprint.totalKg - totalOffsets.totalKg).value,
+      unit: emissions(0).unit,
+      units,
       activityCount: activities.length
     });
 
@@ -0,0 +1,333 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import Activity from '../models/Activity.js';
+import Attachment from '../models/Attachment.js';
+import Offset from '../models/Offset.js';
+import User from '../models/User.js';
+import { getStorage, getStorageName } from '../utils/attachmentStorage.js';
+import {
+  ATTACHMENT_TYPES,
+  contentDisposition,
+  createThumbnail,
+  detectContentType,
+  getMaxAttachmentSize,
+  getMaxAttachmentsPerResource,
+  isImage
+} from '../utils/attachments.js';
+import { idempotentUpload } from '../utils/idempotency.js';
+
+const router = express.Router();
+
+// Files accepted in one upload
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Resources attachments can belong to, by URL path segment
+const RESOURCES = {
+  activities: { type: 'activity', model: Activity, name: 'Activity' },
+  offsets: { type: 'offset', model: Offset, name: 'Offset' }
+};
+
+const RESOURCE_PATH = `/:resource(${Object.keys(RESOURCES).join('|')})/:id/attachments`;
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Middleware to load the user's activity or offset the attachments belong to
+const loadResource = async (req, res, next) => {
+  try {
+    const { model, name } = RESOURCES[req.params.resource];
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: `${name} not found` });
+    }
+
+    const resource = await model.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!resource) {
+      return res.status(404).json({ error: `${name} not found` });
+    }
+
+    req.resource = resource;
+    req.resourceType = RESOURCES[req.params.resource].type;
+    next();
+  } catch (error) {
+    console.error('Load attachment resource error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Middleware to accept up to MAX_FILES_PER_UPLOAD files in the "files" field
+const uploadFiles = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxAttachmentSize(), files: MAX_FILES_PER_UPLOAD }
+  });
+
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Attachments can be at most ${getMaxAttachmentSize()} bytes`
+      });
+    }
+    if (error) {
+      return res.status(400).json({ error: 'Upload failed', message: error.message });
+    }
+    next();
+  });
+};
+
+// Find one of the resource's attachments, or send a 404
+const findAttachment = async (req, res) => {
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? await Attachment.findOne({
+      _id: req.params.attachmentId,
+      resourceType: req.resourceType,
+      resource: req.resource._id
+    })
+    : null;
+
+  if (!attachment) {
+    res.status(404).json({ error: 'Attachment not found' });
+  }
+  return attachment;
+};
+
+// Stream a stored file to the response
+const sendFile = async (res, storageName, key, { contentType, filename }) => {
+  try {
+    const stream = await getStorage(storageName).read(key);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', contentDisposition(filename));
+    res.set('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (error) => {
+      console.error('Read attachment error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Attachment file not found' });
+    }
+    throw error;
+  }
+};
+
+// @route   POST /api/activities/:id/attachments, /api/offsets/:id/attachments
+// @desc    Attach receipts, bills or photos. Fields: files (JPEG, PNG, WebP,
+//          GIF or PDF), description. Images get a thumbnail.
+// @access  Private
+router.post(RESOURCE_PATH, [authenticateToken, loadResource, uploadFiles, idempotentUpload], async (req, res) => {
+  try {
+    const user = req.user;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded', message: 'Send the files in the "files" field' });
+    }
+
+    if (req.resource.trash?.deletedAt) {
+      return res.status(400).json({ error: 'Activity is in the trash' });
+    }
+
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() : undefined;
+    if (description && description.length > 500) {
+      return res.status(400).json({ error: 'Description cannot be more than 500 characters' });
+    }
+
+    const existing = await Attachment.countDocuments({ resourceType: req.resourceType, resource: req.resource._id });
+    if (existing + files.length > getMaxAttachmentsPerResource()) {
+      return res.status(400).json({
+        error: 'Too many attachments',
+        message: `A ${req.resourceType} can have at most ${getMaxAttachmentsPerResource()} attachments`
+      });
+    }
+
+    // Check every file before storing any
+    const prepared = [];
+    for (const file of files) {
+      const contentType = detectContentType(file.buffer);
+      if (!contentType) {
+        return res.status(415).json({
+          error: 'Unsupported file type',
+          message: `${file.originalname} is not one of ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+        });
+      }
+
+      let image = {};
+      if (isImage(contentType)) {
+        image = await createThumbnail(file.buffer);
+        if (image.error) {
+          return res.status(400).json({ error: 'Invalid image', message: `${file.originalname}: ${image.error}` });
+        }
+      }
+
+      prepared.push({ file, contentType, image });
+    }
+
+    const storageName = getStorageName();
+    const storage = getStorage(storageName);
+    const attachments = [];
+
+    try {
+      for (const { file, contentType, image } of prepared) {
+        const attachment = new Attachment({
+          user: user._id,
+          resourceType: req.resourceType,
+          resource: req.resource._id,
+          filename: file.originalname,
+          contentType,
+          size: file.size,
+          width: image.width,
+          height: image.height,
+          storage: storageName,
+          description
+        });
+
+        const baseKey = `${user._id}/${req.resource._id}/${attachment._id}`;
+        attachment.key = `${baseKey}${ATTACHMENT_TYPES[contentType]}`;
+        attachments.push(attachment);
+        await storage.save(attachment.key, file.buffer, { contentType });
+
+        if (image.thumbnail) {
+          attachment.thumbnail = {
+            key: `${baseKey}-thumb.webp`,
+            contentType: 'image/webp',
+            width: image.thumbnail.width,
+            height: image.thumbnail.height,
+            size: image.thumbnail.buffer.length
+          };
+          await storage.save(attachment.thumbnail.key, image.thumbnail.buffer, { contentType: 'image/webp' });
+        }
+
+        await attachment.save();
+      }
+    } catch (error) {
+      // Leave nothing behind from a partly stored upload
+      for (const attachment of attachments) {
+        await attachment.removeFiles().catch(() => {});
+      }
+      await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments: attachments.map(attachment => attachment.toResponseFormat())
+    });
+
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/:id/attachments, /api/offsets/:id/attachments
+// @desc    List the attachments of an activity or offset, oldest first
+// @access  Private
+router.get(RESOURCE_PATH, [authenticateToken, loadResource], async (req, res) => {
+  try {
+    const attachments = await Attachment.find({
+      resourceType: req.resourceType,
+      resource: req.resource._id
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      attachments: attachments.map(attachment => attachment.toResponseFormat()),
+      limits: {
+        maxFileSize: getMaxAttachmentSize(),
+        maxAttachments: getMaxAttachmentsPerResource(),
+        contentTypes: Object.keys(ATTACHMENT_TYPES)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/:id/attachments/:attachmentId/file
+// @desc    Download an attachment (also under /api/offsets)
+// @access  Private
+router.get(`${RESOURCE_PATH}/:attachmentId/file`, [authenticateToken, loadResource], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    await sendFile(res, attachment.storage, attachment.key, attachment);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/:id/attachments/:attachmentId/thumbnail
+// @desc    Get an image attachment's thumbnail (also under /api/offsets)
+// @access  Private
+router.get(`${RESOURCE_PATH}/:attachmentId/thumbnail`, [authenticateToken, loadResource], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    if (!attachment.thumbnail?.key) {
+      return res.status(404).json({ error: 'Attachment has no thumbnail' });
+    }
+
+    await sendFile(res, attachment.storage, attachment.thumbnail.key, {
+      contentType: attachment.thumbnail.contentType,
+      filename: `${attachment.filename.replace(/\.[^.]*$/, '')}-thumbnail.webp`
+    });
+
+  } catch (error) {
+    console.error('Get attachment thumbnail error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/activities/:id/attachments/:attachmentId
+// @desc    Delete an attachment and its files (also under /api/offsets)
+// @access  Private
+router.delete(`${RESOURCE_PATH}/:attachmentId`, [authenticateToken, loadResource], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    await attachment.removeFiles();
+    await attachment.deleteOne();
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
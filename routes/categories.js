@@ -0,0 +1,393 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import ActivityCategory from '../models/ActivityCategory.js';
+import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import {
+  activeTaxonomy,
+  clearTaxonomyCache,
+  FIELD_TYPES,
+  getDefaultTaxonomy,
+  getTaxonomy,
+  getTaxonomyCacheSeconds
+} from '../utils/taxonomy.js';
+
+const router = express.Router();
+
+// Rules for the display settings a category and a subcategory share
+const displayRules = () => [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label must be between 1 and 100 characters'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Icon cannot be more than 50 characters'),
+  body('defaultUnit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Default unit cannot be more than 20 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be boolean')
+];
+
+// Rules for the data fields a category or subcategory describes
+const fieldRules = () => [
+  body('fields')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Fields must be a list of at most 50 fields'),
+  body('fields.*.name')
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9]*$/)
+    .withMessage('Field names must be alphanumeric, like distance or vehicleType'),
+  body('fields.*.type')
+    .optional()
+    .isIn(FIELD_TYPES)
+    .withMessage(`Field type must be one of ${FIELD_TYPES.join(', ')}`),
+  body('fields.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Field required must be boolean'),
+  body('fields.*.alternatives')
+    .optional()
+    .isArray()
+    .withMessage('Field alternatives must be a list of field names')
+];
+
+// Find a stored category, or build an unsaved one from its built-in defaults
+const findCategory = async (name) => {
+  const stored = await ActivityCategory.findOne({ name });
+  if (stored) return stored;
+
+  const defaults = getDefaultTaxonomy().find(category => category.name === name);
+  return defaults ? new ActivityCategory(defaults) : null;
+};
+
+// Set the fields of a category or subcategory that the request gives
+const applyChanges = (target, changes) => {
+  Object.entries(changes)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => target.set(key, value));
+};
+
+// @route   GET /api/categories
+// @desc    Get the activity taxonomy: categories, their subcategories and the
+//          data fields each needs. Admins can add ?includeInactive=true.
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const taxonomy = await getTaxonomy();
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+
+    res.set('Cache-Control', `private, max-age=${getTaxonomyCacheSeconds()}`);
+    res.json({ categories: includeInactive ? taxonomy : activeTaxonomy(taxonomy) });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Add a category. Activities in it need a manual footprint, as the
+//          calculator only knows the built-in categories.
+// @access  Admin
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{0,49}$/)
+    .withMessage('Name must be a lowercase key of at most 50 characters, like transportation'),
+  ...displayRules(),
+  ...fieldRules(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, label, icon, description, defaultUnit, order, fields, isActive } = req.body;
+    if (await findCategory(name)) {
+      return res.status(409).json({
+        error: 'Category already exists',
+        message: `${name} is already a category, update it instead`
+      });
+    }
+
+    const taxonomy = await getTaxonomy();
+    const category = await ActivityCategory.create({
+      name,
+      label: label || name.replace(/\b\w/g, letter => letter.toUpperCase()),
+      icon,
+      description,
+      defaultUnit,
+      order: order ?? Math.max(0, ...taxonomy.map(existing => existing.order)) + 1,
+      fields,
+      isActive,
+      updatedBy: req.user._id
+    });
+
+    clearTaxonomyCache();
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: category.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/categories/seed
+// @desc    Store the built-in categories so admins can curate them
+// @access  Admin
+router.post('/seed', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    let created = 0;
+
+    for (const defaults of getDefaultTaxonomy()) {
+      // Never overwrite a category an admin has already curated
+      const exists = await ActivityCategory.exists({ name: defaults.name });
+      if (exists) continue;
+
+      await ActivityCategory.create({ ...defaults, updatedBy: req.user._id });
+      created++;
+    }
+
+    clearTaxonomyCache();
+
+    res.status(201).json({
+      message: 'Categories seeded successfully',
+      created
+    });
+
+  } catch (error) {
+    console.error('Seed categories error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/categories/:name
+// @desc    Update a category's label, icon, description, default unit,
+//          order, data fields or whether it can be picked
+// @access  Admin
+router.put('/:name', [
+  authenticateToken,
+  requireAdmin,
+  ...displayRules(),
+  ...fieldRules(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await findCategory(req.params.name);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { label, icon, description, defaultUnit, order, fields, isActive } = req.body;
+    applyChanges(category, { label, icon, description, defaultUnit, order, fields, isActive });
+    category.updatedBy = req.user._id;
+    await category.save();
+
+    clearTaxonomyCache();
+
+    res.json({
+      message: 'Category updated successfully',
+      category: category.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/categories/:name/subcategories
+// @desc    Add a subcategory to a category
+// @access  Admin
+router.post('/:name/subcategories', [
+  authenticateToken,
+  requireAdmin,
+  body('name')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...displayRules(),
+  ...fieldRules()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await findCategory(req.params.name);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, label, icon, defaultUnit, fields, isActive } = req.body;
+    if (category.getSubcategory(name)) {
+      return res.status(409).json({
+        error: 'Subcategory already exists',
+        message: `${category.name} already has a ${name} subcategory, update it instead`
+      });
+    }
+
+    category.subcategories.push({
+      name,
+      label: label || name.replace(/\b\w/g, letter => letter.toUpperCase()),
+      icon,
+      defaultUnit,
+      fields,
+      isActive
+    });
+    category.updatedBy = req.user._id;
+    await category.save();
+
+    clearTaxonomyCache();
+
+    res.status(201).json({
+      message: 'Subcategory added successfully',
+      category: category.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Add subcategory error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/categories/:name/subcategories/:subcategory
+// @desc    Update a subcategory's label, icon, default unit, data fields or
+//          whether it can be picked
+// @access  Admin
+router.put('/:name/subcategories/:subcategory', [
+  authenticateToken,
+  requireAdmin,
+  ...displayRules(),
+  ...fieldRules()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await findCategory(req.params.name);
+    const subcategory = category?.getSubcategory(req.params.subcategory);
+
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found' });
+    }
+
+    const { label, icon, defaultUnit, fields, isActive } = req.body;
+    applyChanges(subcategory, { label, icon, defaultUnit, fields, isActive });
+    category.updatedBy = req.user._id;
+    await category.save();
+
+    clearTaxonomyCache();
+
+    res.json({
+      message: 'Subcategory updated successfully',
+      category: category.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Update subcategory error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/categories/:name/subcategories/:subcategory
+// @desc    Retire a subcategory. Activities that use it keep it, but new and
+//          edited activities cannot pick it.
+// @access  Admin
+router.delete('/:name/subcategories/:subcategory', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const category = await findCategory(req.params.name);
+    const subcategory = category?.getSubcategory(req.params.subcategory);
+
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found' });
+    }
+
+    subcategory.isActive = false;
+    category.updatedBy = req.user._id;
+    await category.save();
+
+    clearTaxonomyCache();
+
+    res.json({ message: 'Subcategory retired successfully' });
+
+  } catch (error) {
+    console.error('Delete subcategory error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,316 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import EmissionFactor from '../models/EmissionFactor.js';
+import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { getDefaultFactors } from '../utils/emissionFactors.js';
+
+const router = express.Router();
+
+// @route   GET /api/emission-factors
+// @desc    Get emission factors from the catalog
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { category, subcategory, fuel, region, includeInactive, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (category) filter.category = category;
+    if (subcategory) filter.subcategory = subcategory.toLowerCase();
+    if (fuel) filter.fuel = fuel.toLowerCase();
+    if (region) filter.region = region.toUpperCase();
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const factors = await EmissionFactor.find(filter)
+      .sort({ category: 1, subcategory: 1, fuel: 1, region: 1, version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await EmissionFactor.countDocuments(filter);
+
+    res.json({
+      factors: factors.map(factor => factor.toResponseFormat()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get emission factors error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/emission-factors/seed
+// @desc    Load the built-in default factors into the catalog
+// @access  Admin
+router.post('/seed', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    let created = 0;
+
+    for (const defaults of getDefaultFactors()) {
+      const key = {
+        category: defaults.category,
+        subcategory: defaults.subcategory,
+        fuel: defaults.fuel || null,
+        region: defaults.region || 'GLOBAL'
+      };
+
+      // Never overwrite a key an admin has already curated
+      const exists = await EmissionFactor.exists(key);
+      if (exists) continue;
+
+      await EmissionFactor.create({ ...defaults, ...key, version: 1, createdBy: req.user._id });
+      created++;
+    }
+
+    res.status(201).json({
+      message: 'Emission factors seeded successfully',
+      created
+    });
+
+  } catch (error) {
+    console.error('Seed emission factors error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/emission-factors/:id
+// @desc    Get a specific emission factor, including superseded versions
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const factor = await EmissionFactor.findById(req.params.id);
+
+    if (!factor) {
+      return res.status(404).json({ error: 'Emission factor not found' });
+    }
+
+    const versions = await EmissionFactor.find({
+      category: factor.category,
+      subcategory: factor.subcategory,
+      fuel: factor.fuel,
+      region: factor.region
+    }).sort({ version: -1 });
+
+    res.json({
+      factor: factor.toResponseFormat(),
+      versions: versions.map(version => version.toResponseFormat())
+    });
+
+  } catch (error) {
+    console.error('Get emission factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/emission-factors
+// @desc    Create an emission factor for a key (category, subcategory, fuel
+//          and region) with no active version
+// @access  Admin
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('category')
+    .isIn(['transportation', 'energy', 'food', 'waste', 'water', 'shopping', 'travel', 'other'])
+    .withMessage('Invalid category'),
+  body('subcategory')
+    .trim()
+    .notEmpty()
+    .withMessage('Subcategory is required'),
+  body('region')
+    .optional()
+    .matches(/^([A-Za-z]{2}|GLOBAL)$/)
+    .withMessage('Region must be an ISO country code or GLOBAL'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Factor value must be a positive number'),
+  body('unit')
+    .isIn(['km', 'kWh', 'kg', 'L', 'USD'])
+    .withMessage('Invalid factor unit'),
+  body('source')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Source must be between 1 and 200 characters'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from must be a valid ISO date'),
+  body('validTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid to must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { category, subcategory, fuel, region, value, unit, source, validFrom, validTo, notes } = req.body;
+    const key = {
+      category,
+      subcategory: subcategory.toLowerCase(),
+      fuel: fuel ? fuel.toLowerCase() : null,
+      region: region ? region.toUpperCase() : 'GLOBAL'
+    };
+
+    // A new version of an existing factor must supersede the active one
+    const active = await EmissionFactor.findOne({ ...key, isActive: true });
+    if (active) {
+      return res.status(409).json({
+        error: 'Emission factor already exists',
+        message: `Version ${active.version} of this factor is active, publish a new version with PUT /api/emission-factors/${active._id}`,
+        factorId: active._id
+      });
+    }
+
+    const factor = new EmissionFactor({
+      ...key,
+      value,
+      unit,
+      source,
+      validFrom: validFrom ? new Date(validFrom) : undefined,
+      validTo: validTo ? new Date(validTo) : undefined,
+      notes,
+      version: await EmissionFactor.getNextVersion(key),
+      createdBy: req.user._id
+    });
+    await factor.save();
+
+    res.status(201).json({
+      message: 'Emission factor created successfully',
+      factor: factor.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Create emission factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/emission-factors/:id
+// @desc    Publish a new version of an emission factor
+// @access  Admin
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Factor value must be a positive number'),
+  body('unit')
+    .optional()
+    .isIn(['km', 'kWh', 'kg', 'L', 'USD'])
+    .withMessage('Invalid factor unit'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Source must be between 1 and 200 characters'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from must be a valid ISO date'),
+  body('validTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid to must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const current = await EmissionFactor.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Emission factor not found' });
+    }
+
+    if (!current.isActive) {
+      return res.status(400).json({ error: 'Only the active version of a factor can be updated' });
+    }
+
+    // Factors are never edited in place: activities reference the exact
+    // version they were calculated with, so a change publishes a new version.
+    // The new version applies from validFrom (now by default) and the old one
+    // keeps applying to earlier dates.
+    const { value, unit, source, validFrom, validTo, notes } = req.body;
+    const effectiveFrom = validFrom ? new Date(validFrom) : new Date();
+    if (effectiveFrom <= current.validFrom) {
+      return res.status(400).json({
+        error: 'Invalid valid from date',
+        message: `A new version must apply from after ${current.validFrom.toISOString()}, when the current version starts`
+      });
+    }
+
+    const factor = new EmissionFactor({
+      category: current.category,
+      subcategory: current.subcategory,
+      fuel: current.fuel,
+      region: current.region,
+      value: value ?? current.value,
+      unit: unit ?? current.unit,
+      source: source ?? current.source,
+      validFrom: effectiveFrom,
+      validTo: validTo ? new Date(validTo) : current.validTo,
+      notes: notes ?? current.notes,
+      version: await EmissionFactor.getNextVersion(current),
+      createdBy: req.user._id
+    });
+    await factor.save();
+
+    current.isActive = false;
+    current.supersededBy = factor._id;
+    if (!current.validTo || current.validTo > effectiveFrom) {
+      current.validTo = effectiveFrom;
+    }
+    await current.save();
+
+    res.json({
+      message: 'Emission factor updated successfully',
+      factor: factor.toResponseFormat(),
+      previous: current.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Update emission factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/emission-factors/:id
+// @desc    Retire an emission factor (kept for reproducing historic footprints)
+// @access  Admin
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const factor = await EmissionFactor.findById(req.params.id);
+
+    if (!factor) {
+      return res.status(404).json({ error: 'Emission factor not found' });
+    }
+
+    factor.isActive = false;
+    await factor.save();
+
+    res.json({ message: 'Emission factor retired successfully' });
+
+  } catch (error) {
+    console.error('Delete emission factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { DEFAULT_EXCHANGE_RATES } from '../utils/currency.js';
+
+const router = express.Router();
+
+const currencyParam = () => param('currency')
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage('Currency must be an ISO 4217 code');
+
+// @route   GET /api/exchange-rates
+// @desc    Get the exchange rates used to convert spend to US dollars.
+//          Currencies without a stored rate use the built-in default.
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const stored = await ExchangeRate.find().sort({ currency: 1 });
+    const storedCurrencies = new Set(stored.map(rate => rate.currency));
+
+    const defaults = Object.entries(DEFAULT_EXCHANGE_RATES)
+      .filter(([currency]) => !storedCurrencies.has(currency))
+      .map(([currency, rate]) => ({ currency, rate, source: 'default' }));
+
+    const rates = [...stored.map(rate => rate.toResponseFormat()), ...defaults]
+      .sort((a, b) => a.currency.localeCompare(b.currency));
+
+    res.json({ base: 'USD', rates });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates/seed
+// @desc    Load the built-in default rates into the table
+// @access  Admin
+router.post('/seed', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    let created = 0;
+
+    for (const [currency, rate] of Object.entries(DEFAULT_EXCHANGE_RATES)) {
+      // Never overwrite a rate an admin has already set
+      const exists = await ExchangeRate.exists({ currency });
+      if (exists) continue;
+
+      await ExchangeRate.create({ currency, rate, source: 'default', updatedBy: req.user._id });
+      created++;
+    }
+
+    res.status(201).json({
+      message: 'Exchange rates seeded successfully',
+      created
+    });
+
+  } catch (error) {
+    console.error('Seed exchange rates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Set the rate of a currency, in units per US dollar
+// @access  Admin
+router.put('/:currency', [
+  authenticateToken,
+  requireAdmin,
+  currencyParam(),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Source must be between 1 and 200 characters'),
+  body('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('As of must be a valid ISO date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { currency } = req.params;
+    if (currency === 'USD') {
+      return res.status(400).json({ error: 'USD is the base currency and always has a rate of 1' });
+    }
+
+    const { rate, source, asOf } = req.body;
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      {
+        rate,
+        source,
+        asOf: asOf ? new Date(asOf) : new Date(),
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      exchangeRate: exchangeRate.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:currency
+// @desc    Remove a stored rate, falling back to the built-in default
+// @access  Admin
+router.delete('/:currency', [authenticateToken, requireAdmin, currencyParam()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({
+      message: 'Exchange rate deleted successfully',
+      defaultRate: DEFAULT_EXCHANGE_RATES[exchangeRate.currency] ?? null
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { once } from 'events';
+import Achievement from '../models/Achievement.js';
+import Activity from '../models/Activity.js';
+import Goal from '../models/Goal.js';
+import User from '../models/User.js';
+import { COUNTED_FILTER } from '../utils/activityService.js';
+import {
+  csvHeader,
+  EXPORT_FORMATS,
+  toCsvRecord,
+  toExportRecord
+} from '../utils/exporters.js';
+import { ACTIVITY_FILTERS, buildListFilter, GOAL_FILTERS } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+const RESOURCES = ['activities', 'goals', 'achievements'];
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Build the query for a resource from the same filters its list endpoint takes
+const buildQuery = (resource, user, query) => {
+  const { category, status } = query;
+
+  // Every activity that counts towards the footprint, active or completed,
+  // unless the status filter narrows it
+  if (resource === 'activities') {
+    const filter = buildListFilter(query, ACTIVITY_FILTERS, { user: user._id, ...COUNTED_FILTER });
+    return Activity.find(filter).sort({ date: -1, _id: -1 });
+  }
+
+  if (resource === 'goals') {
+    const filter = buildListFilter(query, GOAL_FILTERS, { user: user._id });
+    return Goal.find(filter).sort({ endDate: 1, _id: 1 });
+  }
+
+  const filter = { user: user._id };
+  if (status === 'unlocked') {
+    filter.isUnlocked = true;
+  } else if (status === 'available') {
+    filter.isUnlocked = false;
+    filter.isHidden = false;
+  }
+  if (category) filter.category = category;
+  return Achievement.find(filter).sort({ createdAt: 1, _id: 1 });
+};
+
+// Write a chunk and wait for the socket to drain when its buffer is full
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+// @route   GET /api/export/:resource
+// @desc    Stream activities, goals, achievements or all of them as CSV,
+//          JSON or NDJSON. Masses are normalized to kg.
+// @access  Private
+router.get('/:resource', authenticateToken, async (req, res) => {
+  const user = req.user;
+  const { resource } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (resource !== 'all' && !RESOURCES.includes(resource)) {
+    return res.status(404).json({ error: 'Unknown export resource', resources: [...RESOURCES, 'all'] });
+  }
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Format must be csv, json or ndjson' });
+  }
+
+  if (resource === 'all' && format === 'csv') {
+    return res.status(400).json({ error: 'CSV exports cover one resource at a time, use json or ndjson for all' });
+  }
+
+  try {
+    if (resource === 'activities' || resource === 'all') {
+      // Include occurrences of recurring activities up to today
+      await Activity.materializeRecurring(user);
+    }
+
+    const resources = resource === 'all' ? RESOURCES : [resource];
+    const filename = `ecotrack-${resource}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      await write(res, resource === 'all' ? '{' : '[');
+    }
+
+    for (const [index, name] of resources.entries()) {
+      if (format === 'csv') {
+        await write(res, csvHeader(name));
+      } else if (format === 'json' && resource === 'all') {
+        await write(res, `${index > 0 ? ',' : ''}${JSON.stringify(name)}:[`);
+      }
+
+      let count = 0;
+      for await (const doc of buildQuery(name, user, req.query).cursor()) {
+        if (format === 'csv') {
+          await write(res, toCsvRecord(name, doc));
+        } else if (format === 'ndjson') {
+          const record = toExportRecord(name, doc);
+          await write(res, `${JSON.stringify(resource === 'all' ? { type: name, ...record } : record)}\n`);
+        } else {
+          await write(res, `${count > 0 ? ',' : ''}${JSON.stringify(toExportRecord(name, doc))}`);
+        }
+        count++;
+      }
+
+      if (format === 'json' && resource === 'all') {
+        await write(res, ']');
+      }
+    }
+
+    if (format === 'json') {
+      await write(res, resource === 'all' ? '}' : ']');
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      // The response is already streaming; cut it off so the file is visibly incomplete
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,349 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { query, validationResult } from 'express-validator';
+import Activity from '../models/Activity.js';
+import User from '../models/User.js';
+import { COUNTED_FILTER, footprintInKg } from '../utils/activityService.js';
+import {
+  bboxToPolygon,
+  decodeGeohashBounds,
+  encodeGeohash,
+  isValidCoordinate
+} from '../utils/geo.js';
+import { isTaxonomyCategory } from '../utils/taxonomy.js';
+import { formatEmissions, getUnitSystem } from '../utils/units.js';
+
+const router = express.Router();
+
+const MAX_FEATURES = 1000;
+
+// Footprint of an activity in kg inside an aggregation pipeline
+const FOOTPRINT_KG = {
+  $cond: [
+    { $eq: ['$carbonFootprint.unit', 'tons'] },
+    { $multiply: ['$carbonFootprint.value', 1000] },
+    '$carbonFootprint.value'
+  ]
+};
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+const filterRules = [
+  query('category')
+    .optional()
+    .custom(isTaxonomyCategory)
+    .withMessage('Invalid category'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_FEATURES })
+    .withMessage(`Limit must be between 1 and ${MAX_FEATURES}`)
+];
+
+// Build the filter for the counted activities matching the usual list filters
+const buildFilter = (user, { category, startDate, endDate }) => {
+  const filter = { user: user._id, ...COUNTED_FILTER };
+
+  if (category) filter.category = category;
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+// Parse a bbox (minLng,minLat,maxLng,maxLat) or GeoJSON polygon query value
+const parseArea = ({ bbox, polygon }) => {
+  if (bbox) {
+    const box = String(bbox).split(',').map(Number);
+    if (box.length !== 4 || !isValidCoordinate([box[0], box[1]]) || !isValidCoordinate([box[2], box[3]])
+      || box[0] >= box[2] || box[1] >= box[3]) {
+      return null;
+    }
+    return bboxToPolygon(box);
+  }
+
+  let geometry;
+  try {
+    geometry = JSON.parse(polygon);
+  } catch {
+    return null;
+  }
+
+  // Accept a bare ring of coordinates as well as a geometry or feature
+  if (Array.isArray(geometry)) geometry = { type: 'Polygon', coordinates: [geometry] };
+  if (geometry?.type === 'Feature') geometry = geometry.geometry;
+  if (!['Polygon', 'MultiPolygon'].includes(geometry?.type) || !Array.isArray(geometry.coordinates)) {
+    return null;
+  }
+
+  return geometry;
+};
+
+const toFeature = (activity, units, properties = {}) => ({
+  type: 'Feature',
+  id: String(activity._id),
+  geometry: {
+    type: 'Point',
+    coordinates: activity.location.coordinates
+  },
+  properties: {
+    ...activity.toResponseFormat(units),
+    ...properties
+  }
+});
+
+const featureCollection = (features, properties = {}) => ({
+  type: 'FeatureCollection',
+  features,
+  properties
+});
+
+// @route   GET /api/activities/geo/near
+// @desc    Activities within maxDistance metres of lng/lat, nearest first,
+//          as a GeoJSON FeatureCollection
+// @access  Private
+router.get('/near', [
+  authenticateToken,
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be a longitude'),
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be a latitude'),
+  query('maxDistance').optional().isFloat({ min: 1 }).withMessage('maxDistance must be a positive number of metres'),
+  ...filterRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { lng, lat, maxDistance = 5000, limit = 100 } = req.query;
+    const center = [parseFloat(lng), parseFloat(lat)];
+
+    await Activity.materializeRecurring(user);
+
+    const results = await Activity.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: center },
+          key: 'location.coordinates',
+          distanceField: 'distance',
+          maxDistance: parseFloat(maxDistance),
+          spherical: true,
+          query: buildFilter(user, req.query)
+        }
+      },
+      { $limit: parseInt(limit) }
+    ]);
+
+    const units = getUnitSystem(req);
+    const features = results.map(({ distance, ...doc }) => toFeature(Activity.hydrate(doc), units, {
+      distance: Math.round(distance)
+    }));
+    const totalKg = results.reduce((sum, doc) => sum + footprintInKg(doc.carbonFootprint), 0);
+
+    res.json(featureCollection(features, {
+      center,
+      maxDistance: parseFloat(maxDistance),
+      count: features.length,
+      totalKg,
+      total: formatEmissions(totalKg, units)
+    }));
+
+  } catch (error) {
+    console.error('Get nearby activities error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/geo/within
+// @desc    Activities inside a bbox (minLng,minLat,maxLng,maxLat) or a GeoJSON
+//          polygon, as a GeoJSON FeatureCollection
+// @access  Private
+router.get('/within', [authenticateToken, ...filterRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { limit = 500 } = req.query;
+
+    const area = parseArea(req.query);
+    if (!area) {
+      return res.status(400).json({ error: 'Provide bbox as minLng,minLat,maxLng,maxLat or polygon as GeoJSON' });
+    }
+
+    await Activity.materializeRecurring(user);
+
+    const filter = {
+      ...buildFilter(user, req.query),
+      'location.coordinates': { $geoWithin: { $geometry: area } }
+    };
+
+    const activities = await Activity.find(filter)
+      .sort({ date: -1 })
+      .limit(parseInt(limit));
+
+    const total = await Activity.countDocuments(filter);
+
+    const units = getUnitSystem(req);
+    res.json(featureCollection(activities.map(activity => toFeature(activity, units)), {
+      area,
+      count: activities.length,
+      total
+    }));
+
+  } catch (error) {
+    if (error.name === 'MongoServerError' && /geo|polygon|loop/i.test(error.message)) {
+      return res.status(400).json({ error: 'Invalid polygon', message: error.message });
+    }
+    console.error('Get activities within area error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/geo/aggregate
+// @desc    Footprint grouped by city, country or geohash cell (precision 1-8)
+//          as a GeoJSON FeatureCollection for map heatmaps
+// @access  Private
+router.get('/aggregate', [
+  authenticateToken,
+  query('groupBy').optional().isIn(['city', 'country', 'geohash']).withMessage('groupBy must be city, country or geohash'),
+  query('precision').optional().isInt({ min: 1, max: 8 }).withMessage('precision must be between 1 and 8'),
+  ...filterRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { groupBy = 'geohash', precision = 5 } = req.query;
+
+    await Activity.materializeRecurring(user);
+
+    const filter = {
+      ...buildFilter(user, req.query),
+      'location.coordinates.1': { $exists: true }
+    };
+
+    const units = getUnitSystem(req);
+    let features;
+
+    if (groupBy === 'geohash') {
+      const cells = new Map();
+      const cursor = Activity.find(filter)
+        .select('location.coordinates carbonFootprint.value carbonFootprint.unit')
+        .lean()
+        .cursor();
+
+      for await (const activity of cursor) {
+        const hash = encodeGeohash(activity.location.coordinates, parseInt(precision));
+        const cell = cells.get(hash) || { totalKg: 0, count: 0 };
+        cell.totalKg += footprintInKg(activity.carbonFootprint);
+        cell.count++;
+        cells.set(hash, cell);
+      }
+
+      features = [...cells.entries()]
+        .sort(([, a], [, b]) => b.totalKg - a.totalKg)
+        .map(([hash, cell]) => ({
+          type: 'Feature',
+          id: hash,
+          geometry: bboxToPolygon(decodeGeohashBounds(hash)),
+          properties: { geohash: hash, ...cell, total: formatEmissions(cell.totalKg, units) }
+        }));
+    } else {
+      const groupKey = groupBy === 'city'
+        ? { city: '$location.city', country: '$location.country' }
+        : { country: '$location.country' };
+
+      const groups = await Activity.aggregate([
+        { $match: { ...filter, [`location.${groupBy}`]: { $nin: [null, ''] } } },
+        {
+          $group: {
+            _id: groupKey,
+            totalKg: { $sum: FOOTPRINT_KG },
+            count: { $sum: 1 },
+            longitude: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+            latitude: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } }
+          }
+        },
+        { $sort: { totalKg: -1 } }
+      ]);
+
+      // Each group is placed at the centroid of its activities
+      features = groups.map(group => ({
+        type: 'Feature',
+        id: Object.values(group._id).join(', '),
+        geometry: {
+          type: 'Point',
+          coordinates: [group.longitude, group.latitude]
+        },
+        properties: {
+          ...group._id,
+          totalKg: group.totalKg,
+          total: formatEmissions(group.totalKg, units),
+          count: group.count
+        }
+      }));
+    }
+
+    const totalKg = features.reduce((sum, feature) => sum + feature.properties.totalKg, 0);
+
+    res.json(featureCollection(features, {
+      groupBy,
+      precision: groupBy === 'geohash' ? parseInt(precision) : undefined,
+      totalKg,
+      total: formatEmissions(totalKg, units)
+    }));
+
+  } catch (error) {
+    console.error('Get geo aggregate error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
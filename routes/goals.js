@@ -1,11 +1,29 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
 import Goal from '../models/Goal.js';
+import Revision from '../models/Revision.js';
 import User from '../models/User.js';
+import {
+  buildListFilter,
+  GOAL_FILTERS,
+  MAX_LIST_LIMIT,
+  paginate,
+  parseSort
+} from '../utils/listQuery.js';
+import { takeSnapshot } from '../utils/revisions.js';
+import { getUnitSystem, normalizeGoalUnits, normalizeUnits, toStoredGoalValue } from '../utils/units.js';
 
 const router = express.Router();
 
+const GOAL_SORT_FIELDS = {
+  endDate: { path: 'endDate', type: 'date' },
+  startDate: { path: 'startDate', type: 'date' },
+  createdAt: { path: 'createdAt', type: 'date' },
+  title: { path: 'title', type: 'string' },
+  target: { path: 'target.value', type: 'number' }
+};
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -34,6 +52,7 @@ const authenticateToken = async (req, res, next) => {
 // @access  Private
 router.post('/', [
   authenticateToken,
+  normalizeUnits(normalizeGoalUnits),
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -76,7 +95,7 @@ router.post('/', [
 
     res.status(201).json({
       message: 'Goal created successfully',
-      goal: goal.toResponseFormat()
+      goal: goal.toResponseFormat(getUnitSystem(req))
     });
 
   } catch (error) {
@@ -86,34 +105,52 @@ router.post('/', [
 });
 
 // @route   GET /api/goals
-// @desc    Get user's goals
+// @desc    Get user's goals. Filters: status, category, priority,
+//          difficulty, tags (tagMatch=all). sort: comma-separated fields,
+//          "-" for descending. Paging: page/limit, or the next/prev cursor.
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', [
+  authenticateToken,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIST_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIST_LIMIT}`),
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMatch must be any or all')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
     const user = req.user;
-    const { status, category, page = 1, limit = 10 } = req.query;
 
-    const filter = { user: user._id };
-    if (status) filter.status = status;
-    if (category) filter.category = category;
+    const { sort, error: sortError } = parseSort(req.query.sort, GOAL_SORT_FIELDS, 'endDate');
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const goals = await Goal.find(filter)
-      .sort({ endDate: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const filter = buildListFilter(req.query, GOAL_FILTERS, { user: user._id });
 
-    const total = await Goal.countDocuments(filter);
+    const { docs, pagination, error } = await paginate(Goal, { filter, sort, query: req.query });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
+    const units = getUnitSystem(req);
     res.json({
-      goals: goals.map(goal => goal.toResponseFormat()),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      goals: docs.map(goal => goal.toResponseFormat(units)),
+      pagination
     });
 
   } catch (error) {
@@ -137,7 +174,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
-    res.json({ goal: goal.toResponseFormat() });
+    res.json({ goal: goal.toResponseFormat(getUnitSystem(req)) });
 
   } catch (error) {
     console.error('Get goal error:', error);
@@ -179,13 +216,15 @@ router.put('/:id', [
       return res.status(404).json({ error: 'Goal not found' });
     }
 
-    // Update goal
-    Object.assign(goal, req.body);
+    // Update goal, values without a unit are in the unit the goal is shown in
+    const before = takeSnapshot(goal, 'goal');
+    Object.assign(goal, normalizeGoalUnits(req.body, getUnitSystem(req), goal.target.unit));
     await goal.save();
+    await Revision.record('goal', goal, before, { actor: user._id });
 
     res.json({
       message: 'Goal updated successfully',
-      goal: goal.toResponseFormat()
+      goal: goal.toResponseFormat(getUnitSystem(req))
     });
 
   } catch (error) {
@@ -223,11 +262,13 @@ router.put('/:id/progress', [
     }
 
     // Update progress
-    await goal.updateProgress(req.body.value);
+    const before = takeSnapshot(goal, 'goal');
+    await goal.updateProgress(toStoredGoalValue(req.body.value, goal.target.unit, getUnitSystem(req)));
+    await Revision.record('goal', goal, before, { actor: user._id, action: 'progress' });
 
     res.json({
       message: 'Progress updated successfully',
-      goal: goal.toResponseFormat()
+      goal: goal.toResponseFormat(getUnitSystem(req))
     });
 
   } catch (error) {
@@ -236,6 +277,88 @@ router.put('/:id/progress', [
   }
 });
 
+// @route   GET /api/goals/:id/history
+// @desc    Get a goal's revisions, newest first
+// @access  Private
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const revisions = await Revision.getHistory('goal', goal._id);
+
+    res.json({
+      revisions: revisions.map(revision => revision.toResponseFormat())
+    });
+
+  } catch (error) {
+    console.error('Get goal history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/goals/:id/revert
+// @desc    Revert a goal to how it was at a revision. Body: { version },
+//          where 0 is the goal as first created
+// @access  Private
+router.post('/:id/revert', [
+  authenticateToken,
+  body('version')
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const version = parseInt(req.body.version);
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const before = takeSnapshot(goal, 'goal');
+    const undone = await Revision.revertTo('goal', goal, version);
+    if (undone === null) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await goal.save();
+    const revision = await Revision.record('goal', goal, before, {
+      actor: user._id,
+      action: 'revert',
+      revertedTo: version
+    });
+
+    res.json({
+      message: 'Goal reverted successfully',
+      revision: revision ? revision.toResponseFormat() : null,
+      goal: goal.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Revert goal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/goals/:id
 // @desc    Delete a goal
 // @access  Private
@@ -284,10 +407,11 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
         : 0
     };
 
+    const units = getUnitSystem(req);
     res.json({
       stats,
-      activeGoals: activeGoals.map(goal => goal.toResponseFormat()),
-      recentCompleted: completedGoals.map(goal => goal.toResponseFormat())
+      activeGoals: activeGoals.map(goal => goal.toResponseFormat(units)),
+      recentCompleted: completedGoals.map(goal => goal.toResponseFormat(units))
     });
 
   } catch (error) {
@@ -0,0 +1,791 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import path from 'path';
+import Activity from '../models/Activity.js';
+import Attachment from '../models/Attachment.js';
+import ImportBatch from '../models/ImportBatch.js';
+import MeterReading from '../models/MeterReading.js';
+import User from '../models/User.js';
+import {
+  applyAllocation,
+  applyBaseline,
+  countedKg,
+  footprintInKg,
+  FOOTPRINT_ERROR,
+  prepareActivityData
+} from '../utils/activityService.js';
+import { validateActivityInput } from '../utils/activityValidation.js';
+import { calculateCarbonFootprint } from '../utils/carbonCalculator.js';
+import { findDuplicates, isDuplicateOf } from '../utils/duplicates.js';
+import { idempotentUpload } from '../utils/idempotency.js';
+import {
+  localDayStart,
+  parseGreenButton,
+  parseIntervalCsv,
+  toLocalDayKey
+} from '../utils/meterData.js';
+import {
+  buildColumnMapping,
+  detectFormat,
+  mapRow,
+  MAX_IMPORT_ROWS,
+  parseSpreadsheet
+} from '../utils/spreadsheet.js';
+import { validateActivityTaxonomy } from '../utils/taxonomy.js';
+import {
+  detectTrackFormat,
+  inferTripMode,
+  parseTracks,
+  TRIP_MODES
+} from '../utils/tracks.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024 }
+});
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Middleware to accept a single uploaded file in the "file" field
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: 'Upload failed', message: error.message });
+    }
+    next();
+  });
+};
+
+// Parse a JSON-encoded multipart field, returning undefined when it is invalid
+const parseJsonField = (value) => {
+  if (value === undefined || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// @route   POST /api/activities/import
+// @desc    Import activities from a CSV or XLSX file. Fields: file, mapping
+//          (JSON { column: fieldPath }), defaults (JSON activity fields),
+//          dryRun, skipInvalid, skipDuplicates
+// @access  Private
+router.post('/', [authenticateToken, uploadFile, idempotentUpload], async (req, res) => {
+  try {
+    const user = req.user;
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+    const skipDuplicates = req.body.skipDuplicates === 'true' || req.body.skipDuplicates === true;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required in the "file" field' });
+    }
+
+    const format = detectFormat(req.file);
+    if (!format) {
+      return res.status(400).json({ error: 'Unsupported file type, upload a .csv or .xlsx file' });
+    }
+
+    const customMapping = parseJsonField(req.body.mapping);
+    const defaults = parseJsonField(req.body.defaults);
+    if (!customMapping || !defaults) {
+      return res.status(400).json({ error: 'mapping and defaults must be valid JSON objects' });
+    }
+
+    // Import provenance is set by the server
+    delete defaults.externalId;
+    delete defaults.importBatch;
+
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unable to read file', message: error.message });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no data rows' });
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    const mapping = buildColumnMapping(parsed.headers, customMapping);
+    const prepared = [];
+    const rowErrors = [];
+    const duplicateRows = [];
+
+    for (const [index, row] of parsed.rows.entries()) {
+      // Row 1 is the header row
+      const rowNumber = index + 2;
+      const { input, errors: mappingErrors } = mapRow(row, mapping, defaults);
+      const validationErrors = await validateActivityInput(input);
+      const errors = [...mappingErrors, ...validationErrors.map(error => `${error.path}: ${error.msg}`)];
+
+      if (errors.length === 0) {
+        const { activityData, error } = await prepareActivityData(user, { ...input, isRecurring: false });
+        if (error) {
+          errors.push(error.message ? `${error.error}: ${error.message}` : error.error);
+        } else {
+          // Rows already logged, or repeated earlier in the file
+          const existing = await findDuplicates(user, activityData);
+          const earlier = prepared.find(item => isDuplicateOf(activityData, item.activityData));
+          if (existing.length > 0 || earlier) {
+            duplicateRows.push({
+              row: rowNumber,
+              duplicateOf: existing.length > 0 ? { id: existing[0]._id } : { row: earlier.row }
+            });
+          }
+          if (!(skipDuplicates && (existing.length > 0 || earlier))) {
+            prepared.push({ row: rowNumber, activityData });
+          }
+        }
+      }
+
+      if (errors.length > 0) {
+        rowErrors.push({ row: rowNumber, errors });
+      }
+    }
+
+    const totalKg = prepared.reduce((sum, item) => sum + footprintInKg(item.activityData.carbonFootprint), 0);
+    const summary = {
+      format,
+      mapping,
+      rowCount: parsed.rows.length,
+      validCount: prepared.length,
+      errorCount: rowErrors.length,
+      duplicateCount: duplicateRows.length,
+      duplicatesSkipped: skipDuplicates,
+      totalKg,
+      errors: rowErrors,
+      duplicates: duplicateRows
+    };
+
+    if (dryRun) {
+      return res.json({
+        message: 'Dry run completed, nothing was imported',
+        dryRun: true,
+        ...summary,
+        preview: prepared.slice(0, 20).map(({ row, activityData }) => ({
+          row,
+          category: activityData.category,
+          subcategory: activityData.subcategory,
+          title: activityData.title,
+          date: activityData.date,
+          carbonFootprint: activityData.carbonFootprint
+        }))
+      });
+    }
+
+    if (rowErrors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Fix the rows listed in errors, or set skipInvalid to import only the valid rows',
+        ...summary
+      });
+    }
+
+    if (prepared.length === 0) {
+      return res.status(400).json({ error: 'No valid rows to import', ...summary });
+    }
+
+    const batch = new ImportBatch({
+      user: user._id,
+      filename: req.file.originalname,
+      format,
+      mapping,
+      rowCount: parsed.rows.length,
+      importedCount: prepared.length,
+      skippedRows: rowErrors,
+      totalKg
+    });
+
+    // Record the batch only once its rows are in, and leave nothing behind
+    // when either fails
+    try {
+      await Activity.insertMany(prepared.map(({ activityData }) => ({
+        ...activityData,
+        importBatch: batch._id
+      })));
+      await batch.save();
+    } catch (error) {
+      await Activity.deleteMany({ user: user._id, importBatch: batch._id });
+      throw error;
+    }
+
+    // Update user's total carbon footprint once for the whole import
+    user.carbonFootprint.total += totalKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.status(201).json({
+      message: 'Activities imported successfully',
+      importId: batch._id,
+      ...summary,
+      import: batch.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Import activities error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/import/energy
+// @desc    Import smart-meter readings from a Green Button (ESPI XML) or
+//          interval CSV file as daily electricity activities. Fields: file,
+//          meterId, utcOffsetMinutes, country, and for CSV timestampColumn,
+//          valueColumn, durationColumn, unit (kWh or Wh)
+// @access  Private
+router.post('/energy', [authenticateToken, uploadFile, idempotentUpload], async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A Green Button XML or interval CSV file is required in the "file" field' });
+    }
+
+    const extension = path.extname(req.file.originalname || '').toLowerCase();
+    const isXml = extension === '.xml' || /xml/.test(req.file.mimetype);
+    if (!isXml && extension !== '.csv' && req.file.mimetype !== 'text/csv') {
+      return res.status(400).json({ error: 'Unsupported file type, upload a Green Button .xml or interval .csv file' });
+    }
+
+    const requestedOffset = req.body.utcOffsetMinutes !== undefined && req.body.utcOffsetMinutes !== ''
+      ? parseInt(req.body.utcOffsetMinutes)
+      : null;
+    if (Number.isNaN(requestedOffset) || Math.abs(requestedOffset) > 14 * 60) {
+      return res.status(400).json({ error: 'utcOffsetMinutes must be between -840 and 840' });
+    }
+
+    let parsed;
+    try {
+      parsed = isXml
+        ? parseGreenButton(req.file.buffer)
+        : parseIntervalCsv(req.file.buffer, {
+          timestampColumn: req.body.timestampColumn,
+          valueColumn: req.body.valueColumn,
+          durationColumn: req.body.durationColumn,
+          unit: req.body.unit,
+          utcOffsetMinutes: requestedOffset || 0
+        });
+    } catch (error) {
+      return res.status(400).json({ error: 'Unable to read meter data', message: error.message });
+    }
+
+    if (parsed.readings.length === 0) {
+      return res.status(400).json({ error: 'No valid readings found', errors: parsed.errors || [] });
+    }
+
+    const source = isXml ? 'green_button' : 'csv';
+    const meterId = String(req.body.meterId || parsed.meterId || 'default').slice(0, 200);
+    const utcOffsetMinutes = requestedOffset ?? parsed.utcOffsetMinutes ?? 0;
+
+    // Work out the daily activity of every day the file touched before
+    // writing anything, so a day that cannot be calculated leaves no
+    // partial import behind
+    const dayKeys = [...new Set(parsed.readings.map(reading => toLocalDayKey(reading.start, utcOffsetMinutes)))].sort();
+    const firstDay = localDayStart(dayKeys[0], utcOffsetMinutes);
+    const lastDay = new Date(localDayStart(dayKeys[dayKeys.length - 1], utcOffsetMinutes).getTime() + 24 * 60 * 60 * 1000);
+    const dailyTotals = await MeterReading.getDailyTotals(user._id, meterId, firstDay, lastDay, utcOffsetMinutes, parsed.readings);
+
+    const days = [];
+    const pending = [];
+
+    for (const daily of dailyTotals) {
+      const externalId = `meter:${meterId}:${daily._id}`;
+      const input = {
+        category: 'energy',
+        subcategory: 'electricity',
+        date: localDayStart(daily._id, utcOffsetMinutes),
+        data: {
+          energyType: 'electricity',
+          consumption: Math.round(daily.kWh * 1000) / 1000,
+          consumptionUnit: 'kWh',
+          customFields: { meterId, readings: daily.readings, source }
+        },
+        location: req.body.country ? { country: req.body.country } : undefined
+      };
+
+      const taxonomy = await validateActivityTaxonomy(input);
+      const calculation = taxonomy.error ? null : await calculateCarbonFootprint(input, { user });
+      if (!calculation) {
+        const error = taxonomy.error || FOOTPRINT_ERROR;
+        days.push({
+          date: daily._id,
+          consumption: input.data.consumption,
+          readings: daily.readings,
+          action: 'skipped',
+          error: `${error.error}: ${error.message}`
+        });
+        continue;
+      }
+      const carbonFootprint = {
+        ...calculation,
+        calculationMethod: 'calculated',
+        calculatedAt: new Date()
+      };
+
+      let activity = await Activity.findOne({ user: user._id, externalId });
+      const action = activity ? 'updated' : 'created';
+      const oldCarbonValue = activity ? countedKg(activity) : 0;
+      let previous = null;
+
+      if (activity) {
+        const { data, carbonFootprint: footprint, allocation, baseline } = activity.toObject();
+        previous = { activity: activity._id, data, carbonFootprint: footprint, allocation, baseline };
+
+        // Trashed days are updated too, but only count again once restored
+        activity.data = input.data;
+        activity.carbonFootprint = carbonFootprint;
+      } else {
+        activity = new Activity({
+          ...input,
+          user: user._id,
+          title: 'Electricity usage',
+          description: `Smart meter ${meterId}`,
+          tags: ['smart-meter'],
+          externalId,
+          carbonFootprint
+        });
+      }
+      applyAllocation(activity, { user });
+      await applyBaseline(activity, { user });
+
+      days.push({
+        date: daily._id,
+        consumption: activity.data.consumption,
+        carbonFootprintKg: footprintInKg(activity.carbonFootprint),
+        readings: daily.readings,
+        action,
+        activityId: activity._id
+      });
+      pending.push({ activity, previous, change: countedKg(activity) - oldCarbonValue });
+    }
+
+    // Readings this import overwrites, so undoing it can put them back
+    const replacedReadings = await MeterReading.find({
+      user: user._id,
+      meterId,
+      start: { $in: parsed.readings.map(reading => reading.start) }
+    }).select('start duration kWh source importBatch');
+
+    const totalKgChange = pending.reduce((sum, { change }) => sum + change, 0);
+    const batch = new ImportBatch({
+      user: user._id,
+      filename: req.file.originalname,
+      format: isXml ? 'green_button' : 'interval_csv',
+      rowCount: parsed.readings.length,
+      importedCount: pending.length,
+      totalKg: totalKgChange,
+      meter: {
+        meterId,
+        utcOffsetMinutes,
+        skippedDays: days
+          .filter(day => day.action === 'skipped')
+          .map(day => ({ date: day.date, error: day.error })),
+        replacedReadings: replacedReadings.map(reading => reading.toObject()),
+        replacedDays: pending.filter(({ previous }) => previous).map(({ previous }) => previous)
+      }
+    });
+
+    // Write the readings, the daily activities, the batch and the user's
+    // total together, so a failure leaves no partial import behind
+    const startingTotal = user.carbonFootprint.total;
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        // Upsert by interval start so overlapping imports replace earlier readings
+        result = await MeterReading.bulkWrite(parsed.readings.map(reading => ({
+          updateOne: {
+            filter: { user: user._id, meterId, start: reading.start },
+            update: { $set: { duration: reading.duration, kWh: reading.kWh, source, importBatch: batch._id } },
+            upsert: true
+          }
+        })), { ordered: false, session });
+
+        for (const { activity, previous } of pending) {
+          if (!previous) activity.importBatch = batch._id;
+          await activity.save({ session });
+        }
+        await batch.save({ session });
+
+        // Update user's total carbon footprint once for the whole import
+        user.carbonFootprint.total = startingTotal + totalKgChange;
+        user.carbonFootprint.lastCalculated = new Date();
+        await user.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.status(201).json({
+      message: 'Energy readings imported successfully',
+      importId: batch._id,
+      meterId,
+      source,
+      utcOffsetMinutes,
+      readings: {
+        total: parsed.readings.length,
+        inserted: result.upsertedCount,
+        updated: result.modifiedCount
+      },
+      days,
+      totalKgChange,
+      errors: parsed.errors || [],
+      import: batch.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Import energy readings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/activities/import/trips
+// @desc    Import GPX, TCX or GeoJSON tracks as transportation activities.
+//          Fields: file, mode (inferred from the track when omitted),
+//          fuelType, title, dryRun. Tracks already imported are skipped.
+// @access  Private
+router.post('/trips', [authenticateToken, uploadFile, idempotentUpload], async (req, res) => {
+  try {
+    const user = req.user;
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const requestedMode = req.body.mode ? String(req.body.mode).toLowerCase() : null;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A GPX, TCX or GeoJSON file is required in the "file" field' });
+    }
+
+    if (requestedMode && !TRIP_MODES.includes(requestedMode)) {
+      return res.status(400).json({ error: `Mode must be one of ${TRIP_MODES.join(', ')}` });
+    }
+
+    const format = detectTrackFormat(req.file);
+    if (!format) {
+      return res.status(400).json({ error: 'Unsupported file type, upload a .gpx, .tcx or .geojson file' });
+    }
+
+    let tracks;
+    try {
+      tracks = parseTracks(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unable to read track file', message: error.message });
+    }
+
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'No tracks with at least two points found in the file' });
+    }
+
+    const trips = [];
+    const prepared = [];
+
+    for (const [index, track] of tracks.entries()) {
+      const { summary } = track;
+      // Identify a track by its points so the same trip is never imported twice
+      const externalId = `trip:${crypto.createHash('sha1')
+        .update(JSON.stringify(track.points.map(point => [point.coordinates, point.time])))
+        .digest('hex')}`;
+      const mode = requestedMode || inferTripMode(summary, track.sport);
+      const trip = {
+        track: index + 1,
+        name: typeof track.name === 'string' ? track.name : null,
+        mode,
+        modeInferred: !requestedMode,
+        distance: Math.round(summary.distance * 100) / 100,
+        duration: summary.duration !== null ? Math.round(summary.duration) : null,
+        averageSpeed: summary.averageSpeed !== null ? Math.round(summary.averageSpeed * 10) / 10 : null,
+        startTime: summary.startTime,
+        start: summary.start,
+        end: summary.end
+      };
+      trips.push(trip);
+
+      if (!mode) {
+        trip.error = 'The track has no timestamps to infer the mode from, set mode';
+        continue;
+      }
+
+      const existing = await Activity.exists({ user: user._id, externalId });
+      if (existing || prepared.some(item => item.activityData.externalId === externalId)) {
+        trip.duplicate = true;
+        trip.activityId = existing?._id;
+        continue;
+      }
+
+      const { activityData, error } = await prepareActivityData(user, {
+        category: 'transportation',
+        subcategory: mode,
+        title: String(req.body.title || trip.name || `${mode.charAt(0).toUpperCase()}${mode.slice(1)} trip`).slice(0, 100),
+        date: summary.startTime || new Date(),
+        data: {
+          distance: trip.distance,
+          duration: trip.duration ?? undefined,
+          vehicleType: mode,
+          fuelType: req.body.fuelType || undefined,
+          customFields: {
+            source: format,
+            points: track.points.length,
+            averageSpeedKmh: trip.averageSpeed,
+            modeInferred: trip.modeInferred
+          }
+        },
+        location: {
+          type: 'Point',
+          coordinates: summary.start,
+          endCoordinates: summary.end
+        },
+        tags: ['trip-import']
+      });
+
+      if (error) {
+        trip.error = error.error;
+        continue;
+      }
+
+      trip.carbonFootprint = activityData.carbonFootprint;
+      prepared.push({ trip, activityData: { ...activityData, externalId } });
+    }
+
+    const totalKg = prepared.reduce((sum, item) => sum + footprintInKg(item.activityData.carbonFootprint), 0);
+
+    if (dryRun) {
+      return res.json({
+        message: 'Dry run completed, nothing was imported',
+        dryRun: true,
+        format,
+        totalKg,
+        trips
+      });
+    }
+
+    if (prepared.length === 0) {
+      return res.status(400).json({ error: 'No new trips to import', format, trips });
+    }
+
+    const activities = await Activity.insertMany(prepared.map(item => item.activityData));
+    activities.forEach((activity, index) => {
+      prepared[index].trip.activityId = activity._id;
+    });
+
+    // Update user's total carbon footprint once for the whole import
+    user.carbonFootprint.total += totalKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.status(201).json({
+      message: 'Trips imported successfully',
+      format,
+      importedCount: activities.length,
+      totalKg,
+      trips,
+      activities: activities.map(activity => activity.toResponseFormat())
+    });
+
+  } catch (error) {
+    console.error('Import trips error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/activities/import
+// @desc    Get the user's import history
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const imports = await ImportBatch.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ImportBatch.countDocuments({ user: user._id });
+
+    res.json({
+      imports: imports.map(batch => batch.toResponseFormat()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Undo an energy import inside a session: put back the readings and daily
+// activities it overwrote. Returns the change in the user's total in kg.
+const restoreMeterImport = async (user, batch, session) => {
+  const { meterId, replacedReadings, replacedDays } = batch.meter;
+  let totalChange = 0;
+
+  await MeterReading.deleteMany({ user: user._id, meterId, importBatch: batch._id }, { session });
+  if (replacedReadings.length > 0) {
+    await MeterReading.insertMany(replacedReadings.map(reading => ({
+      ...reading.toObject(),
+      user: user._id,
+      meterId
+    })), { session });
+  }
+
+  for (const day of replacedDays) {
+    const activity = await Activity.findOne({ _id: day.activity, user: user._id }).session(session);
+    if (!activity) continue;
+
+    const oldCarbonValue = countedKg(activity);
+    activity.set({
+      data: day.data,
+      carbonFootprint: day.carbonFootprint,
+      allocation: day.allocation,
+      baseline: day.baseline
+    });
+    await activity.save({ session });
+    totalChange += countedKg(activity) - oldCarbonValue;
+  }
+
+  return totalChange;
+};
+
+// @route   DELETE /api/activities/import/:importId
+// @desc    Undo an import, removing every activity it created. Energy imports
+//          also put back the readings and daily activities they replaced.
+// @access  Private
+router.delete('/:importId', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const batch = await ImportBatch.findOne({
+      _id: req.params.importId,
+      user: user._id
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    if (batch.status === 'undone') {
+      return res.status(400).json({ error: 'Import has already been undone' });
+    }
+
+    if (!batch.meter?.meterId) {
+      const activities = await Activity.find({ user: user._id, importBatch: batch._id });
+      // Cancelled and trashed rows were already taken off the total
+      const removedKg = activities.reduce((sum, activity) => sum + countedKg(activity), 0);
+
+      await Activity.deleteMany({ user: user._id, importBatch: batch._id });
+      await Attachment.deleteForResources('activity', activities.map(activity => activity._id));
+
+      // Update user's total carbon footprint
+      user.carbonFootprint.total -= removedKg;
+      user.carbonFootprint.lastCalculated = new Date();
+      await user.save();
+
+      batch.status = 'undone';
+      batch.undoneAt = new Date();
+      await batch.save();
+
+      return res.json({
+        message: 'Import undone successfully',
+        removedCount: activities.length,
+        removedKg,
+        import: batch.toResponseFormat()
+      });
+    }
+
+    // A later import of the same meter may have replaced what this one wrote
+    const later = await ImportBatch.exists({
+      user: user._id,
+      'meter.meterId': batch.meter.meterId,
+      status: 'committed',
+      createdAt: { $gt: batch.createdAt }
+    });
+    if (later) {
+      return res.status(409).json({
+        error: 'Later import of this meter',
+        message: `Undo the later imports of meter ${batch.meter.meterId} first`
+      });
+    }
+
+    const startingTotal = user.carbonFootprint.total;
+    const session = await mongoose.startSession();
+    let activities = [];
+    let removedKg = 0;
+    let restoredKgChange = 0;
+
+    try {
+      await session.withTransaction(async () => {
+        activities = await Activity.find({ user: user._id, importBatch: batch._id }).session(session);
+        removedKg = activities.reduce((sum, activity) => sum + countedKg(activity), 0);
+        await Activity.deleteMany({ user: user._id, importBatch: batch._id }, { session });
+
+        restoredKgChange = await restoreMeterImport(user, batch, session);
+
+        // Update user's total carbon footprint
+        user.carbonFootprint.total = startingTotal - removedKg + restoredKgChange;
+        user.carbonFootprint.lastCalculated = new Date();
+        await user.save({ session });
+
+        batch.status = 'undone';
+        batch.undoneAt = new Date();
+        await batch.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await Attachment.deleteForResources('activity', activities.map(activity => activity._id));
+
+    res.json({
+      message: 'Import undone successfully',
+      removedCount: activities.length,
+      removedKg,
+      restoredCount: batch.meter.replacedDays.length,
+      restoredKgChange,
+      import: batch.toResponseFormat()
+    });
+
+  } catch (error) {
+    console.error('Undo import error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import Activity from '../models/Activity.js';
 import User from '../models/User.js';
+import { COUNTED_FILTER } from '../utils/activityService.js';
+import { formatEmissions, formatTotals, getUnitSystem } from '../utils/units.js';
 
 const router = express.Router();
 
@@ -39,6 +41,9 @@ router.get('/', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's recent activities
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - 30);
@@ -46,7 +51,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     const totalFootprint = await Activity.getUserTotalFootprint(
@@ -81,6 +86,9 @@ router.post('/generate', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's recent activities
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - 30);
@@ -88,7 +96,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     const totalFootprint = await Activity.getUserTotalFootprint(
@@ -125,6 +133,9 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const user = req.user;
     const { timeframe = '30' } = req.query;
 
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's recent activities
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(timeframe));
@@ -132,7 +143,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     const totalFootprint = await Activity.getUserTotalFootprint(
@@ -150,11 +161,12 @@ router.get('/overview', authenticateToken, async (req, res) => {
     // Generate AI insights
     const insights = await generateInsights(user, activities, totalFootprint, footprintByCategory);
 
+    const units = getUnitSystem(req);
     res.json({
       insights,
       summary: {
-        totalFootprint,
-        footprintByCategory,
+        totalFootprint: formatTotals(totalFootprint, units),
+        footprintByCategory: footprintByCategory.map(category => formatTotals(category, units)),
         activityCount: activities.length,
         timeframe: parseInt(timeframe)
       }
@@ -178,6 +190,9 @@ router.post('/analyze', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Question is required' });
     }
 
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's data for analysis
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(timeframe));
@@ -185,7 +200,7 @@ router.post('/analyze', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     const totalFootprint = await Activity.getUserTotalFootprint(
@@ -201,7 +216,7 @@ router.post('/analyze', authenticateToken, async (req, res) => {
       analysis,
       data: {
         activities: activities.length,
-        totalFootprint,
+        totalFootprint: formatTotals(totalFootprint, getUnitSystem(req)),
         timeframe: parseInt(timeframe)
       }
     });
@@ -220,6 +235,9 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
     const user = req.user;
     const { category } = req.query;
 
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
     // Get user's recent activities
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - 30);
@@ -227,7 +245,7 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
     const activities = await Activity.find({
       user: user._id,
       date: { $gte: startDate },
-      status: 'active'
+      ...COUNTED_FILTER
     }).sort({ date: -1 });
 
     const totalFootprint = await Activity.getUserTotalFootprint(
@@ -239,12 +257,13 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
     // Generate recommendations
     const recommendations = await generateRecommendations(user, activities, totalFootprint, category);
 
+    const units = getUnitSystem(req);
     res.json({
       recommendations,
       userProfile: {
         lifestyle: user.profile.lifestyle,
-        totalFootprint: user.carbonFootprint.total,
-        baseline: user.carbonFootprint.baseline
+        totalFootprint: formatEmissions(user.carbonFootprint.total, units),
+        baseline: formatEmissions(user.carbonFootprint.baseline, units)
       }
     });
 
@@ -0,0 +1,272 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import Attachment from '../models/Attachment.js';
+import Offset from '../models/Offset.js';
+import User from '../models/User.js';
+import { formatUserFootprint, getUnitSystem } from '../utils/units.js';
+
+const router = express.Router();
+
+const STANDARDS = ['VCS', 'Gold Standard', 'CDM', 'CAR', 'ACR', 'Plan Vivo', 'Puro', 'other'];
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Validation rules shared by create and update; update makes them optional
+const offsetRules = (optional = false) => {
+  const rule = (chain) => (optional ? chain.optional() : chain);
+  return [
+    rule(body('projectName'))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Project name must be between 1 and 200 characters'),
+    rule(body('standard'))
+      .isIn(STANDARDS)
+      .withMessage(`Standard must be one of ${STANDARDS.join(', ')}`),
+    rule(body('vintage'))
+      .isInt({ min: 1990, max: new Date().getFullYear() + 1 })
+      .withMessage('Vintage must be a valid year'),
+    rule(body('quantity.value'))
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be a positive number'),
+    body('quantity.unit')
+      .optional()
+      .isIn(['kg', 'tons'])
+      .withMessage('Quantity unit must be kg or tons'),
+    body('type')
+      .optional()
+      .isIn(['avoidance', 'removal'])
+      .withMessage('Type must be avoidance or removal'),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid ISO date'),
+    body('retirement.retiredAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Retirement date must be a valid ISO date'),
+    body('retirement.registryUrl')
+      .optional()
+      .isURL()
+      .withMessage('Registry URL must be a valid URL')
+  ];
+};
+
+// Fields a client may set on an offset
+const pickOffsetFields = (input) => {
+  const fields = {};
+  ['projectName', 'projectId', 'standard', 'type', 'vintage', 'quantity', 'date', 'retirement', 'provider', 'price', 'currency', 'notes']
+    .filter(field => input[field] !== undefined)
+    .forEach(field => {
+      fields[field] = input[field];
+    });
+  return fields;
+};
+
+// @route   POST /api/offsets
+// @desc    Record a carbon offset or removal credit
+// @access  Private
+router.post('/', [authenticateToken, ...offsetRules()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const offset = new Offset({
+      ...pickOffsetFields(req.body),
+      user: user._id
+    });
+    await offset.save();
+
+    // Update user's offset total
+    user.carbonFootprint.offsets = (user.carbonFootprint.offsets || 0) + offset.quantityKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.status(201).json({
+      message: 'Offset recorded successfully',
+      offset: offset.toResponseFormat(),
+      stats: formatUserFootprint(user.getStats(), getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Create offset error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/offsets
+// @desc    Get user's offsets with gross, offset and net totals
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { page = 1, limit = 10, standard, startDate, endDate } = req.query;
+
+    const filter = { user: user._id };
+    if (standard) filter.standard = standard;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const offsets = await Offset.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Offset.countDocuments(filter);
+    const stats = formatUserFootprint(user.getStats(), getUnitSystem(req));
+
+    res.json({
+      offsets: offsets.map(offset => offset.toResponseFormat()),
+      totals: {
+        grossFootprint: stats.grossFootprint,
+        offsets: stats.offsets,
+        netFootprint: stats.netFootprint,
+        unit: stats.unit
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get offsets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/offsets/:id
+// @desc    Get a specific offset
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const offset = await Offset.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!offset) {
+      return res.status(404).json({ error: 'Offset not found' });
+    }
+
+    res.json({ offset: offset.toResponseFormat() });
+
+  } catch (error) {
+    console.error('Get offset error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/offsets/:id
+// @desc    Update an offset
+// @access  Private
+router.put('/:id', [authenticateToken, ...offsetRules(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const offset = await Offset.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!offset) {
+      return res.status(404).json({ error: 'Offset not found' });
+    }
+
+    const oldKg = offset.quantityKg;
+    offset.set(pickOffsetFields(req.body));
+    await offset.save();
+
+    // Update user's offset total
+    user.carbonFootprint.offsets = (user.carbonFootprint.offsets || 0) + offset.quantityKg - oldKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Offset updated successfully',
+      offset: offset.toResponseFormat(),
+      stats: formatUserFootprint(user.getStats(), getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Update offset error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/offsets/:id
+// @desc    Delete an offset
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const offset = await Offset.findOneAndDelete({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!offset) {
+      return res.status(404).json({ error: 'Offset not found' });
+    }
+
+    await Attachment.deleteForResources('offset', [offset._id]);
+
+    // Update user's offset total
+    user.carbonFootprint.offsets = (user.carbonFootprint.offsets || 0) - offset.quantityKg;
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Offset deleted successfully',
+      stats: formatUserFootprint(user.getStats(), getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Delete offset error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import Achievement from '../models/Achievement.js';
+import Activity from '../models/Activity.js';
+import Goal from '../models/Goal.js';
+import User from '../models/User.js';
+import {
+  buildRegexFilter,
+  highlightFields,
+  normalizeScores,
+  scoreDocument,
+  tokenize
+} from '../utils/search.js';
+
+const router = express.Router();
+
+// Documents scanned per resource when falling back to regex matching
+const FALLBACK_SCAN_LIMIT = 500;
+
+// Searchable resources with the weights of their text index fields. The
+// weights match the text indexes so both search modes rank alike.
+const SEARCHABLE = {
+  activities: {
+    model: Activity,
+    weights: { title: 10, tags: 5, description: 2, notes: 1 },
+    buildFilter: (user, { category, startDate, endDate }) => {
+      const filter = { user: user._id, status: 'active' };
+      if (category) filter.category = category;
+      if (startDate || endDate) {
+        filter.date = {};
+        if (startDate) filter.date.$gte = new Date(startDate);
+        if (endDate) filter.date.$lte = new Date(endDate);
+      }
+      return filter;
+    }
+  },
+  goals: {
+    model: Goal,
+    weights: { title: 10, tags: 5, description: 2, notes: 1 },
+    // Goals match a date range they overlap
+    buildFilter: (user, { category, startDate, endDate }) => {
+      const filter = { user: user._id };
+      if (category) filter.category = category;
+      if (startDate) filter.endDate = { $gte: new Date(startDate) };
+      if (endDate) filter.startDate = { $lte: new Date(endDate) };
+      return filter;
+    }
+  },
+  achievements: {
+    model: Achievement,
+    weights: { title: 10, description: 2 },
+    buildFilter: (user, { category, startDate, endDate }) => {
+      // Hidden achievements stay hidden until they are unlocked
+      const filter = { user: user._id, $nor: [{ isHidden: true, isUnlocked: false }] };
+      if (category) filter.category = category;
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+      return filter;
+    }
+  }
+};
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// $text fails when the collection has no text index, or the server does not support it
+const isTextSearchUnavailable = (error) => {
+  return error.code === 27 || /text index|\$text/i.test(error.message || '');
+};
+
+// Search one resource, ranked by text score, falling back to regex matching
+const searchResource = async (name, user, q, terms, filters, limit) => {
+  const { model, weights, buildFilter } = SEARCHABLE[name];
+  const filter = buildFilter(user, filters);
+
+  try {
+    const docs = await model.find(
+      { ...filter, $text: { $search: q } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit);
+
+    return { mode: 'text', hits: docs.map(doc => ({ doc, score: doc.get('score') })) };
+  } catch (error) {
+    if (!isTextSearchUnavailable(error)) throw error;
+  }
+
+  const docs = await model.find({ ...filter, ...buildRegexFilter(terms, Object.keys(weights)) })
+    .limit(FALLBACK_SCAN_LIMIT);
+
+  const hits = docs
+    .map(doc => ({ doc, score: scoreDocument(doc, terms, weights) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { mode: 'regex', hits };
+};
+
+// @route   GET /api/search
+// @desc    Search activities, goals and achievements. Query: q, types
+//          (comma-separated), category, startDate, endDate, limit
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search query must be between 2 and 200 characters'),
+  query('types')
+    .optional()
+    .custom(value => String(value).split(',').every(type => SEARCHABLE[type.trim()]))
+    .withMessage(`Types must be a comma-separated list of ${Object.keys(SEARCHABLE).join(', ')}`),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { q, limit = 20 } = req.query;
+    const types = req.query.types
+      ? [...new Set(req.query.types.split(',').map(type => type.trim()))]
+      : Object.keys(SEARCHABLE);
+
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+      return res.status(400).json({ error: 'Search query must contain at least one word' });
+    }
+
+    const modes = {};
+    const counts = {};
+    let results = [];
+
+    for (const type of types) {
+      const { mode, hits } = await searchResource(type, user, q, terms, req.query, parseInt(limit));
+      modes[type] = mode;
+      counts[type] = hits.length;
+      results.push(...normalizeScores(hits).map(({ doc, score, relevance }) => ({
+        type,
+        id: doc._id,
+        score,
+        relevance,
+        highlights: highlightFields(doc, terms, Object.keys(SEARCHABLE[type].weights)),
+        item: doc.toResponseFormat()
+      })));
+    }
+
+    results = results
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, parseInt(limit));
+
+    res.json({
+      query: q,
+      terms,
+      modes,
+      counts,
+      results
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
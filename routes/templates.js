@@ -0,0 +1,371 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import Activity from '../models/Activity.js';
+import ActivityTemplate from '../models/ActivityTemplate.js';
+import User from '../models/User.js';
+import { footprintInKg, prepareActivityData } from '../utils/activityService.js';
+import { activityFieldRules, validateActivityInput } from '../utils/activityValidation.js';
+import { getUnitSystem, normalizeActivityUnits, normalizeUnits } from '../utils/units.js';
+
+const router = express.Router();
+
+// How far back and how often a combination must be logged to be suggested
+const SUGGESTION_WINDOW_DAYS = 90;
+const MIN_SUGGESTION_COUNT = 3;
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+const nameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Name must be between 1 and 50 characters');
+
+// @route   GET /api/templates
+// @desc    Get user templates, most used first
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { category } = req.query;
+
+    const filter = { user: user._id };
+    if (category) filter.category = category;
+
+    const templates = await ActivityTemplate.find(filter)
+      .sort({ usageCount: -1, lastUsedAt: -1, createdAt: -1 });
+
+    res.json({
+      templates: templates.map(template => template.toResponseFormat(getUnitSystem(req)))
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/templates/suggestions
+// @desc    Suggest templates from the user's most frequent activities
+// @access  Private
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const since = new Date(Date.now() - SUGGESTION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [groups, templates] = await Promise.all([
+      Activity.aggregate([
+        {
+          $match: {
+            user: user._id,
+            status: 'active',
+            date: { $gte: since },
+            // Generated occurrences of a recurring activity are logged already
+            'recurrence.parent': { $exists: false }
+          }
+        },
+        { $sort: { date: -1 } },
+        {
+          $group: {
+            _id: { category: '$category', subcategory: '$subcategory', title: '$title' },
+            count: { $sum: 1 },
+            lastLoggedAt: { $first: '$date' },
+            activityId: { $first: '$_id' },
+            data: { $first: '$data' }
+          }
+        },
+        { $match: { count: { $gte: MIN_SUGGESTION_COUNT } } },
+        { $sort: { count: -1, lastLoggedAt: -1 } }
+      ]),
+      ActivityTemplate.find({ user: user._id }).select('category subcategory title')
+    ]);
+
+    const saved = new Set(templates.map(template => `${template.category}|${template.subcategory}|${template.title}`));
+
+    const suggestions = groups
+      .filter(group => !saved.has(`${group._id.category}|${group._id.subcategory}|${group._id.title}`))
+      .slice(0, parseInt(req.query.limit) || 5)
+      .map(group => ({
+        ...group._id,
+        count: group.count,
+        lastLoggedAt: group.lastLoggedAt,
+        activityId: group.activityId,
+        data: group.data
+      }));
+
+    res.json({ suggestions });
+
+  } catch (error) {
+    console.error('Get template suggestions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Create a template
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  normalizeUnits(normalizeActivityUnits),
+  nameRule(),
+  ...activityFieldRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const { name, category, subcategory, title, description, data, carbonFootprint, location, tags, notes } = req.body;
+
+    const template = new ActivityTemplate({
+      user: user._id,
+      name,
+      category,
+      subcategory,
+      title,
+      description,
+      data,
+      carbonFootprint: carbonFootprint?.calculationMethod === 'manual' ? carbonFootprint : undefined,
+      location,
+      tags,
+      notes
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: template.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/from-activity/:activityId
+// @desc    Create a template from an existing activity
+// @access  Private
+router.post('/from-activity/:activityId', [
+  authenticateToken,
+  nameRule().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const activity = await Activity.findOne({
+      _id: req.params.activityId,
+      user: user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const template = ActivityTemplate.fromActivity(activity, req.body.name);
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: template.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Create template from activity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/:id/log
+// @desc    Log an activity from a template. Body holds only the overrides,
+//          e.g. { date, data: { distance } }
+// @access  Private
+router.post('/:id/log', [
+  authenticateToken,
+  normalizeUnits(normalizeActivityUnits),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  body('data')
+    .optional()
+    .isObject()
+    .withMessage('Data must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const template = await ActivityTemplate.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const input = template.toActivityInput(req.body);
+    const validationErrors = await validateActivityInput(input);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const { activityData, error } = await prepareActivityData(user, input);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const activity = new Activity(activityData);
+    await activity.save();
+
+    // Update user's total carbon footprint
+    user.carbonFootprint.total += footprintInKg(activity.carbonFootprint);
+    user.carbonFootprint.lastCalculated = new Date();
+    await user.save();
+
+    template.usageCount += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    res.status(201).json({
+      message: 'Activity logged successfully',
+      activity: activity.toResponseFormat(getUnitSystem(req)),
+      template: template.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    console.error('Log from template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update a template
+// @access  Private
+router.put('/:id', [
+  authenticateToken,
+  normalizeUnits(normalizeActivityUnits),
+  nameRule().optional(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const template = await ActivityTemplate.findOne({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { name, subcategory, title, description, data, carbonFootprint, location, tags, notes } = req.body;
+    Object.entries({ name, subcategory, title, description, data, location, tags, notes })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => template.set(key, value));
+
+    if (carbonFootprint !== undefined) {
+      template.carbonFootprint = carbonFootprint?.calculationMethod === 'manual' ? carbonFootprint : undefined;
+    }
+
+    await template.save();
+
+    res.json({
+      message: 'Template updated successfully',
+      template: template.toResponseFormat(getUnitSystem(req))
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const template = await ActivityTemplate.findOneAndDelete({
+      _id: req.params.id,
+      user: user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
+import Activity from '../models/Activity.js';
 import User from '../models/User.js';
+import { TRANSPORT_FACTORS } from '../utils/emissionFactors.js';
+import { formatUserFootprint, getUnitSystem } from '../utils/units.js';
 
 const router = express.Router();
 
@@ -136,15 +139,21 @@ router.put('/profile', [
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
-    const stats = user.getStats();
+
+    // Include occurrences of recurring activities up to today
+    await Activity.materializeRecurring(user);
+
+    const units = getUnitSystem(req);
+    const stats = formatUserFootprint(user.getStats(), units);
 
     res.json({
       stats,
+      units,
       user: {
         id: user._id,
         name: user.name,
         profile: user.profile,
-        carbonFootprint: user.carbonFootprint
+        carbonFootprint: formatUserFootprint(user.carbonFootprint, units)
       }
     });
 
@@ -178,7 +187,23 @@ router.put('/preferences', [
   body('privacy.publicProfile')
     .optional()
     .isBoolean()
-    .withMessage('Public profile must be boolean')
+    .withMessage('Public profile must be boolean'),
+  body('baseline.vehicleType')
+    .optional()
+    .isIn(Object.keys(TRANSPORT_FACTORS))
+    .withMessage(`Baseline vehicle type must be one of ${Object.keys(TRANSPORT_FACTORS).join(', ')}`),
+  body('baseline.fuelType')
+    .optional()
+    .isString()
+    .withMessage('Baseline fuel type must be a string'),
+  body('allocation.household')
+    .optional()
+    .isBoolean()
+    .withMessage('Household allocation must be boolean'),
+  body('allocation.passengers')
+    .optional()
+    .isBoolean()
+    .withMessage('Passenger allocation must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,7 +215,7 @@ router.put('/preferences', [
     }
 
     const user = req.user;
-    const { units, notifications, privacy } = req.body;
+    const { units, notifications, privacy, baseline, allocation } = req.body;
 
     if (units) user.preferences.units = units;
     if (notifications) {
@@ -199,6 +224,12 @@ router.put('/preferences', [
     if (privacy) {
       user.preferences.privacy = { ...user.preferences.privacy, ...privacy };
     }
+    if (baseline) {
+      user.preferences.baseline = { ...user.preferences.baseline, ...baseline };
+    }
+    if (allocation) {
+      user.preferences.allocation = { ...user.preferences.allocation, ...allocation };
+    }
 
     await user.save();
 
@@ -8,15 +8,27 @@ import mongoose from 'mongoose';
 import morgan from 'morgan';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Attachment from './models/Attachment.js';
 
 // Import routes
 import achievementsRoutes from './routes/achievements.js';
 import activityRoutes from './routes/activities.js';
 import analyticsRoutes from './routes/analytics.js';
+import attachmentRoutes from './routes/attachments.js';
 import authRoutes from './routes/auth.js';
+import categoryRoutes from './routes/categories.js';
+import emissionFactorRoutes from './routes/emissionFactors.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
+import exportRoutes from './routes/exports.js';
+import geoRoutes from './routes/geo.js';
+import importRoutes from './routes/imports.js';
 import goalsRoutes from './routes/goals.js';
 import insightsRoutes from './routes/insights.js';
+import offsetRoutes from './routes/offsets.js';
+import searchRoutes from './routes/search.js';
+import templateRoutes from './routes/templates.js';
 import userRoutes from './routes/users.js';
+import { idempotency } from './utils/idempotency.js';
 
 // Load environment variables
 dotenv.config();
@@ -60,13 +72,17 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Replay stored responses to retried requests sent with an Idempotency-Key
+app.use('/api', idempotency);
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -101,7 +117,15 @@ app.get('/', (req, res) => {
       insights: '/api/insights',
       goals: '/api/goals',
       achievements: '/api/achievements',
-      analytics: '/api/analytics'
+      categories: '/api/categories',
+      analytics: '/api/analytics',
+      emissionFactors: '/api/emission-factors',
+      exchangeRates: '/api/exchange-rates',
+      export: '/api/export',
+      templates: '/api/templates',
+      search: '/api/search',
+      offsets: '/api/offsets',
+      attachments: '/api/activities/:id/attachments'
     }
   });
 });
@@ -128,11 +152,22 @@ app.get('/api/routes', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/activities/import', importRoutes);
+app.use('/api/activities/geo', geoRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/insights', insightsRoutes);
 app.use('/api/goals', goalsRoutes);
 app.use('/api/achievements', achievementsRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/emission-factors', emissionFactorRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/offsets', offsetRoutes);
+// /api/activities/:id/attachments and /api/offsets/:id/attachments
+app.use('/api', attachmentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -162,6 +197,14 @@ const connectDB = async () => {
 // Start server
 const startServer = async () => {
   await connectDB();
+
+  // Activities purged from the trash by its TTL index leave their attachments
+  // behind, so sweep them up periodically
+  const cleanupInterval = parseInt(process.env.ATTACHMENT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+  setInterval(() => {
+    Attachment.purgeOrphans().catch(error => console.error('Attachment cleanup error:', error));
+  }, cleanupInterval).unref();
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
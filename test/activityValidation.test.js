@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import ActivityCategory from '../models/ActivityCategory.js';
+import { createActivityRules, updateActivityRules, validateActivityInput } from '../utils/activityValidation.js';
+
+// No stored categories, so the built-in taxonomy applies
+ActivityCategory.find = async () => [];
+
+const fields = (errors) => errors.map(error => error.path);
+
+describe('validateActivityInput', () => {
+  it('accepts a complete new activity', async () => {
+    const errors = await validateActivityInput({
+      category: 'transportation',
+      subcategory: 'car',
+      title: 'Commute',
+      date: '2024-05-01',
+      data: { distance: 12 }
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports each invalid field of a new activity', async () => {
+    const errors = await validateActivityInput({ category: 'hobbies', title: '' }, createActivityRules);
+    assert.ok(fields(errors).includes('category'));
+    assert.ok(fields(errors).includes('subcategory'));
+    assert.ok(fields(errors).includes('title'));
+    assert.equal(errors.find(error => error.path === 'category').msg, 'Invalid category');
+  });
+
+  it('lets an update leave out every field but checks the ones given', async () => {
+    assert.deepEqual(await validateActivityInput({}, updateActivityRules), []);
+    assert.deepEqual(await validateActivityInput({ title: 'Bus instead' }, updateActivityRules), []);
+
+    const errors = await validateActivityInput({
+      category: 'hobbies',
+      carbonFootprint: { value: -1 },
+      recurringPattern: { frequency: 'hourly', interval: 0 }
+    }, updateActivityRules);
+    assert.deepEqual(fields(errors).sort(), [
+      'carbonFootprint.value',
+      'category',
+      'recurringPattern.frequency',
+      'recurringPattern.interval'
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyAllocation } from '../utils/activityService.js';
+import { calculateAllocation } from '../utils/carbonCalculator.js';
+
+const household = (size, preferences) => ({ profile: { householdSize: size }, preferences });
+
+describe('calculateAllocation', () => {
+  it('splits energy and water by household size', () => {
+    const activity = { category: 'energy', subcategory: 'electricity', data: { consumption: 100 } };
+    assert.deepEqual(calculateAllocation(activity, { user: household(4) }), { method: 'household', divisor: 4, share: 0.25 });
+    assert.equal(calculateAllocation({ ...activity, category: 'water' }, { user: household(2) }).share, 0.5);
+  });
+
+  it('splits car trips by passengers but not public transport', () => {
+    const car = { category: 'transportation', subcategory: 'car', data: { distance: 10, passengers: 2 } };
+    assert.deepEqual(calculateAllocation(car), { method: 'passengers', divisor: 2, share: 0.5 });
+
+    const bus = { category: 'transportation', subcategory: 'bus', data: { distance: 10, passengers: 2 } };
+    assert.equal(calculateAllocation(bus), null);
+
+    const trip = { category: 'travel', subcategory: 'vacation', data: { travelMode: 'Taxi', passengers: 3 } };
+    assert.equal(calculateAllocation(trip).divisor, 3);
+  });
+
+  it('is not shared for one person or other categories', () => {
+    const activity = { category: 'energy', subcategory: 'electricity', data: {} };
+    assert.equal(calculateAllocation(activity, { user: household(1) }), null);
+    assert.equal(calculateAllocation(activity, { user: {} }), null);
+    assert.equal(calculateAllocation({ category: 'food', data: {} }, { user: household(4) }), null);
+  });
+
+  it('follows the user preference and the activity settings', () => {
+    const activity = { category: 'energy', subcategory: 'electricity', data: {} };
+    assert.equal(calculateAllocation(activity, { user: household(4, { allocation: { household: false } }) }), null);
+    assert.equal(calculateAllocation(activity, { user: household(4), settings: { enabled: false } }), null);
+    assert.equal(calculateAllocation(activity, { user: household(4), settings: { splitBetween: 2 } }).share, 0.5);
+    assert.equal(
+      calculateAllocation(activity, { user: household(4, { allocation: { household: false } }), settings: { splitBetween: 5 } }).divisor,
+      5
+    );
+  });
+});
+
+describe('applyAllocation', () => {
+  it('keeps the gross footprint and stores the user share', () => {
+    const activity = {
+      category: 'energy',
+      subcategory: 'electricity',
+      data: {},
+      carbonFootprint: { value: 10, unit: 'kg', calculationMethod: 'calculated' }
+    };
+    applyAllocation(activity, { user: household(3) });
+    assert.equal(activity.carbonFootprint.gross, 10);
+    assert.equal(activity.carbonFootprint.value, 3.333);
+    assert.equal(activity.allocation.divisor, 3);
+
+    // Recalculating from the stored share starts again from the gross footprint
+    applyAllocation(activity, { user: household(2) });
+    assert.equal(activity.carbonFootprint.value, 5);
+  });
+
+  it('leaves manual footprints and unshared activities whole', () => {
+    const manual = {
+      category: 'energy',
+      data: {},
+      carbonFootprint: { value: 10, unit: 'kg', calculationMethod: 'manual' }
+    };
+    applyAllocation(manual, { user: household(4) });
+    assert.equal(manual.carbonFootprint.value, 10);
+    assert.equal(manual.allocation, undefined);
+
+    const opted = {
+      category: 'energy',
+      data: {},
+      allocation: { enabled: false },
+      carbonFootprint: { value: 8, gross: 10, unit: 'kg', calculationMethod: 'calculated' }
+    };
+    applyAllocation(opted, { user: household(4) });
+    assert.equal(opted.carbonFootprint.value, 10);
+    assert.equal(opted.carbonFootprint.gross, undefined);
+    assert.deepEqual(opted.allocation, { enabled: false });
+  });
+});
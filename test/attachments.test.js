@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import sharp from 'sharp';
+import { contentDisposition, createThumbnail, detectContentType, isImage } from '../utils/attachments.js';
+
+describe('detectContentType', () => {
+  it('detects allowed types from their leading bytes', () => {
+    assert.equal(detectContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(detectContentType(Buffer.from('GIF89a...')), 'image/gif');
+    assert.equal(detectContentType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    assert.equal(detectContentType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  });
+
+  it('rejects anything else whatever its name', () => {
+    assert.equal(detectContentType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+    assert.equal(detectContentType(Buffer.alloc(0)), null);
+  });
+
+  it('tells images from documents', () => {
+    assert.equal(isImage('image/png'), true);
+    assert.equal(isImage('application/pdf'), false);
+  });
+});
+
+describe('createThumbnail', () => {
+  it('fits the image in the thumbnail size as WebP', async () => {
+    const png = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#2a9d8f' } }).png().toBuffer();
+    assert.equal(detectContentType(png), 'image/png');
+
+    const { width, height, thumbnail } = await createThumbnail(png);
+    assert.equal(width, 640);
+    assert.equal(height, 480);
+    assert.equal(thumbnail.width, 320);
+    assert.equal(thumbnail.height, 240);
+    assert.equal(detectContentType(thumbnail.buffer), 'image/webp');
+  });
+
+  it('returns an error for an image that cannot be decoded', async () => {
+    const result = await createThumbnail(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]));
+    assert.deepEqual(result, { error: 'The image could not be read' });
+  });
+});
+
+describe('contentDisposition', () => {
+  it('gives an ASCII fallback and the encoded UTF-8 name', () => {
+    assert.equal(
+      contentDisposition('reçu "mai".pdf', 'attachment'),
+      'attachment; filename="re_u_mai_.pdf"; filename*=UTF-8\'\'re%C3%A7u%20%22mai%22.pdf'
+    );
+    assert.equal(contentDisposition('photo.jpg'), 'inline; filename="photo.jpg"; filename*=UTF-8\'\'photo.jpg');
+  });
+});
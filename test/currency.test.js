@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_EXCHANGE_RATES, isCurrencyCode, normalizeCurrency } from '../utils/currency.js';
+
+describe('normalizeCurrency', () => {
+  it('upper-cases codes and maps common symbols', () => {
+    assert.equal(normalizeCurrency(' eur '), 'EUR');
+    assert.equal(normalizeCurrency('£'), 'GBP');
+    assert.equal(normalizeCurrency('$'), 'USD');
+  });
+
+  it('returns undefined for blank or non-string values', () => {
+    assert.equal(normalizeCurrency('  '), undefined);
+    assert.equal(normalizeCurrency(undefined), undefined);
+    assert.equal(normalizeCurrency(42), undefined);
+  });
+});
+
+describe('isCurrencyCode', () => {
+  it('accepts three upper-case letters only', () => {
+    assert.equal(isCurrencyCode('SEK'), true);
+    assert.equal(isCurrencyCode('sek'), false);
+    assert.equal(isCurrencyCode('EURO'), false);
+    assert.equal(isCurrencyCode(undefined), false);
+  });
+});
+
+describe('DEFAULT_EXCHANGE_RATES', () => {
+  it('is keyed by valid codes with the US dollar as the base', () => {
+    assert.equal(DEFAULT_EXCHANGE_RATES.USD, 1);
+    Object.entries(DEFAULT_EXCHANGE_RATES).forEach(([code, rate]) => {
+      assert.ok(isCurrencyCode(code), code);
+      assert.ok(rate > 0, code);
+    });
+  });
+});
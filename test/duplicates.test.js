@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { getDuplicateWindowMinutes, isDuplicateOf, normalizeTitle } from '../utils/duplicates.js';
+
+const activity = (overrides = {}) => ({
+  category: 'transportation',
+  subcategory: 'car',
+  title: 'Drive to work',
+  date: new Date('2024-05-01T08:00:00Z'),
+  carbonFootprint: { value: 4.2, unit: 'kg' },
+  ...overrides
+});
+
+const minutesLater = (minutes) => new Date(Date.parse('2024-05-01T08:00:00Z') + minutes * 60 * 1000);
+
+describe('normalizeTitle', () => {
+  it('ignores case and surrounding spaces', () => {
+    assert.equal(normalizeTitle('  Drive To Work '), 'drive to work');
+    assert.equal(normalizeTitle(undefined), '');
+  });
+});
+
+describe('isDuplicateOf', () => {
+  it('matches the same event logged twice', () => {
+    assert.equal(isDuplicateOf(activity(), activity({ title: 'drive to work ', date: minutesLater(10) })), true);
+  });
+
+  it('compares footprints in kg whatever unit they are stored in', () => {
+    assert.equal(isDuplicateOf(activity(), activity({ carbonFootprint: { value: 0.0042, unit: 'tons' } })), true);
+    assert.equal(isDuplicateOf(activity(), activity({ carbonFootprint: { value: 4.3, unit: 'kg' } })), false);
+  });
+
+  it('needs the same category, subcategory and title', () => {
+    assert.equal(isDuplicateOf(activity(), activity({ category: 'travel' })), false);
+    assert.equal(isDuplicateOf(activity(), activity({ subcategory: 'taxi' })), false);
+    assert.equal(isDuplicateOf(activity(), activity({ title: 'Drive home' })), false);
+  });
+
+  it('only matches activities within the window', () => {
+    assert.equal(isDuplicateOf(activity(), activity({ date: minutesLater(30) }), 30), true);
+    assert.equal(isDuplicateOf(activity(), activity({ date: minutesLater(-31) }), 30), false);
+    assert.equal(isDuplicateOf(activity(), activity({ date: minutesLater(90) }), 120), true);
+  });
+});
+
+describe('getDuplicateWindowMinutes', () => {
+  const original = process.env.DUPLICATE_WINDOW_MINUTES;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.DUPLICATE_WINDOW_MINUTES;
+    } else {
+      process.env.DUPLICATE_WINDOW_MINUTES = original;
+    }
+  });
+
+  it('reads DUPLICATE_WINDOW_MINUTES and defaults to 30', () => {
+    delete process.env.DUPLICATE_WINDOW_MINUTES;
+    assert.equal(getDuplicateWindowMinutes(), 30);
+    process.env.DUPLICATE_WINDOW_MINUTES = '45';
+    assert.equal(getDuplicateWindowMinutes(), 45);
+  });
+});
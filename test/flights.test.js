@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildFlight, flightDistance, getDistanceBand, isFlightActivity } from '../utils/flights.js';
+
+describe('getDistanceBand', () => {
+  it('bands flights by flown distance', () => {
+    assert.equal(getDistanceBand(0), 'short');
+    assert.equal(getDistanceBand(499), 'short');
+    assert.equal(getDistanceBand(500), 'medium');
+    assert.equal(getDistanceBand(3700), 'long');
+  });
+});
+
+describe('isFlightActivity', () => {
+  it('recognizes flights by travel mode, vehicle type or subcategory', () => {
+    assert.equal(isFlightActivity({ category: 'travel', data: { travelMode: 'Plane' } }), true);
+    assert.equal(isFlightActivity({ category: 'transportation', subcategory: 'flight' }), true);
+    assert.equal(isFlightActivity({ category: 'transportation', data: { vehicleType: 'car' }, subcategory: 'flight' }), false);
+    assert.equal(isFlightActivity({ category: 'energy', subcategory: 'flight' }), false);
+  });
+});
+
+describe('buildFlight', () => {
+  it('resolves each leg with its great-circle and flown distance', () => {
+    const { flight, error } = buildFlight({ origin: 'lhr', via: 'cdg', destination: 'JFK', roundTrip: 'true' });
+    assert.equal(error, undefined);
+    assert.equal(flight.origin, 'LHR');
+    assert.deepEqual(flight.via, ['CDG']);
+    assert.equal(flight.cabinClass, 'economy');
+    assert.equal(flight.roundTrip, true);
+    assert.equal(flight.radiativeForcing, false);
+
+    const [first, second] = flight.legs;
+    assert.equal(first.from, 'LHR');
+    assert.equal(first.to, 'CDG');
+    assert.equal(first.band, 'short');
+    assert.ok(Math.abs(first.greatCircleDistance - 348) < 5);
+    assert.ok(Math.abs(first.distance - first.greatCircleDistance * 1.08) < 0.2);
+    assert.equal(second.band, 'long');
+
+    const oneWay = first.distance + second.distance;
+    assert.ok(Math.abs(flightDistance(flight) - oneWay * 2) < 0.2);
+  });
+
+  it('rejects unknown airports, repeated airports and too many stops', () => {
+    assert.equal(buildFlight({ origin: 'LHR', destination: 'XYZ' }).error, 'Unknown airport code: XYZ');
+    assert.equal(buildFlight({ origin: 'LHR', destination: 'LHR' }).error, 'A flight leg must connect two different airports');
+    assert.match(
+      buildFlight({ origin: 'LHR', via: ['AMS', 'CDG', 'AMS', 'CDG', 'AMS'], destination: 'JFK' }).error,
+      /at most 4 via stops/
+    );
+  });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getIngredients, resolveFoodType, toFoodKg } from '../utils/food.js';
+
+describe('resolveFoodType', () => {
+  it('matches the dataset ignoring case and plurals', () => {
+    assert.equal(resolveFoodType('Beef'), 'beef');
+    assert.equal(resolveFoodType('tomato'), 'tomatoes');
+    assert.equal(resolveFoodType(' Potato '), 'potatoes');
+    assert.equal(resolveFoodType('chickens'), 'chicken');
+  });
+
+  it('returns null for unknown or missing foods', () => {
+    assert.equal(resolveFoodType('dragonfruit'), null);
+    assert.equal(resolveFoodType('default'), null);
+    assert.equal(resolveFoodType(''), null);
+    assert.equal(resolveFoodType(undefined), null);
+  });
+});
+
+describe('toFoodKg', () => {
+  it('converts mass units, defaulting to kg', () => {
+    assert.equal(toFoodKg(2, undefined, 'beef'), 2);
+    assert.equal(toFoodKg(250, 'G', 'beef'), 0.25);
+    assert.ok(Math.abs(toFoodKg(1, 'lb', 'beef') - 0.453592) < 1e-9);
+  });
+
+  it('uses the serving size of the food and a typical meal', () => {
+    assert.ok(Math.abs(toFoodKg(2, 'servings', 'beef') - 0.3) < 1e-9);
+    assert.equal(toFoodKg(2, 'meal', 'beef'), 1);
+  });
+
+  it('returns null for unknown units and invalid quantities', () => {
+    assert.equal(toFoodKg(1, 'bushel', 'beef'), null);
+    assert.equal(toFoodKg(-1, 'kg', 'beef'), null);
+    assert.equal(toFoodKg('1', 'kg', 'beef'), null);
+    assert.equal(toFoodKg(NaN, 'kg', 'beef'), null);
+  });
+});
+
+describe('getIngredients', () => {
+  it('uses the ingredient list, or the single food described', () => {
+    const ingredients = [{ foodType: 'rice', quantity: 0.2 }];
+    assert.equal(getIngredients('beef', { ingredients }), ingredients);
+    assert.deepEqual(getIngredients('beef', { ingredients: [], quantity: 1, quantityUnit: 'serving' }), [
+      { foodType: 'beef', quantity: 1, quantityUnit: 'serving' }
+    ]);
+  });
+});
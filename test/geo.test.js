@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  bboxToPolygon,
+  decodeGeohashBounds,
+  encodeGeohash,
+  haversineKm,
+  isValidCoordinate
+} from '../utils/geo.js';
+
+describe('encodeGeohash', () => {
+  it('encodes [longitude, latitude] points', () => {
+    assert.equal(encodeGeohash([-5.6, 42.6]), 'ezs42');
+    assert.equal(encodeGeohash([10.40744, 57.64911], 11), 'u4pruydqqvj');
+  });
+
+  it('uses the given precision', () => {
+    assert.equal(encodeGeohash([2.3522, 48.8566], 3).length, 3);
+    assert.ok(encodeGeohash([2.3522, 48.8566], 7).startsWith(encodeGeohash([2.3522, 48.8566], 3)));
+  });
+});
+
+describe('decodeGeohashBounds', () => {
+  it('returns a cell that contains the encoded point', () => {
+    const point = [-0.1276, 51.5072];
+    const [minLng, minLat, maxLng, maxLat] = decodeGeohashBounds(encodeGeohash(point, 6));
+    assert.ok(minLng <= point[0] && point[0] <= maxLng);
+    assert.ok(minLat <= point[1] && point[1] <= maxLat);
+  });
+
+  it('halves longitude first, so one character spans 45 by 45 degrees', () => {
+    assert.deepEqual(decodeGeohashBounds('s'), [0, 0, 45, 45]);
+  });
+});
+
+describe('bboxToPolygon', () => {
+  it('builds a closed ring', () => {
+    const { type, coordinates: [ring] } = bboxToPolygon([0, 0, 1, 2]);
+    assert.equal(type, 'Polygon');
+    assert.equal(ring.length, 5);
+    assert.deepEqual(ring[0], ring[4]);
+    assert.deepEqual(ring[2], [1, 2]);
+  });
+});
+
+describe('haversineKm', () => {
+  it('measures great-circle distances', () => {
+    const london = [-0.1276, 51.5072];
+    const paris = [2.3522, 48.8566];
+    assert.ok(Math.abs(haversineKm(london, paris) - 343.5) < 1);
+    assert.equal(haversineKm(london, london), 0);
+  });
+});
+
+describe('isValidCoordinate', () => {
+  it('accepts longitudes and latitudes in range', () => {
+    assert.equal(isValidCoordinate([180, -90]), true);
+    assert.equal(isValidCoordinate([181, 0]), false);
+    assert.equal(isValidCoordinate([0, 91]), false);
+    assert.equal(isValidCoordinate(['1', 2]), false);
+    assert.equal(isValidCoordinate(), false);
+  });
+});
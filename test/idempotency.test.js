@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { hashRequest } from '../utils/idempotency.js';
+
+const request = (overrides = {}) => ({
+  method: 'POST',
+  originalUrl: '/api/activities',
+  body: { title: 'Drive to work', data: { distance: 12 } },
+  ...overrides
+});
+
+const upload = (contents, overrides = {}) => request({
+  originalUrl: '/api/activities/import',
+  body: { dryRun: 'false' },
+  file: { fieldname: 'file', originalname: 'activities.csv', buffer: Buffer.from(contents) },
+  ...overrides
+});
+
+describe('hashRequest', () => {
+  it('is the same for the same method, URL and body', () => {
+    assert.equal(hashRequest(request()), hashRequest(request()));
+  });
+
+  it('differs when the method, URL or body differ', () => {
+    const hash = hashRequest(request());
+    assert.notEqual(hashRequest(request({ method: 'PUT' })), hash);
+    assert.notEqual(hashRequest(request({ originalUrl: '/api/goals' })), hash);
+    assert.notEqual(hashRequest(request({ body: { title: 'Drive home', data: { distance: 12 } } })), hash);
+  });
+
+  it('hashes the contents of uploaded files, not only their size', () => {
+    const hash = hashRequest(upload('date,title\n2024-05-01,Bus'));
+    assert.equal(hashRequest(upload('date,title\n2024-05-01,Bus')), hash);
+    assert.notEqual(hashRequest(upload('date,title\n2024-05-02,Bus')), hash);
+    assert.notEqual(hashRequest(upload('date,title\n2024-05-01,Bus', { body: { dryRun: 'true' } })), hash);
+  });
+
+  it('hashes every file of a multi-file upload', () => {
+    const files = (second) => [
+      { fieldname: 'files', originalname: 'a.png', buffer: Buffer.from('first') },
+      { fieldname: 'files', originalname: 'b.png', buffer: Buffer.from(second) }
+    ];
+    assert.notEqual(hashRequest(request({ files: files('second') })), hashRequest(request({ files: files('other!') })));
+  });
+});
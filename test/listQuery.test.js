@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildListFilter,
+  decodeCursor,
+  encodeCursor,
+  footprintFilter,
+  inFilter,
+  listParam,
+  parseSort
+} from '../utils/listQuery.js';
+
+const SORT_FIELDS = {
+  date: { path: 'date', type: 'date' },
+  footprint: { path: 'carbonFootprint.value', type: 'number' }
+};
+
+const doc = {
+  _id: '65a1b2c3d4e5f60718293a4b',
+  date: new Date('2024-05-01T10:00:00Z'),
+  carbonFootprint: { value: 12.5 }
+};
+
+describe('listParam', () => {
+  it('splits comma-separated and repeated values', () => {
+    assert.deepEqual(listParam('food, energy,,'), ['food', 'energy']);
+    assert.deepEqual(listParam(['food', ' water ']), ['food', 'water']);
+    assert.deepEqual(listParam(undefined), []);
+  });
+});
+
+describe('buildListFilter', () => {
+  it('combines the fragments of the given parameters with the base filter', () => {
+    const filter = buildListFilter(
+      { category: 'food,energy', status: '' },
+      { category: inFilter('category'), status: inFilter('status') },
+      { user: 'u1' }
+    );
+    assert.deepEqual(filter, { $and: [{ user: 'u1' }, { category: { $in: ['food', 'energy'] } }] });
+  });
+
+  it('returns the base filter when no parameter applies', () => {
+    assert.deepEqual(buildListFilter({ minFootprint: 'abc' }, { minFootprint: footprintFilter('$gte') }, { user: 'u1' }), { user: 'u1' });
+  });
+
+  it('compares footprints stored in tons in tons', () => {
+    const { $or: [kg, tons] } = footprintFilter('$gte')('500');
+    assert.deepEqual(kg['carbonFootprint.value'], { $gte: 500 });
+    assert.deepEqual(tons['carbonFootprint.value'], { $gte: 0.5 });
+  });
+});
+
+describe('parseSort', () => {
+  it('adds _id last in the direction of the last field', () => {
+    const { sort } = parseSort('-footprint,date', SORT_FIELDS, '-date');
+    assert.deepEqual(sort, [
+      ['carbonFootprint.value', -1, 'number'],
+      ['date', 1, 'date'],
+      ['_id', 1, 'id']
+    ]);
+  });
+
+  it('uses the default sort and rejects unknown fields', () => {
+    assert.deepEqual(parseSort(undefined, SORT_FIELDS, '-date').sort[0], ['date', -1, 'date']);
+    assert.match(parseSort('title', SORT_FIELDS, '-date').error, /Cannot sort by title/);
+  });
+});
+
+describe('cursors', () => {
+  const { sort } = parseSort('-date', SORT_FIELDS, '-date');
+
+  it('round-trip the sort values of a document', () => {
+    const cursor = encodeCursor(doc, sort, 'next');
+    const decoded = decodeCursor(cursor, sort);
+    assert.equal(decoded.direction, 'next');
+    assert.ok(decoded.values[0] instanceof Date);
+    assert.equal(decoded.values[0].getTime(), doc.date.getTime());
+    assert.equal(decoded.values[1], doc._id);
+  });
+
+  it('are rejected for a different sort order', () => {
+    const cursor = encodeCursor(doc, sort, 'next');
+    assert.equal(decodeCursor(cursor, parseSort('footprint', SORT_FIELDS, '-date').sort), null);
+  });
+
+  it('are rejected when malformed', () => {
+    assert.equal(decodeCursor('not-a-cursor', sort), null);
+    const badDirection = Buffer.from(JSON.stringify({ s: '-date,-_id', d: 'up', v: [doc.date, doc._id] })).toString('base64url');
+    assert.equal(decodeCursor(badDirection, sort), null);
+    const badId = Buffer.from(JSON.stringify({ s: '-date,-_id', d: 'next', v: [doc.date, 'abc'] })).toString('base64url');
+    assert.equal(decodeCursor(badId, sort), null);
+    const badDate = Buffer.from(JSON.stringify({ s: '-date,-_id', d: 'next', v: ['soon', doc._id] })).toString('base64url');
+    assert.equal(decodeCursor(badDate, sort), null);
+  });
+});
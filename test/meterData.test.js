@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  localDayStart,
+  parseGreenButton,
+  parseIntervalCsv,
+  parseMeterTimestamp,
+  toLocalDayKey
+} from '../utils/meterData.js';
+
+const greenButton = ({ uom = 72, flowDirection = 1, powerOfTenMultiplier = 0, readings }) => `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:espi="http://naesb.org/espi">
+  <entry>
+    <id>urn:uuid:usage-point</id>
+    <link rel="self" href="/espi/1_1/resource/RetailCustomer/1/UsagePoint/42"/>
+    <content><espi:UsagePoint><espi:ServiceCategory><espi:kind>0</espi:kind></espi:ServiceCategory></espi:UsagePoint></content>
+  </entry>
+  <entry>
+    <content><espi:LocalTimeParameters><espi:tzOffset>-18000</espi:tzOffset></espi:LocalTimeParameters></content>
+  </entry>
+  <entry>
+    <content>
+      <espi:ReadingType>
+        <espi:flowDirection>${flowDirection}</espi:flowDirection>
+        <espi:powerOfTenMultiplier>${powerOfTenMultiplier}</espi:powerOfTenMultiplier>
+        <espi:uom>${uom}</espi:uom>
+      </espi:ReadingType>
+    </content>
+  </entry>
+  <entry>
+    <content>
+      <espi:IntervalBlock>
+        ${readings.map(([start, duration, value]) => `<espi:IntervalReading>
+          <espi:timePeriod><espi:duration>${duration}</espi:duration><espi:start>${start}</espi:start></espi:timePeriod>
+          <espi:value>${value}</espi:value>
+        </espi:IntervalReading>`).join('')}
+      </espi:IntervalBlock>
+    </content>
+  </entry>
+</feed>`;
+
+describe('parseGreenButton', () => {
+  it('reads interval readings in kWh with the meter and its UTC offset', () => {
+    const parsed = parseGreenButton(Buffer.from(greenButton({
+      powerOfTenMultiplier: -3,
+      readings: [[1704067200, 3600, 1500000], [1704070800, 3600, 250000]]
+    })));
+    assert.equal(parsed.meterId, '/espi/1_1/resource/RetailCustomer/1/UsagePoint/42');
+    assert.equal(parsed.utcOffsetMinutes, -300);
+    assert.deepEqual(parsed.readings, [
+      { start: new Date('2024-01-01T00:00:00Z'), duration: 3600, kWh: 1.5 },
+      { start: new Date('2024-01-01T01:00:00Z'), duration: 3600, kWh: 0.25 }
+    ]);
+  });
+
+  it('rejects readings that are not delivered energy in Wh', () => {
+    assert.throws(() => parseGreenButton(greenButton({ uom: 38, readings: [[1704067200, 3600, 1]] })), /Unsupported unit of measure 38/);
+    assert.throws(() => parseGreenButton(greenButton({ flowDirection: 19, readings: [[1704067200, 3600, 1]] })), /delivered to the customer/);
+  });
+
+  it('rejects files without readings', () => {
+    assert.throws(() => parseGreenButton(greenButton({ readings: [] })), /No interval readings/);
+  });
+});
+
+describe('parseMeterTimestamp', () => {
+  it('takes epoch seconds and zoned times as they are', () => {
+    assert.equal(parseMeterTimestamp('1704067200', 60).toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(parseMeterTimestamp('2024-01-01T01:00:00+01:00', 60).toISOString(), '2024-01-01T00:00:00.000Z');
+  });
+
+  it('shifts naive local times by the UTC offset', () => {
+    assert.equal(parseMeterTimestamp('2024-01-01 01:00', 60).toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(parseMeterTimestamp('2024-01-01 00:00', -300).toISOString(), '2024-01-01T05:00:00.000Z');
+  });
+});
+
+describe('parseIntervalCsv', () => {
+  it('detects the columns and reads Wh values as kWh', () => {
+    const csv = Buffer.from('Start,Duration,Wh\n2024-01-01T00:00:00Z,900,500\n2024-01-01T00:15:00Z,900,"1,500"\n');
+    const { readings, errors } = parseIntervalCsv(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(readings.map(reading => [reading.duration, reading.kWh]), [[900, 0.5], [900, 1.5]]);
+  });
+
+  it('joins date and time columns and runs each interval until the next reading', () => {
+    const csv = Buffer.from('Date,Time,kWh\n2024-01-01,00:30,2\n2024-01-01,00:00,1\n');
+    const { readings } = parseIntervalCsv(csv, { utcOffsetMinutes: 60 });
+    assert.deepEqual(readings.map(reading => [reading.start.toISOString(), reading.duration, reading.kWh]), [
+      ['2023-12-31T23:00:00.000Z', 1800, 1],
+      ['2023-12-31T23:30:00.000Z', 1800, 2]
+    ]);
+  });
+
+  it('reports rows with an invalid timestamp or consumption', () => {
+    const csv = Buffer.from('timestamp,value\nsoon,1\n2024-01-01T00:00:00Z,-2\n2024-01-01T01:00:00Z,3\n');
+    const { readings, errors } = parseIntervalCsv(csv);
+    assert.equal(readings.length, 1);
+    assert.deepEqual(errors.map(error => error.row), [2, 3]);
+  });
+
+  it('needs a timestamp and a consumption column', () => {
+    assert.throws(() => parseIntervalCsv(Buffer.from('when,how much\n1,2\n')), /Unable to find the timestamp/);
+  });
+});
+
+describe('local days', () => {
+  it('keys readings by the day in the meter time zone', () => {
+    const reading = new Date('2024-01-01T03:00:00Z');
+    assert.equal(toLocalDayKey(reading, 0), '2024-01-01');
+    assert.equal(toLocalDayKey(reading, -300), '2023-12-31');
+  });
+
+  it('starts a local day at its UTC instant', () => {
+    assert.equal(localDayStart('2024-01-01', -300).toISOString(), '2024-01-01T05:00:00.000Z');
+    assert.equal(localDayStart('2024-01-01', 60).toISOString(), '2023-12-31T23:00:00.000Z');
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  getNthOccurrence,
+  getOccurrenceDates,
+  MAX_OCCURRENCES_PER_RUN,
+  toDayKey
+} from '../utils/recurrence.js';
+
+const days = (dates) => dates.map(toDayKey);
+
+describe('getNthOccurrence', () => {
+  it('steps daily and weekly series by their interval', () => {
+    const start = new Date('2024-03-01T08:00:00Z');
+    assert.equal(getNthOccurrence(start, { frequency: 'daily', interval: 2 }, 3).toISOString(), '2024-03-07T08:00:00.000Z');
+    assert.equal(toDayKey(getNthOccurrence(start, { frequency: 'weekly' }, 2)), '2024-03-15');
+  });
+
+  it('clamps monthly series to the last day of shorter months', () => {
+    const start = new Date('2024-01-31T00:00:00Z');
+    const pattern = { frequency: 'monthly' };
+    assert.deepEqual(
+      days([1, 2, 3].map(n => getNthOccurrence(start, pattern, n))),
+      ['2024-02-29', '2024-03-31', '2024-04-30']
+    );
+  });
+
+  it('clamps yearly series started on a leap day', () => {
+    const start = new Date('2024-02-29T00:00:00Z');
+    assert.equal(toDayKey(getNthOccurrence(start, { frequency: 'yearly' }, 1)), '2025-02-28');
+    assert.equal(toDayKey(getNthOccurrence(start, { frequency: 'yearly' }, 4)), '2028-02-29');
+  });
+
+  it('does not change the start date', () => {
+    const start = new Date('2024-01-31T00:00:00Z');
+    getNthOccurrence(start, { frequency: 'monthly' }, 1);
+    assert.equal(toDayKey(start), '2024-01-31');
+  });
+
+  it('returns null for an unknown frequency', () => {
+    assert.equal(getNthOccurrence(new Date(), { frequency: 'hourly' }, 1), null);
+  });
+});
+
+describe('getOccurrenceDates', () => {
+  const start = new Date('2024-01-01T00:00:00Z');
+
+  it('lists occurrences after the start up to and including until', () => {
+    const dates = getOccurrenceDates(start, { frequency: 'daily' }, { until: new Date('2024-01-04T00:00:00Z') });
+    assert.deepEqual(days(dates), ['2024-01-02', '2024-01-03', '2024-01-04']);
+  });
+
+  it('only lists occurrences after the last materialized one', () => {
+    const dates = getOccurrenceDates(start, { frequency: 'weekly' }, {
+      after: new Date('2024-01-08T00:00:00Z'),
+      until: new Date('2024-01-31T00:00:00Z')
+    });
+    assert.deepEqual(days(dates), ['2024-01-15', '2024-01-22', '2024-01-29']);
+  });
+
+  it('stops at the end date of the pattern', () => {
+    const pattern = { frequency: 'daily', endDate: new Date('2024-01-03T00:00:00Z') };
+    const dates = getOccurrenceDates(start, pattern, { until: new Date('2024-12-31T00:00:00Z') });
+    assert.deepEqual(days(dates), ['2024-01-02', '2024-01-03']);
+  });
+
+  it('lists at most MAX_OCCURRENCES_PER_RUN dates', () => {
+    const dates = getOccurrenceDates(start, { frequency: 'daily' }, { until: new Date('2030-01-01T00:00:00Z') });
+    assert.equal(dates.length, MAX_OCCURRENCES_PER_RUN);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { diffSnapshots, takeSnapshot } from '../utils/revisions.js';
+
+// Stand-in for a Mongoose document
+const doc = (object) => ({ toObject: () => object });
+
+describe('takeSnapshot', () => {
+  it('keeps only the tracked fields as plain JSON', () => {
+    const snapshot = takeSnapshot(doc({
+      _id: 'abc',
+      title: 'Commute',
+      date: new Date('2024-05-01T00:00:00Z'),
+      carbonFootprint: { value: 2.5, unit: 'kg' },
+      updatedAt: new Date()
+    }), 'activity');
+
+    assert.deepEqual(snapshot, {
+      title: 'Commute',
+      date: '2024-05-01T00:00:00.000Z',
+      carbonFootprint: { value: 2.5, unit: 'kg' }
+    });
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('reports changed leaf paths in order, with missing values as null', () => {
+    const before = { title: 'Commute', carbonFootprint: { value: 2.5, unit: 'kg' }, tags: ['work'] };
+    const after = { title: 'Commute', carbonFootprint: { value: 3, unit: 'kg' }, tags: ['work', 'car'], notes: 'Detour' };
+
+    assert.deepEqual(diffSnapshots(before, after), [
+      { path: 'carbonFootprint.value', oldValue: 2.5, newValue: 3 },
+      { path: 'notes', oldValue: null, newValue: 'Detour' },
+      { path: 'tags', oldValue: ['work'], newValue: ['work', 'car'] }
+    ]);
+  });
+
+  it('ignores server-managed bookkeeping and undefined versus null', () => {
+    const before = { recurringPattern: { frequency: 'weekly', generatedThrough: '2024-05-01' }, description: null };
+    const after = { recurringPattern: { frequency: 'weekly', generatedThrough: '2024-06-01' } };
+
+    assert.deepEqual(diffSnapshots(before, after), []);
+  });
+});
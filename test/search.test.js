@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildRegexFilter,
+  escapeRegex,
+  highlight,
+  highlightFields,
+  normalizeScores,
+  scoreDocument,
+  tokenize
+} from '../utils/search.js';
+
+describe('tokenize', () => {
+  it('lowercases words of two or more characters without duplicates', () => {
+    assert.deepEqual(tokenize('Bike to Work, bike a lot! Café'), ['bike', 'to', 'work', 'lot', 'café']);
+    assert.deepEqual(tokenize('  ?! '), []);
+  });
+});
+
+describe('buildRegexFilter', () => {
+  it('matches any term in any field, with the terms escaped', () => {
+    assert.equal(escapeRegex('c++ (x)'), 'c\\+\\+ \\(x\\)');
+    assert.deepEqual(buildRegexFilter(['bus', 'a.b'], ['title', 'tags']), {
+      $or: [
+        { title: { $regex: 'bus', $options: 'i' } },
+        { title: { $regex: 'a\\.b', $options: 'i' } },
+        { tags: { $regex: 'bus', $options: 'i' } },
+        { tags: { $regex: 'a\\.b', $options: 'i' } }
+      ]
+    });
+  });
+});
+
+describe('scoreDocument', () => {
+  it('counts each term once per field, times the field weight', () => {
+    const doc = { title: 'Bus to work by bus', description: null, tags: ['Commute', 'work'] };
+    const weights = { title: 10, description: 5, tags: 3 };
+    assert.equal(scoreDocument(doc, ['bus', 'work'], weights), 10 * 2 + 3 * 1);
+    assert.equal(scoreDocument(doc, ['train'], weights), 0);
+  });
+});
+
+describe('normalizeScores', () => {
+  it('scores each hit relative to the best one', () => {
+    const hits = normalizeScores([{ id: 1, score: 3 }, { id: 2, score: 1.5 }, { id: 3, score: 1 }]);
+    assert.deepEqual(hits.map(hit => hit.relevance), [1, 0.5, 0.3333]);
+    assert.equal(hits[0].id, 1);
+  });
+
+  it('gives zero relevance when nothing scored', () => {
+    assert.deepEqual(normalizeScores([{ score: 0 }]), [{ score: 0, relevance: 0 }]);
+    assert.deepEqual(normalizeScores([]), []);
+  });
+});
+
+describe('highlight', () => {
+  it('marks every match and escapes HTML', () => {
+    assert.equal(
+      highlight('Took the <b>bus</b> & the Bus again', ['bus']),
+      'Took the &lt;b&gt;<mark>bus</mark>&lt;/b&gt; &amp; the <mark>Bus</mark> again'
+    );
+  });
+
+  it('cuts long text to a snippet around the first match', () => {
+    const text = `${'a'.repeat(300)} bus ${'b'.repeat(300)}`;
+    const snippet = highlight(text, ['bus']);
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>bus</mark>'));
+    assert.equal(snippet.replace(/<\/?mark>|…/g, '').length, 160);
+  });
+
+  it('returns null without a match', () => {
+    assert.equal(highlight('Train ride', ['bus']), null);
+    assert.equal(highlight(null, ['bus']), null);
+    assert.equal(highlight('Bus', []), null);
+  });
+
+  it('highlights only the fields that match, joining arrays', () => {
+    const doc = { title: 'Train', tags: ['bus', 'city'] };
+    assert.deepEqual(highlightFields(doc, ['bus'], ['title', 'tags']), { tags: '<mark>bus</mark>, city' });
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import XLSX from 'xlsx';
+import {
+  buildColumnMapping,
+  detectFormat,
+  mapRow,
+  parseSpreadsheet
+} from '../utils/spreadsheet.js';
+
+describe('detectFormat', () => {
+  it('detects CSV and XLSX from the file name or type', () => {
+    assert.equal(detectFormat({ originalname: 'activities.CSV' }), 'csv');
+    assert.equal(detectFormat({ originalname: 'upload', mimetype: 'text/csv' }), 'csv');
+    assert.equal(detectFormat({ originalname: 'activities.xlsx' }), 'xlsx');
+    assert.equal(detectFormat({ originalname: 'activities.pdf', mimetype: 'application/pdf' }), null);
+  });
+});
+
+describe('parseSpreadsheet', () => {
+  it('reads CSV rows keyed by header, skipping a BOM and blank lines', () => {
+    const csv = Buffer.from('﻿Date,Title,Distance\n2024-05-01, Bus to work ,12\n\n2024-05-02,Train,40\n');
+    const { headers, rows } = parseSpreadsheet(csv, 'csv');
+    assert.deepEqual(headers, ['Date', 'Title', 'Distance']);
+    assert.deepEqual(rows[0], { Date: '2024-05-01', Title: 'Bus to work', Distance: '12' });
+    assert.equal(rows.length, 2);
+  });
+
+  it('reads the first worksheet of an XLSX file', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Title', 'CO2'], ['Flight', 250]]), 'Sheet1');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const { headers, rows } = parseSpreadsheet(buffer, 'xlsx');
+    assert.deepEqual(headers, ['Title', 'CO2']);
+    assert.deepEqual(rows, [{ Title: 'Flight', CO2: 250 }]);
+  });
+});
+
+describe('buildColumnMapping', () => {
+  it('matches headers to field paths, field names and aliases', () => {
+    const mapping = buildColumnMapping(['Category', 'Distance', 'data.fuelType', 'CO2 (kg)', 'City', 'Comment']);
+    assert.deepEqual(mapping, {
+      Category: 'category',
+      Distance: 'data.distance',
+      'data.fuelType': 'data.fuelType',
+      'CO2 (kg)': 'carbonFootprint.value',
+      City: 'location.city'
+    });
+  });
+
+  it('lets a custom mapping add and remove columns', () => {
+    const mapping = buildColumnMapping(['Title', 'Km'], { Km: 'data.distance', Title: null });
+    assert.deepEqual(mapping, { Km: 'data.distance' });
+  });
+});
+
+describe('mapRow', () => {
+  const mapping = {
+    Title: 'title',
+    Distance: 'data.distance',
+    Tags: 'tags',
+    Date: 'date',
+    Bad: 'data.nope'
+  };
+
+  it('coerces values and nests them by field path', () => {
+    const { input, errors } = mapRow({ Title: 'Bus', Distance: '1,200.5', Tags: 'work; commute|bus', Date: new Date('2024-05-01T00:00:00Z') }, mapping);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(input, {
+      title: 'Bus',
+      data: { distance: 1200.5 },
+      tags: ['work', 'commute', 'bus'],
+      date: '2024-05-01T00:00:00.000Z'
+    });
+  });
+
+  it('reports columns that cannot be coerced or mapped', () => {
+    const { errors } = mapRow({ Distance: 'far', Bad: 'x' }, mapping);
+    assert.deepEqual(errors, ['Column "Distance" must be a number', 'Column "Bad" is mapped to unknown field "data.nope"']);
+  });
+
+  it('fills fields the row leaves empty from the defaults', () => {
+    const { input } = mapRow({ Title: 'Bus', Distance: '' }, mapping, {
+      category: 'transportation',
+      title: 'Ignored',
+      data: { distance: 5, vehicleType: 'bus' }
+    });
+    assert.deepEqual(input, { title: 'Bus', category: 'transportation', data: { distance: 5, vehicleType: 'bus' } });
+  });
+});
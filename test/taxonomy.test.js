@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import ActivityCategory from '../models/ActivityCategory.js';
+import {
+  activeTaxonomy,
+  clearTaxonomyCache,
+  getDataFields,
+  getDefaultTaxonomy,
+  getTaxonomy,
+  isTaxonomyCategory,
+  validateActivityTaxonomy
+} from '../utils/taxonomy.js';
+
+// Categories admins have stored, in place of the database
+let stored = [];
+ActivityCategory.find = async () => stored;
+
+const transportation = () => getDefaultTaxonomy().find(category => category.name === 'transportation');
+
+beforeEach(() => {
+  stored = [];
+  clearTaxonomyCache();
+});
+
+describe('getDefaultTaxonomy', () => {
+  it('lists the emission factor subcategories of each category in order', () => {
+    const taxonomy = getDefaultTaxonomy();
+    assert.deepEqual(taxonomy.map(category => category.order), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.ok(transportation().subcategories.some(subcategory => subcategory.name === 'car'));
+    assert.ok(!transportation().subcategories.some(subcategory => subcategory.name === 'default'));
+    assert.deepEqual(
+      transportation().fields.find(dataField => dataField.name === 'vehicleType'),
+      { name: 'vehicleType', label: 'Vehicle type', type: 'string' }
+    );
+  });
+});
+
+describe('getDataFields', () => {
+  it('adds and replaces category fields with the subcategory ones', () => {
+    const category = { fields: [{ name: 'distance', required: true }, { name: 'passengers' }] };
+    const subcategory = { fields: [{ name: 'distance', required: false }, { name: 'seatClass' }] };
+    assert.deepEqual(getDataFields(category, subcategory), [
+      { name: 'distance', required: false },
+      { name: 'passengers' },
+      { name: 'seatClass' }
+    ]);
+    assert.deepEqual(getDataFields(category), category.fields);
+  });
+});
+
+describe('activeTaxonomy', () => {
+  it('leaves out inactive categories and subcategories', () => {
+    const categories = [
+      { name: 'a', isActive: true, subcategories: [{ name: 'x', isActive: true }, { name: 'y', isActive: false }] },
+      { name: 'b', isActive: false, subcategories: [] }
+    ];
+    assert.deepEqual(activeTaxonomy(categories), [
+      { name: 'a', isActive: true, subcategories: [{ name: 'x', isActive: true }] }
+    ]);
+  });
+});
+
+describe('getTaxonomy', () => {
+  it('uses stored categories over the built-in ones and adds custom ones', async () => {
+    stored = [
+      new ActivityCategory({ ...transportation(), label: 'Getting around' }),
+      new ActivityCategory({ name: 'gardening', label: 'Gardening', order: 9 })
+    ];
+    const taxonomy = await getTaxonomy();
+    assert.equal(taxonomy.length, 9);
+    assert.equal(taxonomy[0].label, 'Getting around');
+    assert.equal(taxonomy[8].name, 'gardening');
+    await assert.rejects(isTaxonomyCategory('hobbies'), /Invalid category/);
+    assert.equal(await isTaxonomyCategory('gardening'), true);
+  });
+});
+
+describe('validateActivityTaxonomy', () => {
+  it('matches subcategories ignoring case and returns the stored name', async () => {
+    const result = await validateActivityTaxonomy({ category: 'transportation', subcategory: ' Car ', data: { distance: 12 } });
+    assert.deepEqual(result, { subcategory: 'car' });
+  });
+
+  it('rejects retired subcategories unless only the fields are checked', async () => {
+    const category = transportation();
+    category.subcategories = category.subcategories.map(subcategory => ({ ...subcategory, isActive: subcategory.name !== 'bus' }));
+    stored = [new ActivityCategory(category)];
+
+    const activity = { category: 'transportation', subcategory: 'bus', data: { distance: 5 } };
+    const { error } = await validateActivityTaxonomy(activity);
+    assert.equal(error.error, 'Invalid subcategory');
+    assert.ok(!error.message.includes('bus,'));
+    assert.deepEqual(await validateActivityTaxonomy(activity, { checkSubcategory: false }), { subcategory: 'bus' });
+  });
+
+  it('requires data fields or their alternatives unless the footprint is manual', async () => {
+    const activity = { category: 'transportation', subcategory: 'car', data: { vehicleType: 'car' } };
+    const { error } = await validateActivityTaxonomy(activity);
+    assert.equal(error.error, 'Missing activity data');
+    assert.match(error.message, /data\.distance or data\.flight/);
+
+    assert.deepEqual(
+      await validateActivityTaxonomy({ ...activity, data: { flight: { origin: 'LHR' } } }),
+      { subcategory: 'car' }
+    );
+    assert.deepEqual(
+      await validateActivityTaxonomy({ ...activity, carbonFootprint: { value: 3, calculationMethod: 'manual' } }),
+      { subcategory: 'car' }
+    );
+  });
+
+  it('rejects unknown categories', async () => {
+    const { error } = await validateActivityTaxonomy({ category: 'hobbies', subcategory: 'chess' });
+    assert.equal(error.error, 'Invalid category');
+  });
+});
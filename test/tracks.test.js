@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  detectTrackFormat,
+  inferTripMode,
+  parseTracks,
+  summarizeTrack
+} from '../utils/tracks.js';
+
+// Points heading north from (0, 0), `step` degrees of latitude and `minutes` apart
+const line = (count, step, minutes) => Array.from({ length: count }, (_, index) => ({
+  coordinates: [0, index * step],
+  time: new Date(Date.UTC(2024, 4, 1, 8, 0) + index * minutes * 60000)
+}));
+
+const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Morning walk</name>
+    <trkseg>
+      <trkpt lat="0" lon="0"><time>2024-05-01T08:00:00Z</time></trkpt>
+      <trkpt lat="0.01" lon="0"><time>2024-05-01T08:10:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="0.02" lon="0"><time>2024-05-01T08:20:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <rte><name>Too short</name><rtept lat="1" lon="1"/></rte>
+</gpx>`;
+
+const tcx = `<?xml version="1.0"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>2024-05-01T08:00:00Z</Id>
+      <Lap><Track>
+        <Trackpoint><Time>2024-05-01T08:00:00Z</Time><Position><LatitudeDegrees>0</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position></Trackpoint>
+        <Trackpoint><Time>2024-05-01T08:01:00Z</Time></Trackpoint>
+        <Trackpoint><Time>2024-05-01T08:30:00Z</Time><Position><LatitudeDegrees>0.05</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position></Trackpoint>
+      </Track></Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+describe('detectTrackFormat', () => {
+  it('detects the format from the extension or the content', () => {
+    assert.equal(detectTrackFormat({ originalname: 'ride.TCX', buffer: Buffer.from('') }), 'tcx');
+    assert.equal(detectTrackFormat({ originalname: 'trip.json', buffer: Buffer.from('') }), 'geojson');
+    assert.equal(detectTrackFormat({ originalname: 'upload', buffer: Buffer.from(gpx) }), 'gpx');
+    assert.equal(detectTrackFormat({ originalname: 'upload', buffer: Buffer.from(' {"type":"Feature"}') }), 'geojson');
+    assert.equal(detectTrackFormat({ originalname: 'notes.txt', buffer: Buffer.from('hello') }), null);
+  });
+});
+
+describe('parseTracks', () => {
+  it('joins GPX track segments and leaves out tracks with fewer than two points', () => {
+    const [trip, ...rest] = parseTracks(Buffer.from(gpx), 'gpx');
+    assert.equal(rest.length, 0);
+    assert.equal(trip.name, 'Morning walk');
+    assert.equal(trip.points.length, 3);
+    assert.ok(Math.abs(trip.summary.distance - 2.224) < 0.01);
+    assert.equal(trip.summary.duration, 20);
+  });
+
+  it('reads TCX activities with their sport, skipping points without a position', () => {
+    const [trip] = parseTracks(Buffer.from(tcx), 'tcx');
+    assert.equal(trip.sport, 'Biking');
+    assert.equal(trip.points.length, 2);
+    assert.equal(inferTripMode(trip.summary, trip.sport), 'bike');
+  });
+
+  it('reads GeoJSON lines with coordTimes', () => {
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Drive', coordTimes: ['2024-05-01T08:00:00Z', '2024-05-01T08:30:00Z'] }, geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0.3]] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } }
+      ]
+    };
+    const trips = parseTracks(Buffer.from(JSON.stringify(geojson)), 'geojson');
+    assert.equal(trips.length, 1);
+    assert.equal(trips[0].summary.duration, 30);
+    assert.equal(inferTripMode(trips[0].summary), 'car');
+  });
+
+  it('rejects documents of the wrong format', () => {
+    assert.throws(() => parseTracks(Buffer.from('{}'), 'gpx'), /Not a GPX document/);
+    assert.throws(() => parseTracks(Buffer.from('<gpx'), 'geojson'), /Not a valid GeoJSON document/);
+    assert.throws(() => parseTracks(Buffer.from(''), 'kml'), /Unsupported track format kml/);
+  });
+});
+
+describe('summarizeTrack', () => {
+  it('ignores jumps faster than a plane as GPS noise when working out speeds', () => {
+    const points = line(4, 0.01, 10);
+    points[2] = { coordinates: [0, 5], time: points[2].time };
+    const summary = summarizeTrack(points);
+    assert.ok(summary.topSpeed < 10);
+  });
+
+  it('has no duration or speeds for untimed points', () => {
+    const summary = summarizeTrack(line(3, 0.01, 10).map(point => ({ coordinates: point.coordinates, time: null })));
+    assert.equal(summary.duration, null);
+    assert.equal(summary.averageSpeed, null);
+    assert.deepEqual(summary.end, [0, 0.02]);
+  });
+});
+
+describe('inferTripMode', () => {
+  it('prefers the declared sport', () => {
+    assert.equal(inferTripMode({ averageSpeed: 50 }, 'Running'), 'walk');
+    assert.equal(inferTripMode({ averageSpeed: 5 }, 'ferry'), 'ferry');
+  });
+
+  it('infers the mode from the speed', () => {
+    assert.equal(inferTripMode({ averageSpeed: 5 }), 'walk');
+    assert.equal(inferTripMode({ averageSpeed: 18 }), 'bike');
+    assert.equal(inferTripMode({ averageSpeed: 60, topSpeed: 120 }), 'car');
+    assert.equal(inferTripMode({ averageSpeed: 120, topSpeed: 200 }), 'train');
+    assert.equal(inferTripMode({ averageSpeed: null }), null);
+  });
+});
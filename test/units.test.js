@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  formatActivityUnits,
+  formatEmissions,
+  formatGoalUnits,
+  formatTotals,
+  formatUserFootprint,
+  getUnitSystem,
+  normalizeActivityUnits,
+  normalizeGoalUnits
+} from '../utils/units.js';
+
+describe('getUnitSystem', () => {
+  it('prefers a valid units query over the user preference', () => {
+    const user = { preferences: { units: 'imperial' } };
+    assert.equal(getUnitSystem({ query: {}, user }), 'imperial');
+    assert.equal(getUnitSystem({ query: { units: 'metric' }, user }), 'metric');
+    assert.equal(getUnitSystem({ query: { units: 'furlongs' }, user: {} }), 'metric');
+  });
+});
+
+describe('normalizeActivityUnits', () => {
+  it('reads numbers without a unit in the unit system', () => {
+    const { data } = normalizeActivityUnits({ data: { distance: 10, temperature: 212 } }, 'imperial');
+    assert.deepEqual(data, { distance: 16.093, temperature: 100 });
+    assert.deepEqual(normalizeActivityUnits({ data: { distance: 10 } }, 'metric').data, { distance: 10 });
+  });
+
+  it('converts numbers with an explicit unit whatever the system', () => {
+    const { data } = normalizeActivityUnits({ data: { distance: '5', distanceUnit: 'Miles', weight: 2, weightUnit: 'lb' } }, 'metric');
+    assert.deepEqual(data, { distance: 8.047, weight: 0.907 });
+  });
+
+  it('stores water, gas and food in metric units', () => {
+    const { data } = normalizeActivityUnits({
+      data: {
+        waterUsage: 10,
+        consumption: 2,
+        consumptionUnit: 'ccf',
+        ingredients: [{ foodType: 'beef', quantity: 1 }]
+      }
+    }, 'imperial');
+    assert.equal(data.waterUsage, 37.85);
+    assert.equal(data.waterUnit, 'litres');
+    assert.equal(data.consumptionUnit, 'kWh');
+    assert.deepEqual(data.ingredients[0], { foodType: 'beef', quantity: 0.454, quantityUnit: 'kg' });
+  });
+
+  it('converts a manual footprint in pounds to kg', () => {
+    const { carbonFootprint } = normalizeActivityUnits({ carbonFootprint: { value: 10, unit: 'lbs', calculationMethod: 'manual' } }, 'metric');
+    assert.deepEqual(carbonFootprint, { value: 4.536, unit: 'kg', calculationMethod: 'manual' });
+  });
+
+  it('leaves unknown units for validation and does not change the input', () => {
+    const input = { data: { distance: 3, distanceUnit: 'leagues' } };
+    assert.deepEqual(normalizeActivityUnits(input, 'imperial').data, { distance: 3, distanceUnit: 'leagues' });
+    assert.equal(normalizeActivityUnits([1], 'imperial').length, 1);
+    assert.equal(input.data.distanceUnit, 'leagues');
+  });
+});
+
+describe('normalizeGoalUnits', () => {
+  it('stores imperial targets in their metric unit', () => {
+    const { target } = normalizeGoalUnits({ target: { value: 100, unit: 'lb' } }, 'imperial');
+    assert.deepEqual(target, { value: 45.359, unit: 'kg' });
+  });
+
+  it('reads values without a unit in the goal unit shown to the user', () => {
+    const goal = normalizeGoalUnits({ target: { value: 100 }, milestones: [{ targetValue: 50 }] }, 'imperial', 'kg');
+    assert.equal(goal.target.value, 45.359);
+    assert.equal(goal.milestones[0].targetValue, 22.68);
+  });
+});
+
+describe('formatting', () => {
+  it('shows emissions in kg or lb', () => {
+    assert.deepEqual(formatEmissions(10, 'metric'), { value: 10, unit: 'kg' });
+    assert.deepEqual(formatEmissions(10, 'imperial'), { value: 22.046, unit: 'lb' });
+    assert.deepEqual(formatEmissions(undefined, 'imperial'), { value: 0, unit: 'lb' });
+  });
+
+  it('converts activity footprints and data for imperial users', () => {
+    const activity = formatActivityUnits({
+      carbonFootprint: { value: 0.01, gross: 0.02, unit: 'tons', breakdown: [] },
+      data: { distance: 16.093 }
+    }, 'imperial');
+    assert.equal(activity.carbonFootprint.value, 22.046);
+    assert.equal(activity.carbonFootprint.gross, 44.092);
+    assert.equal(activity.carbonFootprint.unit, 'lb');
+    assert.equal(activity.data.distance, 10);
+    assert.equal(activity.data.distanceUnit, 'mi');
+    assert.equal(activity.units, 'imperial');
+  });
+
+  it('converts goal targets, current values and milestones to the same unit', () => {
+    const goal = formatGoalUnits({ target: { value: 100, unit: 'liters' }, current: { value: 50 }, milestones: [{ targetValue: 10 }] }, 'imperial');
+    assert.deepEqual(goal.target, { value: 26.417, unit: 'gallons' });
+    assert.equal(goal.current.unit, 'gallons');
+    assert.equal(goal.milestones[0].targetValue, 2.642);
+  });
+
+  it('adds totals and user stats in the unit system', () => {
+    const totals = formatTotals({ totalKg: 100, totalTons: 0.1, avoidedKg: 10 }, 'imperial');
+    assert.equal(totals.total, 220.462);
+    assert.equal(totals.avoided, 22.046);
+    assert.equal(totals.totalKg, 100);
+
+    const stats = formatUserFootprint({ totalFootprint: 100, reductionPercentage: 12 }, 'imperial');
+    assert.deepEqual(stats, { totalFootprint: 220.462, reductionPercentage: 12, unit: 'lb' });
+  });
+});
@@ -0,0 +1,288 @@
+import Activity, { COUNTED_FILTER } from '../models/Activity.js';
+import { calculateAllocation, calculateBaseline, calculateCarbonFootprint } from './carbonCalculator.js';
+import { buildFlight, flightDistance } from './flights.js';
+import { validateActivityTaxonomy } from './taxonomy.js';
+
+export const FOOTPRINT_ERROR = {
+  error: 'Unable to calculate carbon footprint',
+  message: 'Provide the activity data required for this category, or send carbonFootprint.value with calculationMethod "manual"'
+};
+
+// Carbon footprint of an activity in kg, whatever unit it was stored in
+export const footprintInKg = (carbonFootprint) => {
+  return carbonFootprint.unit === 'tons'
+    ? carbonFootprint.value * 1000
+    : carbonFootprint.value;
+};
+
+// Whether an activity counts towards the user's total: it is neither
+// cancelled nor in the trash
+export const isCounted = (activity) => activity.status !== 'cancelled' && !activity.trash?.deletedAt;
+
+// Query matching the activities isCounted accepts
+export { COUNTED_FILTER };
+
+// Footprint in kg an activity adds to the user's total
+export const countedKg = (activity) => (isCounted(activity) ? footprintInKg(activity.carbonFootprint) : 0);
+
+// Resolve the flight itinerary in activity data to its legs and total distance.
+// Returns { data }, or { error } for an itinerary with unknown airports.
+const resolveFlightData = (data) => {
+  const { flight, error } = buildFlight(data.flight);
+  if (error) {
+    return { error: { error: 'Invalid flight', message: error } };
+  }
+  return { data: { ...data, flight, distance: flightDistance(flight) } };
+};
+
+/**
+ * Split a calculated footprint between the household or passengers sharing
+ * it, in place. carbonFootprint.value becomes the user's share and
+ * carbonFootprint.gross keeps the whole footprint. Manual entries are taken
+ * as the user's share already. Only the client's allocation options are
+ * kept from what was there before. Call before applyBaseline, which
+ * compares against the allocated footprint.
+ */
+export const applyAllocation = (activity, { user }) => {
+  const { enabled, splitBetween } = activity.allocation || {};
+  const settings = Object.fromEntries(
+    Object.entries({ enabled, splitBetween }).filter(([, value]) => value !== undefined)
+  );
+
+  const footprint = activity.carbonFootprint;
+  const allocation = footprint && footprint.calculationMethod !== 'manual'
+    ? calculateAllocation(activity, { user, settings })
+    : null;
+
+  if (footprint && footprint.calculationMethod !== 'manual') {
+    const gross = footprint.gross ?? footprint.value;
+    footprint.value = allocation ? Math.round(gross * allocation.share * 1000) / 1000 : gross;
+    footprint.gross = allocation ? gross : undefined;
+  }
+
+  activity.allocation = allocation
+    ? { ...settings, ...allocation }
+    : (Object.keys(settings).length > 0 ? settings : undefined);
+};
+
+/**
+ * Calculate the counterfactual baseline and avoided emissions of an activity
+ * (a document or plain activity data) in place. Only the client's baseline
+ * options are kept from what was there before.
+ */
+export const applyBaseline = async (activity, { user }) => {
+  const { enabled, vehicleType, fuelType } = activity.baseline || {};
+  const settings = Object.fromEntries(
+    Object.entries({ enabled, vehicleType, fuelType }).filter(([, value]) => value !== undefined)
+  );
+
+  const baseline = await calculateBaseline(activity, { user, settings });
+  activity.baseline = baseline
+    ? { ...settings, ...baseline }
+    : (Object.keys(settings).length > 0 ? settings : undefined);
+};
+
+// Fields the server manages: ownership, series links, trash state and import
+// provenance. Importers set the ones they need on the prepared data.
+const SERVER_MANAGED_FIELDS = ['_id', 'user', 'recurrence', 'trash', 'importBatch', 'externalId', 'createdAt', 'updatedAt'];
+
+const pick = (source, keys) => {
+  const picked = Object.fromEntries(keys
+    .filter(key => source?.[key] !== undefined)
+    .map(key => [key, source[key]]));
+  return Object.keys(picked).length > 0 ? picked : undefined;
+};
+
+/**
+ * Client input without the fields the server manages. A footprint is only
+ * kept as a manual entry, otherwise it just asks for a calculation, and
+ * allocation and baseline keep only their options. New activities always
+ * start active.
+ */
+const clientFields = (input, { isNew }) => {
+  const fields = Object.fromEntries(
+    Object.entries(input).filter(([key]) => !SERVER_MANAGED_FIELDS.includes(key))
+  );
+  if (isNew) delete fields.status;
+
+  if (fields.carbonFootprint !== undefined) {
+    fields.carbonFootprint = fields.carbonFootprint?.calculationMethod === 'manual'
+      ? { ...pick(fields.carbonFootprint, ['value', 'unit']), calculationMethod: 'manual' }
+      : { calculationMethod: 'calculated' };
+  }
+
+  ['allocation', 'baseline'].forEach(key => {
+    if (fields[key] === undefined) return;
+    const options = pick(fields[key], key === 'allocation' ? ['enabled', 'splitBetween'] : ['enabled', 'vehicleType', 'fuelType']);
+    if (options) fields[key] = options;
+    else delete fields[key];
+  });
+
+  return fields;
+};
+
+/**
+ * Build the fields of a new activity from client input. Server-managed
+ * fields are dropped and the footprint is calculated unless the input is a
+ * manual entry. Returns { activityData }, or { error } when the subcategory
+ * is not in the taxonomy, the footprint cannot be calculated from the data
+ * provided or a flight is invalid.
+ */
+export const prepareActivityData = async (user, input) => {
+  const fields = clientFields(input, { isNew: true });
+  const activityData = {
+    ...fields,
+    user: user._id,
+    date: input.date ? new Date(input.date) : new Date()
+  };
+
+  if (activityData.data?.flight) {
+    const { data, error } = resolveFlightData(activityData.data);
+    if (error) return { error };
+    activityData.data = data;
+  }
+
+  const taxonomy = await validateActivityTaxonomy(activityData);
+  if (taxonomy.error) return { error: taxonomy.error };
+  activityData.subcategory = taxonomy.subcategory;
+
+  if (activityData.isRecurring && activityData.recurringPattern) {
+    activityData.recurringPattern = {
+      ...activityData.recurringPattern,
+      skipDates: [],
+      generatedThrough: activityData.date
+    };
+  }
+
+  // Only trust the client's number when it is explicitly a manual entry
+  if (activityData.carbonFootprint?.calculationMethod !== 'manual') {
+    const calculation = await calculateCarbonFootprint(activityData, { user });
+    if (!calculation) {
+      return { error: FOOTPRINT_ERROR };
+    }
+
+    activityData.carbonFootprint = {
+      ...calculation,
+      calculationMethod: 'calculated',
+      calculatedAt: new Date()
+    };
+  }
+
+  applyAllocation(activityData, { user });
+  await applyBaseline(activityData, { user });
+
+  return { activityData };
+};
+
+/**
+ * Apply client changes to an existing activity without saving it. Server-
+ * managed fields and series generation state are kept, and the footprint is
+ * recalculated when an input it depends on changed. Returns {}, or { error }
+ * when a new subcategory is not in the taxonomy, the footprint cannot be
+ * calculated from the new data or a flight is invalid.
+ */
+export const applyActivityUpdates = async (activity, input, { user }) => {
+  // Re-run the calculator whenever the inputs it depends on change
+  const inputsChanged = ['category', 'subcategory', 'data', 'carbonFootprint']
+    .some(field => input[field] !== undefined);
+
+  const updates = clientFields(input, { isNew: false });
+  if (updates.data?.flight) {
+    const { data, error } = resolveFlightData(updates.data);
+    if (error) return { error };
+    updates.data = data;
+  }
+
+  if (updates.recurringPattern) {
+    updates.recurringPattern = {
+      ...updates.recurringPattern,
+      skipDates: activity.recurringPattern?.skipDates || [],
+      generatedThrough: activity.recurringPattern?.generatedThrough
+    };
+  }
+
+  Object.assign(activity, updates);
+
+  if (inputsChanged) {
+    // Activities keep a retired subcategory until it is changed
+    const taxonomy = await validateActivityTaxonomy(activity, {
+      checkSubcategory: input.category !== undefined || input.subcategory !== undefined
+    });
+    if (taxonomy.error) return { error: taxonomy.error };
+    activity.subcategory = taxonomy.subcategory;
+  }
+
+  if (inputsChanged && activity.carbonFootprint.calculationMethod !== 'manual') {
+    const calculation = await calculateCarbonFootprint(activity, { user });
+    if (!calculation) {
+      return { error: FOOTPRINT_ERROR };
+    }
+
+    activity.carbonFootprint = {
+      ...calculation,
+      calculationMethod: 'calculated',
+      calculatedAt: new Date()
+    };
+  }
+
+  if (inputsChanged || input.allocation !== undefined) {
+    applyAllocation(activity, { user });
+  }
+
+  if (inputsChanged || input.baseline !== undefined || input.allocation !== undefined) {
+    await applyBaseline(activity, { user });
+  }
+
+  return {};
+};
+
+// Days a deleted activity stays in the trash before it is purged
+export const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Move an activity to the trash. It stops counting towards the user's
+ * footprint and a deleted occurrence is kept from being generated again.
+ * Returns the change in kg to apply to the user's total.
+ */
+export const moveToTrash = async (activity, { session } = {}) => {
+  const deletedAt = new Date();
+  const change = -countedKg(activity);
+
+  activity.trash = {
+    deletedAt,
+    previousStatus: activity.status,
+    expiresAt: new Date(deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000)
+  };
+  activity.status = 'cancelled';
+  await activity.save({ session });
+
+  if (activity.recurrence?.parent) {
+    await Activity.updateOne(
+      { _id: activity.recurrence.parent },
+      { $addToSet: { 'recurringPattern.skipDates': activity.recurrence.occurrenceDate } },
+      { session }
+    );
+  }
+
+  return change;
+};
+
+/**
+ * Take an activity back out of the trash with the status it had before.
+ * Returns the change in kg to apply to the user's total.
+ */
+export const restoreFromTrash = async (activity, { session } = {}) => {
+  activity.status = activity.trash.previousStatus || 'active';
+  activity.trash = undefined;
+  await activity.save({ session });
+
+  if (activity.recurrence?.parent) {
+    await Activity.updateOne(
+      { _id: activity.recurrence.parent },
+      { $pull: { 'recurringPattern.skipDates': activity.recurrence.occurrenceDate } },
+      { session }
+    );
+  }
+
+  return countedKg(activity);
+};
@@ -0,0 +1,204 @@
+import { body, validationResult } from 'express-validator';
+import { MASS_UNIT_TO_KG, TRANSPORT_FACTORS } from './emissionFactors.js';
+import { CABIN_CLASSES } from './flights.js';
+import { FOOD_UNITS, MAX_INGREDIENTS } from './food.js';
+import { isTaxonomyCategory } from './taxonomy.js';
+import { DISTANCE_UNIT_TO_KM, TEMPERATURE_UNITS } from './units.js';
+
+// Validation rules for the fields an activity and an activity template share
+export const activityFieldRules = [
+  body('category')
+    .custom(isTaxonomyCategory)
+    .withMessage('Invalid category'),
+  body('subcategory')
+    .notEmpty()
+    .withMessage('Subcategory is required'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('carbonFootprint.calculationMethod')
+    .optional()
+    .isIn(['manual', 'calculated', 'estimated'])
+    .withMessage('Calculation method must be manual, calculated or estimated'),
+  body('carbonFootprint.value')
+    .if(body('carbonFootprint.calculationMethod').equals('manual'))
+    .isFloat({ min: 0 })
+    .withMessage('Carbon footprint value must be a positive number'),
+  body('carbonFootprint.unit')
+    .if(body('carbonFootprint.calculationMethod').equals('manual'))
+    .isIn(['kg', 'tons'])
+    .withMessage('Carbon footprint unit must be kg or tons')
+];
+
+// Rules for the optional counterfactual baseline
+const baselineRules = () => [
+  body('baseline.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Baseline enabled must be boolean'),
+  body('baseline.vehicleType')
+    .optional()
+    .isIn(Object.keys(TRANSPORT_FACTORS))
+    .withMessage(`Baseline vehicle type must be one of ${Object.keys(TRANSPORT_FACTORS).join(', ')}`)
+];
+
+// Rules for splitting a shared footprint
+const allocationRules = () => [
+  body('allocation.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Allocation enabled must be boolean'),
+  body('allocation.splitBetween')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Allocation must split between a positive whole number of people')
+    .toInt()
+];
+
+// Rules for a flight logged by airport codes
+const flightRules = () => [
+  body('data.flight.origin')
+    .if(body('data.flight').exists())
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Flight origin must be an IATA airport code'),
+  body('data.flight.destination')
+    .if(body('data.flight').exists())
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Flight destination must be an IATA airport code'),
+  body('data.flight.cabinClass')
+    .optional()
+    .isIn(CABIN_CLASSES)
+    .withMessage(`Cabin class must be one of ${CABIN_CLASSES.join(', ')}`),
+  body('data.flight.roundTrip')
+    .optional()
+    .isBoolean()
+    .withMessage('Round trip must be boolean'),
+  body('data.flight.radiativeForcing')
+    .optional()
+    .isBoolean()
+    .withMessage('Radiative forcing must be boolean'),
+  body('data.passengers')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Passengers must be a positive integer')
+];
+
+// Rules for food quantities and ingredient lists
+const foodRules = () => [
+  body('data.quantityUnit')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(FOOD_UNITS)
+    .withMessage(`Quantity unit must be one of ${FOOD_UNITS.join(', ')}`),
+  body('data.ingredients')
+    .optional()
+    .isArray({ min: 1, max: MAX_INGREDIENTS })
+    .withMessage(`Ingredients must be a list of 1 to ${MAX_INGREDIENTS} items`),
+  body('data.ingredients.*.foodType')
+    .trim()
+    .notEmpty()
+    .withMessage('Each ingredient needs a food type'),
+  body('data.ingredients.*.quantity')
+    .isFloat({ min: 0 })
+    .withMessage('Each ingredient needs a quantity of at least 0')
+    .toFloat(),
+  body('data.ingredients.*.quantityUnit')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(FOOD_UNITS)
+    .withMessage(`Ingredient quantity unit must be one of ${FOOD_UNITS.join(', ')}`)
+];
+
+// Rules for the unit labels the unit layer converts. Known units are
+// converted and dropped before validation, so any left are unknown.
+const unitRules = () => [
+  body('data.distanceUnit')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(Object.keys(DISTANCE_UNIT_TO_KM))
+    .withMessage('Distance unit must be km, m or mi'),
+  body('data.weightUnit')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(Object.keys(MASS_UNIT_TO_KG))
+    .withMessage('Weight unit must be kg, g, lb or oz'),
+  body('data.temperatureUnit')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+    .isIn(TEMPERATURE_UNITS)
+    .withMessage('Temperature unit must be C or F')
+];
+
+// Validation rules for creating an activity, shared by every route that creates activities
+export const createActivityRules = [
+  ...activityFieldRules,
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date'),
+  body('recurringPattern.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Recurring activities need a daily, weekly, monthly or yearly frequency'),
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurring interval must be a positive integer'),
+  body('recurringPattern.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurring end date must be a valid ISO date'),
+  ...baselineRules(),
+  ...allocationRules(),
+  ...flightRules(),
+  ...foodRules(),
+  ...unitRules()
+];
+
+// Validation rules for updating an activity, every field is optional
+export const updateActivityRules = [
+  body('category')
+    .optional()
+    .custom(isTaxonomyCategory)
+    .withMessage('Invalid category'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('carbonFootprint.calculationMethod')
+    .optional()
+    .isIn(['manual', 'calculated', 'estimated'])
+    .withMessage('Calculation method must be manual, calculated or estimated'),
+  body('carbonFootprint.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Carbon footprint value must be a positive number'),
+  body('recurringPattern.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Recurring frequency must be daily, weekly, monthly or yearly'),
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurring interval must be a positive integer'),
+  ...baselineRules(),
+  ...allocationRules(),
+  ...flightRules(),
+  ...foodRules(),
+  ...unitRules()
+];
+
+/**
+ * Run validation rules against a plain object, such as an imported row,
+ * instead of a request. Returns the errors in the same shape the routes
+ * send back in `details`.
+ */
+export const validateActivityInput = async (input, rules = createActivityRules) => {
+  const req = { body: input };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array();
+};
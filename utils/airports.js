@@ -0,0 +1,154 @@
+// Bundled airport dataset for flight calculations, keyed by IATA code.
+// Each entry is [name, city, ISO country code, longitude, latitude].
+const AIRPORTS = {
+  // Europe
+  AMS: ['Amsterdam Schiphol', 'Amsterdam', 'NL', 4.7639, 52.3086],
+  ARN: ['Stockholm Arlanda', 'Stockholm', 'SE', 17.9186, 59.6519],
+  ATH: ['Athens International', 'Athens', 'GR', 23.9445, 37.9364],
+  BCN: ['Barcelona El Prat', 'Barcelona', 'ES', 2.0785, 41.2971],
+  BER: ['Berlin Brandenburg', 'Berlin', 'DE', 13.5033, 52.3667],
+  BRU: ['Brussels', 'Brussels', 'BE', 4.4844, 50.9014],
+  BUD: ['Budapest Ferenc Liszt', 'Budapest', 'HU', 19.2611, 47.4369],
+  CDG: ['Paris Charles de Gaulle', 'Paris', 'FR', 2.5479, 49.0097],
+  CPH: ['Copenhagen Kastrup', 'Copenhagen', 'DK', 12.6561, 55.6181],
+  DUB: ['Dublin', 'Dublin', 'IE', -6.2700, 53.4213],
+  DUS: ['Düsseldorf', 'Düsseldorf', 'DE', 6.7668, 51.2895],
+  EDI: ['Edinburgh', 'Edinburgh', 'GB', -3.3725, 55.9500],
+  FCO: ['Rome Fiumicino', 'Rome', 'IT', 12.2389, 41.8003],
+  FRA: ['Frankfurt', 'Frankfurt', 'DE', 8.5706, 50.0333],
+  GVA: ['Geneva', 'Geneva', 'CH', 6.1092, 46.2381],
+  HAM: ['Hamburg', 'Hamburg', 'DE', 9.9882, 53.6304],
+  HEL: ['Helsinki-Vantaa', 'Helsinki', 'FI', 24.9633, 60.3172],
+  IST: ['Istanbul', 'Istanbul', 'TR', 28.7519, 41.2753],
+  KEF: ['Keflavík', 'Reykjavík', 'IS', -22.6056, 63.9850],
+  LGW: ['London Gatwick', 'London', 'GB', -0.1903, 51.1481],
+  LHR: ['London Heathrow', 'London', 'GB', -0.4614, 51.4700],
+  LIS: ['Lisbon Humberto Delgado', 'Lisbon', 'PT', -9.1359, 38.7813],
+  LTN: ['London Luton', 'London', 'GB', -0.3683, 51.8747],
+  MAD: ['Adolfo Suárez Madrid-Barajas', 'Madrid', 'ES', -3.5676, 40.4719],
+  MAN: ['Manchester', 'Manchester', 'GB', -2.2750, 53.3537],
+  MUC: ['Munich', 'Munich', 'DE', 11.7861, 48.3538],
+  MXP: ['Milan Malpensa', 'Milan', 'IT', 8.7231, 45.6306],
+  NCE: ["Nice Côte d'Azur", 'Nice', 'FR', 7.2159, 43.6584],
+  ORY: ['Paris Orly', 'Paris', 'FR', 2.3794, 48.7233],
+  OSL: ['Oslo Gardermoen', 'Oslo', 'NO', 11.1004, 60.1939],
+  PMI: ['Palma de Mallorca', 'Palma', 'ES', 2.7388, 39.5517],
+  PRG: ['Václav Havel Prague', 'Prague', 'CZ', 14.2600, 50.1008],
+  STN: ['London Stansted', 'London', 'GB', 0.2350, 51.8850],
+  SVO: ['Moscow Sheremetyevo', 'Moscow', 'RU', 37.4146, 55.9726],
+  VIE: ['Vienna', 'Vienna', 'AT', 16.5697, 48.1103],
+  WAW: ['Warsaw Chopin', 'Warsaw', 'PL', 20.9671, 52.1657],
+  ZRH: ['Zurich', 'Zurich', 'CH', 8.5492, 47.4647],
+
+  // North America
+  ATL: ['Hartsfield-Jackson Atlanta', 'Atlanta', 'US', -84.4281, 33.6367],
+  BOS: ['Boston Logan', 'Boston', 'US', -71.0052, 42.3643],
+  DEN: ['Denver', 'Denver', 'US', -104.6737, 39.8617],
+  DFW: ['Dallas/Fort Worth', 'Dallas', 'US', -97.0380, 32.8968],
+  EWR: ['Newark Liberty', 'New York', 'US', -74.1687, 40.6925],
+  HNL: ['Daniel K. Inouye Honolulu', 'Honolulu', 'US', -157.9224, 21.3187],
+  IAD: ['Washington Dulles', 'Washington', 'US', -77.4558, 38.9445],
+  IAH: ['Houston George Bush', 'Houston', 'US', -95.3414, 29.9844],
+  JFK: ['New York John F. Kennedy', 'New York', 'US', -73.7789, 40.6398],
+  LAS: ['Harry Reid Las Vegas', 'Las Vegas', 'US', -115.1523, 36.0840],
+  LAX: ['Los Angeles', 'Los Angeles', 'US', -118.4085, 33.9416],
+  LGA: ['New York LaGuardia', 'New York', 'US', -73.8726, 40.7772],
+  MCO: ['Orlando', 'Orlando', 'US', -81.3081, 28.4294],
+  MEX: ['Mexico City', 'Mexico City', 'MX', -99.0721, 19.4363],
+  MIA: ['Miami', 'Miami', 'US', -80.2906, 25.7933],
+  MSP: ['Minneapolis-Saint Paul', 'Minneapolis', 'US', -93.2218, 44.8820],
+  ORD: ["Chicago O'Hare", 'Chicago', 'US', -87.9048, 41.9786],
+  PHX: ['Phoenix Sky Harbor', 'Phoenix', 'US', -112.0116, 33.4343],
+  SEA: ['Seattle-Tacoma', 'Seattle', 'US', -122.3088, 47.4490],
+  SFO: ['San Francisco', 'San Francisco', 'US', -122.3790, 37.6190],
+  YUL: ['Montréal-Trudeau', 'Montreal', 'CA', -73.7408, 45.4706],
+  YVR: ['Vancouver', 'Vancouver', 'CA', -123.1840, 49.1939],
+  YYC: ['Calgary', 'Calgary', 'CA', -114.0203, 51.1315],
+  YYZ: ['Toronto Pearson', 'Toronto', 'CA', -79.6306, 43.6772],
+  CUN: ['Cancún', 'Cancún', 'MX', -86.8771, 21.0365],
+
+  // South America
+  BOG: ['El Dorado Bogotá', 'Bogotá', 'CO', -74.1469, 4.7016],
+  EZE: ['Buenos Aires Ezeiza', 'Buenos Aires', 'AR', -58.5358, -34.8222],
+  GIG: ['Rio de Janeiro Galeão', 'Rio de Janeiro', 'BR', -43.2506, -22.8089],
+  GRU: ['São Paulo Guarulhos', 'São Paulo', 'BR', -46.4731, -23.4356],
+  LIM: ['Jorge Chávez Lima', 'Lima', 'PE', -77.1143, -12.0219],
+  SCL: ['Santiago Arturo Merino Benítez', 'Santiago', 'CL', -70.7858, -33.3930],
+
+  // Middle East and Africa
+  ADD: ['Addis Ababa Bole', 'Addis Ababa', 'ET', 38.7993, 8.9779],
+  AUH: ['Abu Dhabi', 'Abu Dhabi', 'AE', 54.6511, 24.4330],
+  CAI: ['Cairo', 'Cairo', 'EG', 31.4056, 30.1219],
+  CMN: ['Casablanca Mohammed V', 'Casablanca', 'MA', -7.5899, 33.3675],
+  CPT: ['Cape Town', 'Cape Town', 'ZA', 18.6017, -33.9715],
+  DOH: ['Doha Hamad', 'Doha', 'QA', 51.6081, 25.2731],
+  DXB: ['Dubai', 'Dubai', 'AE', 55.3644, 25.2528],
+  JED: ['King Abdulaziz Jeddah', 'Jeddah', 'SA', 39.1565, 21.6796],
+  JNB: ['O. R. Tambo Johannesburg', 'Johannesburg', 'ZA', 28.2460, -26.1392],
+  LOS: ['Murtala Muhammed Lagos', 'Lagos', 'NG', 3.3212, 6.5774],
+  NBO: ['Jomo Kenyatta Nairobi', 'Nairobi', 'KE', 36.9278, -1.3192],
+  RUH: ['King Khalid Riyadh', 'Riyadh', 'SA', 46.6988, 24.9576],
+  TLV: ['Tel Aviv Ben Gurion', 'Tel Aviv', 'IL', 34.8867, 32.0114],
+
+  // Asia
+  BKK: ['Bangkok Suvarnabhumi', 'Bangkok', 'TH', 100.7501, 13.6900],
+  BLR: ['Bengaluru Kempegowda', 'Bengaluru', 'IN', 77.7063, 13.1986],
+  BOM: ['Mumbai Chhatrapati Shivaji', 'Mumbai', 'IN', 72.8679, 19.0887],
+  CAN: ['Guangzhou Baiyun', 'Guangzhou', 'CN', 113.2988, 23.3924],
+  CGK: ['Jakarta Soekarno-Hatta', 'Jakarta', 'ID', 106.6559, -6.1256],
+  CTU: ['Chengdu Tianfu', 'Chengdu', 'CN', 104.4411, 30.3125],
+  DEL: ['Delhi Indira Gandhi', 'Delhi', 'IN', 77.1031, 28.5562],
+  DPS: ['Bali Ngurah Rai', 'Denpasar', 'ID', 115.1672, -8.7482],
+  HAN: ['Hanoi Noi Bai', 'Hanoi', 'VN', 105.8067, 21.2212],
+  HKG: ['Hong Kong', 'Hong Kong', 'HK', 113.9185, 22.3080],
+  HND: ['Tokyo Haneda', 'Tokyo', 'JP', 139.7798, 35.5494],
+  ICN: ['Seoul Incheon', 'Seoul', 'KR', 126.4407, 37.4602],
+  KIX: ['Osaka Kansai', 'Osaka', 'JP', 135.2440, 34.4273],
+  KUL: ['Kuala Lumpur', 'Kuala Lumpur', 'MY', 101.7099, 2.7456],
+  MAA: ['Chennai', 'Chennai', 'IN', 80.1709, 12.9941],
+  MNL: ['Manila Ninoy Aquino', 'Manila', 'PH', 121.0198, 14.5086],
+  NRT: ['Tokyo Narita', 'Tokyo', 'JP', 140.3929, 35.7720],
+  PEK: ['Beijing Capital', 'Beijing', 'CN', 116.5975, 40.0801],
+  PKX: ['Beijing Daxing', 'Beijing', 'CN', 116.4105, 39.5098],
+  PVG: ['Shanghai Pudong', 'Shanghai', 'CN', 121.8052, 31.1434],
+  SGN: ['Ho Chi Minh City Tan Son Nhat', 'Ho Chi Minh City', 'VN', 106.6520, 10.8188],
+  SIN: ['Singapore Changi', 'Singapore', 'SG', 103.9915, 1.3644],
+  TPE: ['Taiwan Taoyuan', 'Taipei', 'TW', 121.2328, 25.0777],
+  KHI: ['Karachi Jinnah', 'Karachi', 'PK', 67.1608, 24.9065],
+  CMB: ['Colombo Bandaranaike', 'Colombo', 'LK', 79.8841, 7.1808],
+  DAC: ['Dhaka Hazrat Shahjalal', 'Dhaka', 'BD', 90.3978, 23.8433],
+  KTM: ['Kathmandu Tribhuvan', 'Kathmandu', 'NP', 85.3591, 27.6966],
+
+  // Oceania
+  AKL: ['Auckland', 'Auckland', 'NZ', 174.7850, -37.0082],
+  BNE: ['Brisbane', 'Brisbane', 'AU', 153.1175, -27.3842],
+  CHC: ['Christchurch', 'Christchurch', 'NZ', 172.5322, -43.4894],
+  MEL: ['Melbourne', 'Melbourne', 'AU', 144.8433, -37.6690],
+  PER: ['Perth', 'Perth', 'AU', 115.9669, -31.9403],
+  SYD: ['Sydney Kingsford Smith', 'Sydney', 'AU', 151.1772, -33.9461]
+};
+
+export const isIataCode = (value) => /^[A-Za-z]{3}$/.test(value || '');
+
+// Look up an airport by IATA code. Returns null for unknown codes.
+export const findAirport = (code) => {
+  if (!isIataCode(code)) return null;
+  const iata = code.toUpperCase();
+  const entry = AIRPORTS[iata];
+  if (!entry) return null;
+
+  const [name, city, country, lng, lat] = entry;
+  return { iata, name, city, country, coordinates: [lng, lat] };
+};
+
+// Airports whose code, name or city starts with the query, for autocomplete
+export const searchAirports = (query, limit = 10) => {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!needle) return [];
+
+  return Object.keys(AIRPORTS)
+    .map(findAirport)
+    .filter(airport => [airport.iata, airport.name, airport.city]
+      .some(value => value.toLowerCase().startsWith(needle)))
+    .slice(0, limit);
+};
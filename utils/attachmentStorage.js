@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Storage backends for attachment files. A backend stores a file's bytes
+ * under a key and has:
+ *   save(key, buffer, { contentType }) - store a file
+ *   read(key) - resolve to a readable stream, rejecting with code ENOENT
+ *               when the file does not exist
+ *   remove(key) - delete a file, resolving when it is already gone
+ * Backends are chosen by name with ATTACHMENT_STORAGE, and the backend each
+ * attachment was saved with is recorded so it can always be read back.
+ */
+const backends = {};
+
+// Register a storage backend factory under a name
+export const registerStorage = (name, factory) => {
+  backends[name] = { factory, instance: null };
+};
+
+// Local disk storage below a root directory
+export const createLocalStorage = (root) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // Keys come from the server, but never let one escape the root
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    read: async (key) => {
+      const file = resolve(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+registerStorage('local', () => createLocalStorage(
+  process.env.ATTACHMENT_DIR || path.resolve('uploads', 'attachments')
+));
+
+export const getStorageName = () => process.env.ATTACHMENT_STORAGE || 'local';
+
+// The backend registered under a name, the configured one by default
+export const getStorage = (name = getStorageName()) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown attachment storage ${name}`);
+  }
+  if (!backend.instance) backend.instance = backend.factory();
+  return backend.instance;
+};
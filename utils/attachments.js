@@ -0,0 +1,71 @@
+import sharp from 'sharp';
+
+// Content types attachments may have, by the file extension they are stored with
+export const ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf'
+};
+
+export const THUMBNAIL_SIZE = 320;
+
+export const getMaxAttachmentSize = () => parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+export const getMaxAttachmentsPerResource = () => parseInt(process.env.ATTACHMENT_MAX_PER_RESOURCE) || 20;
+
+// Leading bytes of each allowed file type
+const SIGNATURES = [
+  { type: 'image/jpeg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')) },
+  {
+    type: 'image/webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+  { type: 'application/pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+/**
+ * Content type of a file from its leading bytes, or null when it is not one
+ * of the allowed types. The type the client declares is not trusted.
+ */
+export const detectContentType = (buffer) => {
+  return SIGNATURES.find(signature => signature.matches(buffer))?.type || null;
+};
+
+export const isImage = (contentType) => contentType.startsWith('image/');
+
+/**
+ * Read an image's dimensions and make a WebP thumbnail that fits in
+ * THUMBNAIL_SIZE, turned upright from its EXIF orientation. Returns
+ * { width, height, thumbnail: { buffer, width, height } }, or { error } when
+ * the image cannot be decoded.
+ */
+export const createThumbnail = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const { data, info } = await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    // Orientations 5-8 swap width and height
+    const swapped = metadata.orientation >= 5;
+    return {
+      width: swapped ? metadata.height : metadata.width,
+      height: swapped ? metadata.width : metadata.height,
+      thumbnail: { buffer: data, width: info.width, height: info.height }
+    };
+  } catch (error) {
+    return { error: 'The image could not be read' };
+  }
+};
+
+// Safe file name for a Content-Disposition header
+export const contentDisposition = (filename, disposition = 'inline') => {
+  const fallback = String(filename).replace(/[^\w.-]+/g, '_');
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
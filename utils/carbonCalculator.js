@@ -0,0 +1,404 @@
+import EmissionFactor from '../models/EmissionFactor.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { DEFAULT_EXCHANGE_RATES, isCurrencyCode, normalizeCurrency } from './currency.js';
+import {
+  ALLOCATION_RULES,
+  AVERAGE_DIET_FACTOR,
+  BASELINE_DEFAULTS,
+  ENERGY_FACTORS,
+  ENERGY_UNIT_TO_KWH,
+  FACTOR_SOURCES,
+  FLIGHT_FACTORS,
+  FOOD_FACTORS,
+  GRID_FACTORS,
+  RADIATIVE_FORCING_MULTIPLIER,
+  SHARED_VEHICLE_TYPES,
+  SPEND_FACTORS,
+  TRANSPORT_FACTORS,
+  WASTE_FACTORS,
+  WATER_FACTOR,
+  WATER_UNIT_TO_LITRES
+} from './emissionFactors.js';
+import { isFlightActivity } from './flights.js';
+import { getIngredients, resolveFoodType, toFoodKg } from './food.js';
+import { resolveRegion } from './regions.js';
+
+// Lower-case and trim a lookup key so "Diesel " and "diesel" match
+const normalizeKey = (value) => {
+  return typeof value === 'string' ? value.trim().toLowerCase() : undefined;
+};
+
+const isAmount = (value) => {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Build a single line of the factor breakdown
+const breakdownItem = ({ item, quantity, unit, original, multiplier, factor }) => ({
+  item,
+  quantity,
+  unit,
+  originalQuantity: original?.quantity,
+  originalUnit: original?.unit,
+  conversionRate: original?.rate,
+  factorUnit: `kg CO2e/${unit}`,
+  multiplier,
+  emissions: round(quantity * factor.value * (multiplier ?? 1)),
+  factor: factor.value,
+  factorId: factor.id,
+  factorVersion: factor.version,
+  region: factor.region,
+  source: factor.source
+});
+
+// Each category calculator returns breakdown lines with a catalog lookup
+// and the built-in factor to fall back on.
+const calculateTransport = (mode, data) => {
+  const modeKey = normalizeKey(mode);
+  const factors = TRANSPORT_FACTORS[modeKey];
+  if (!factors || !isAmount(data.distance)) return null;
+
+  const fuelKey = normalizeKey(data.fuelType);
+  const hasFuelFactor = fuelKey && factors[fuelKey] !== undefined;
+
+  return [{
+    item: hasFuelFactor ? `${modeKey} (${fuelKey})` : modeKey,
+    quantity: data.distance,
+    unit: 'km',
+    lookup: { category: 'transportation', subcategory: modeKey, fuel: fuelKey },
+    fallback: { value: hasFuelFactor ? factors[fuelKey] : factors.default, source: FACTOR_SOURCES.defra }
+  }];
+};
+
+// One line per leg in passenger km, with the band and cabin factor. Radiative
+// forcing is applied as a multiplier so the catalog factor stays visible.
+const calculateFlight = (data) => {
+  const { legs, cabinClass, roundTrip, radiativeForcing } = data.flight;
+  const cabin = FLIGHT_FACTORS.long[cabinClass] !== undefined ? cabinClass : 'economy';
+  const passengers = isAmount(data.passengers) && data.passengers >= 1 ? data.passengers : 1;
+  const trips = roundTrip ? 2 : 1;
+
+  return legs.map(leg => ({
+    item: `${leg.from}-${leg.to} (${leg.band} haul, ${cabin.replace('_', ' ')})`,
+    quantity: round(leg.distance * trips * passengers),
+    unit: 'km',
+    multiplier: radiativeForcing ? RADIATIVE_FORCING_MULTIPLIER : undefined,
+    lookup: { category: 'transportation', subcategory: 'flight', fuel: `${leg.band}-${cabin}` },
+    fallback: { value: FLIGHT_FACTORS[leg.band][cabin], source: FACTOR_SOURCES.defra }
+  }));
+};
+
+const calculateEnergy = (energyType, data, { region }) => {
+  const typeKey = normalizeKey(energyType);
+  const factor = ENERGY_FACTORS[typeKey];
+  const toKwh = ENERGY_UNIT_TO_KWH[normalizeKey(data.consumptionUnit) || 'kwh'];
+  if (factor === undefined || !toKwh || !isAmount(data.consumption)) return null;
+
+  // Electricity depends on the grid the activity draws from
+  const gridFactor = typeKey === 'electricity' ? GRID_FACTORS[region] : undefined;
+  const fallback = gridFactor !== undefined
+    ? { value: gridFactor, region, source: FACTOR_SOURCES.iea }
+    : { value: factor, source: typeKey === 'electricity' || typeKey === 'cooling' ? FACTOR_SOURCES.iea : FACTOR_SOURCES.defra };
+
+  return [{
+    item: typeKey,
+    quantity: round(data.consumption * toKwh),
+    unit: 'kWh',
+    lookup: { category: 'energy', subcategory: typeKey },
+    fallback
+  }];
+};
+
+// One line per ingredient, or a single line for an activity with one food.
+// Unknown foods use the default factor.
+const calculateFood = (foodType, data) => {
+  const lines = [];
+
+  for (const ingredient of getIngredients(foodType, data)) {
+    const typeKey = normalizeKey(ingredient.foodType);
+    const foodKey = resolveFoodType(typeKey);
+    const kg = toFoodKg(ingredient.quantity, ingredient.quantityUnit, foodKey);
+    if (!typeKey || kg === null) return null;
+
+    const unitKey = normalizeKey(ingredient.quantityUnit) || 'kg';
+    lines.push({
+      item: foodKey || `${typeKey} (default)`,
+      quantity: round(kg),
+      unit: 'kg',
+      original: unitKey === 'kg' ? undefined : { quantity: ingredient.quantity, unit: unitKey },
+      lookup: { category: 'food', subcategory: foodKey || typeKey },
+      fallback: { value: foodKey ? FOOD_FACTORS[foodKey] : FOOD_FACTORS.default, source: FACTOR_SOURCES.poore }
+    });
+  }
+
+  return lines;
+};
+
+// Units of a currency per US dollar, from the ExchangeRate table or the defaults
+const resolveExchangeRate = async (currency) => {
+  const stored = await ExchangeRate.findRate(currency);
+  if (stored) return stored.rate;
+  return DEFAULT_EXCHANGE_RATES[currency];
+};
+
+// Spend-based: the amount paid, converted to US dollars, times the item type's factor
+const calculateShopping = async (itemType, data) => {
+  const currency = normalizeCurrency(data.currency) || 'USD';
+  if (!isAmount(data.price) || !isCurrencyCode(currency)) return null;
+
+  const rate = await resolveExchangeRate(currency);
+  if (!rate) return null;
+
+  const typeKey = normalizeKey(itemType);
+  const isKnown = typeKey && SPEND_FACTORS[typeKey] !== undefined;
+
+  return [{
+    item: isKnown ? typeKey : `${typeKey || 'purchase'} (default)`,
+    quantity: Math.round(data.price / rate * 100) / 100,
+    unit: 'USD',
+    original: currency === 'USD' ? undefined : { quantity: data.price, unit: currency, rate },
+    lookup: { category: 'shopping', subcategory: typeKey || 'default' },
+    fallback: { value: isKnown ? SPEND_FACTORS[typeKey] : SPEND_FACTORS.default, source: FACTOR_SOURCES.useeio }
+  }];
+};
+
+const calculateWaste = (wasteType, data) => {
+  if (!isAmount(data.weight)) return null;
+
+  const typeKey = normalizeKey(wasteType);
+  const methodKey = normalizeKey(data.disposalMethod) || 'landfill';
+  const factors = WASTE_FACTORS[typeKey] || WASTE_FACTORS.default;
+
+  return [{
+    item: `${typeKey || 'waste'} (${methodKey})`,
+    quantity: data.weight,
+    unit: 'kg',
+    lookup: { category: 'waste', subcategory: typeKey || 'general', fuel: methodKey },
+    fallback: { value: factors[methodKey] ?? factors.default, source: FACTOR_SOURCES.defra }
+  }];
+};
+
+const calculateWater = (data) => {
+  const toLitres = WATER_UNIT_TO_LITRES[normalizeKey(data.waterUnit) || 'litres'];
+  if (!toLitres || !isAmount(data.waterUsage)) return null;
+
+  return [{
+    item: 'water supply and treatment',
+    quantity: round(data.waterUsage * toLitres),
+    unit: 'L',
+    lookup: { category: 'water', subcategory: 'supply' },
+    fallback: { value: WATER_FACTOR, source: FACTOR_SOURCES.defra }
+  }];
+};
+
+// Prefer the catalog entry valid for the region and date, else the built-in factor
+const resolveFactor = async (line, { region, date }) => {
+  const factor = await EmissionFactor.findApplicable({
+    ...line.lookup,
+    unit: line.unit,
+    region,
+    date
+  });
+
+  if (factor) {
+    return {
+      id: factor._id,
+      value: factor.value,
+      version: factor.version,
+      region: factor.region,
+      source: factor.source
+    };
+  }
+
+  return {
+    id: null,
+    value: line.fallback.value,
+    version: null,
+    region: line.fallback.region || 'GLOBAL',
+    source: line.fallback.source
+  };
+};
+
+/**
+ * Calculate the carbon footprint of an activity from its structured data.
+ * Factors are taken from the EmissionFactor catalog for the activity's region
+ * and date, falling back to the built-in defaults. Returns
+ * { value, unit, region, breakdown } in kg CO2e, or null when the category
+ * is not supported or the data needed for it is missing.
+ */
+export const calculateCarbonFootprint = async (activity, { user } = {}) => {
+  const { category, subcategory } = activity;
+  const data = activity.data || {};
+  const region = resolveRegion(activity, user);
+  const date = activity.date ? new Date(activity.date) : new Date();
+  let lines = null;
+
+  switch (category) {
+    case 'transportation':
+      lines = data.flight?.legs?.length
+        ? calculateFlight(data)
+        : calculateTransport(data.vehicleType || subcategory, data);
+      break;
+    case 'travel':
+      lines = data.flight?.legs?.length
+        ? calculateFlight(data)
+        : calculateTransport(data.travelMode || data.vehicleType, data);
+      break;
+    case 'energy':
+      lines = calculateEnergy(data.energyType || subcategory, data, { region });
+      break;
+    case 'food':
+      lines = calculateFood(data.foodType || subcategory, data);
+      break;
+    case 'waste':
+      lines = calculateWaste(data.wasteType || subcategory, data);
+      break;
+    case 'water':
+      lines = calculateWater(data);
+      break;
+    case 'shopping':
+      lines = await calculateShopping(data.itemType || subcategory, data);
+      break;
+    default:
+      lines = null;
+  }
+
+  if (!lines) return null;
+
+  const breakdown = [];
+  for (const line of lines) {
+    const factor = await resolveFactor(line, { region, date });
+    breakdown.push(breakdownItem({ ...line, factor }));
+  }
+
+  return {
+    value: round(breakdown.reduce((sum, item) => sum + item.emissions, 0)),
+    unit: 'kg',
+    region,
+    breakdown
+  };
+};
+
+// Footprint of an activity in kg, whatever unit it was stored in
+const footprintKg = (carbonFootprint) => {
+  if (!carbonFootprint || !isAmount(carbonFootprint.value)) return null;
+  return carbonFootprint.unit === 'tons' ? carbonFootprint.value * 1000 : carbonFootprint.value;
+};
+
+// The counterfactual line for an activity: the same distance driven, the same
+// amount of food as an average diet, or the same energy from the grid mix
+const baselineLine = (activity, settings, { user, region }) => {
+  const data = activity.data || {};
+
+  switch (activity.category) {
+    case 'transportation':
+    case 'travel': {
+      // Flights have no like-for-like drive to compare with
+      if (isFlightActivity(activity)) return null;
+      const preferred = user?.preferences?.baseline || {};
+      const vehicleType = settings.vehicleType || preferred.vehicleType || BASELINE_DEFAULTS.vehicleType;
+      const fuelType = settings.vehicleType
+        ? settings.fuelType
+        : settings.fuelType || preferred.fuelType || BASELINE_DEFAULTS.fuelType;
+      const lines = calculateTransport(vehicleType, { distance: data.distance, fuelType });
+      return lines && { kind: 'vehicle', ...lines[0] };
+    }
+    case 'food': {
+      const kg = getIngredients(data.foodType || activity.subcategory, data)
+        .map(ingredient => toFoodKg(ingredient.quantity, ingredient.quantityUnit, resolveFoodType(ingredient.foodType)))
+        .reduce((sum, value) => (sum === null || value === null ? null : sum + value), 0);
+      if (kg === null) return null;
+      return {
+        kind: 'diet',
+        item: 'average diet',
+        quantity: round(kg),
+        unit: 'kg',
+        lookup: { category: 'food', subcategory: 'average diet' },
+        fallback: { value: AVERAGE_DIET_FACTOR, source: FACTOR_SOURCES.poore }
+      };
+    }
+    case 'energy': {
+      const lines = calculateEnergy('electricity', data, { region });
+      return lines && { kind: 'grid', ...lines[0], item: `grid mix (${region})` };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Calculate the emissions an activity avoided against its counterfactual:
+ * the user's default car for trips, an average diet for food and the grid
+ * mix for energy. `activity.baseline` may choose a different vehicle, or
+ * opt out with enabled: false. Returns { kind, item, quantity, unit, factor,
+ * region, source, value, avoided } in kg CO2e, or null when the activity has
+ * no baseline. Avoided emissions are never negative. `settings` overrides the
+ * options stored on the activity.
+ */
+export const calculateBaseline = async (activity, { user, settings = activity.baseline || {} } = {}) => {
+  if (settings.enabled === false) return null;
+
+  const actualKg = footprintKg(activity.carbonFootprint);
+  if (actualKg === null) return null;
+  const householdShare = activity.allocation?.method === 'household' ? activity.allocation.share : 1;
+
+  const region = resolveRegion(activity, user);
+  const date = activity.date ? new Date(activity.date) : new Date();
+  const line = baselineLine(activity, settings, { user, region });
+  if (!line) return null;
+
+  const factor = await resolveFactor(line, { region, date });
+  const { item, quantity, unit, emissions, factorId, region: factorRegion, source } = breakdownItem({ ...line, factor });
+
+  return {
+    kind: line.kind,
+    item,
+    quantity,
+    unit,
+    factor: factor.value,
+    factorId,
+    region: factorRegion,
+    source,
+    value: emissions,
+    // A household bill is compared share for share, a shared ride with driving alone
+    avoided: round(Math.max(0, emissions * householdShare - actualKg)),
+    calculatedAt: new Date()
+  };
+};
+
+// The allocation rule that applies to an activity, if any
+const allocationMethod = (activity) => {
+  const method = ALLOCATION_RULES[activity.category];
+  if (method !== 'passengers') return method || null;
+
+  const data = activity.data || {};
+  const mode = normalizeKey(activity.category === 'travel'
+    ? data.travelMode || data.vehicleType
+    : data.vehicleType || activity.subcategory);
+  return SHARED_VEHICLE_TYPES.includes(mode) ? method : null;
+};
+
+/**
+ * Work out the share of an activity's emissions that belongs to the user:
+ * energy and water split by `profile.householdSize`, car and taxi trips by
+ * `data.passengers`. `preferences.allocation` can turn either rule off, and
+ * the activity's allocation settings can opt out with enabled: false or
+ * split between a different number of people with `splitBetween`. Returns
+ * { method, divisor, share }, or null when the footprint is not shared.
+ */
+export const calculateAllocation = (activity, { user, settings = activity.allocation || {} } = {}) => {
+  if (settings.enabled === false) return null;
+
+  const method = allocationMethod(activity);
+  if (!method) return null;
+
+  let divisor = settings.splitBetween;
+  if (divisor === undefined) {
+    if (user?.preferences?.allocation?.[method] === false) return null;
+    divisor = method === 'household' ? user?.profile?.householdSize : activity.data?.passengers;
+  }
+
+  if (!isAmount(divisor) || divisor <= 1) return null;
+  return { method, divisor, share: 1 / divisor };
+};
@@ -0,0 +1,45 @@
+// Units of each currency per US dollar, used when the ExchangeRate table has
+// no entry for a currency. Rounded mid-market rates; admins keep the table
+// current through /api/exchange-rates.
+export const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.6,
+  DKK: 6.87,
+  PLN: 3.98,
+  CAD: 1.36,
+  MXN: 17.1,
+  BRL: 4.97,
+  ARS: 850,
+  JPY: 150,
+  CNY: 7.19,
+  KRW: 1330,
+  INR: 83.1,
+  SGD: 1.34,
+  AUD: 1.52,
+  NZD: 1.64,
+  ZAR: 18.7,
+  AED: 3.67,
+  TRY: 31
+};
+
+// Currency symbols clients commonly send instead of the ISO code
+const CURRENCY_ALIASES = {
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR'
+};
+
+// Upper-cased ISO 4217 code for a currency code or symbol, or undefined
+export const normalizeCurrency = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const code = value.trim();
+  return CURRENCY_ALIASES[code] || code.toUpperCase();
+};
+
+export const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(value || '');
@@ -0,0 +1,146 @@
+import Activity from '../models/Activity.js';
+import Attachment from '../models/Attachment.js';
+import Revision from '../models/Revision.js';
+import { countedKg, footprintInKg, moveToTrash } from './activityService.js';
+import { takeSnapshot } from './revisions.js';
+
+// What POST /api/activities does with a likely duplicate
+export const DUPLICATE_ACTIONS = ['warn', 'reject', 'allow'];
+
+// Activities logged this close together count as the same event
+export const getDuplicateWindowMinutes = () => parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 30;
+
+// Footprints closer than this, in kg, count as the same value
+const VALUE_TOLERANCE_KG = 0.001;
+
+// Titles match ignoring case and surrounding spaces
+export const normalizeTitle = (title) => String(title || '').trim().toLowerCase();
+
+const windowMs = (minutes) => minutes * 60 * 1000;
+
+// Whether two activities (documents or activity data) are likely the same event
+export const isDuplicateOf = (activity, other, windowMinutes = getDuplicateWindowMinutes()) => {
+  return activity.category === other.category
+    && activity.subcategory === other.subcategory
+    && normalizeTitle(activity.title) === normalizeTitle(other.title)
+    && Math.abs(footprintInKg(activity.carbonFootprint) - footprintInKg(other.carbonFootprint)) < VALUE_TOLERANCE_KG
+    && Math.abs(new Date(activity.date) - new Date(other.date)) <= windowMs(windowMinutes);
+};
+
+/**
+ * The user's counted activities that are likely duplicates of new activity
+ * data: same category, subcategory, title and footprint, dated within the
+ * duplicate window. Trashed and cancelled activities are ignored.
+ */
+export const findDuplicates = async (user, activityData, { windowMinutes = getDuplicateWindowMinutes() } = {}) => {
+  const date = new Date(activityData.date);
+  const candidates = await Activity.find({
+    user: user._id,
+    category: activityData.category,
+    subcategory: activityData.subcategory,
+    status: { $ne: 'cancelled' },
+    'trash.deletedAt': { $exists: false },
+    date: {
+      $gte: new Date(date.getTime() - windowMs(windowMinutes)),
+      $lte: new Date(date.getTime() + windowMs(windowMinutes))
+    }
+  }).sort({ date: 1 });
+
+  return candidates.filter(candidate => isDuplicateOf(activityData, candidate, windowMinutes));
+};
+
+/**
+ * Scan a user's counted activities for clusters of likely duplicates. Each
+ * cluster shares a category, subcategory, title and footprint, and each of
+ * its activities is within the duplicate window of the one before. The
+ * earliest created activity is the one to keep. Returns
+ * [{ keep, duplicates: [activity], extraKg }].
+ */
+export const findDuplicateClusters = async (user, { windowMinutes = getDuplicateWindowMinutes(), startDate, endDate } = {}) => {
+  const filter = {
+    user: user._id,
+    status: { $ne: 'cancelled' },
+    'trash.deletedAt': { $exists: false }
+  };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  // Only groups with more than one activity can hold duplicates
+  const groups = await Activity.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          category: '$category',
+          subcategory: '$subcategory',
+          title: { $toLower: { $trim: { input: '$title' } } },
+          kg: {
+            $round: [{
+              $cond: [
+                { $eq: ['$carbonFootprint.unit', 'tons'] },
+                { $multiply: ['$carbonFootprint.value', 1000] },
+                '$carbonFootprint.value'
+              ]
+            }, 3]
+          }
+        },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  const clusters = [];
+  for (const group of groups) {
+    const activities = await Activity.find({ _id: { $in: group.ids } }).sort({ date: 1, createdAt: 1 });
+
+    let current = [];
+    const flush = () => {
+      if (current.length > 1) {
+        const [keep, ...duplicates] = [...current].sort((a, b) => a.createdAt - b.createdAt);
+        clusters.push({
+          keep,
+          duplicates,
+          extraKg: duplicates.reduce((sum, activity) => sum + countedKg(activity), 0)
+        });
+      }
+      current = [];
+    };
+
+    for (const activity of activities) {
+      const previous = current[current.length - 1];
+      if (previous && !isDuplicateOf(activity, previous, windowMinutes)) flush();
+      current.push(activity);
+    }
+    flush();
+  }
+
+  return clusters.sort((a, b) => b.keep.date - a.keep.date);
+};
+
+/**
+ * Merge duplicates into the activity kept: their tags and attachments move
+ * to it and they go to the trash, where they can still be restored. Returns
+ * the change in kg to apply to the user's total.
+ */
+export const mergeDuplicates = async (keep, duplicates, { actor }) => {
+  const before = takeSnapshot(keep, 'activity');
+  keep.tags = [...new Set([...(keep.tags || []), ...duplicates.flatMap(activity => activity.tags || [])])];
+  await keep.save();
+  await Revision.record('activity', keep, before, { actor });
+
+  await Attachment.updateMany(
+    { resourceType: 'activity', resource: { $in: duplicates.map(activity => activity._id) } },
+    { $set: { resource: keep._id } }
+  );
+
+  let change = 0;
+  for (const activity of duplicates) {
+    change += await moveToTrash(activity);
+  }
+  return change;
+};
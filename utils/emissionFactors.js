@@ -0,0 +1,405 @@
+// Default emission factors used by the carbon calculator.
+// All values are kg CO2e per unit; the unit is noted next to each table.
+// Figures are rounded from the UK DEFRA/BEIS 2023 conversion factors,
+// IEA grid intensities and Poore & Nemecek (2018). They are the fallback
+// when the EmissionFactor catalog has no applicable entry.
+
+export const FACTOR_SOURCES = {
+  defra: 'UK DEFRA/BEIS GHG Conversion Factors 2023',
+  iea: 'IEA Emissions Factors 2023',
+  poore: 'Poore & Nemecek (2018), Science 360:987-992',
+  useeio: 'US EPA Supply Chain GHG Emission Factors (USEEIO v1.2)'
+};
+
+// Transportation - kg CO2e per km
+export const TRANSPORT_FACTORS = {
+  car: {
+    petrol: 0.170,
+    gasoline: 0.170,
+    diesel: 0.171,
+    hybrid: 0.120,
+    'plug-in hybrid': 0.071,
+    electric: 0.047,
+    lpg: 0.177,
+    cng: 0.163,
+    default: 0.170
+  },
+  motorcycle: {
+    petrol: 0.114,
+    electric: 0.024,
+    default: 0.114
+  },
+  scooter: {
+    petrol: 0.083,
+    electric: 0.024,
+    default: 0.024
+  },
+  taxi: { default: 0.149 },
+  bus: { default: 0.102 },
+  coach: { default: 0.027 },
+  train: { default: 0.035 },
+  tram: { default: 0.029 },
+  subway: { default: 0.028 },
+  ferry: { default: 0.019 },
+  plane: { default: 0.154 },
+  bike: { default: 0 },
+  walk: { default: 0 }
+};
+
+// Flights - kg CO2e per passenger km by distance band and cabin class,
+// excluding radiative forcing. Bands follow DEFRA's domestic, short-haul and
+// long-haul split; short flights are not split by cabin.
+export const FLIGHT_FACTORS = {
+  short: { economy: 0.160, premium_economy: 0.160, business: 0.160, first: 0.160 },
+  medium: { economy: 0.108, premium_economy: 0.129, business: 0.161, first: 0.161 },
+  long: { economy: 0.118, premium_economy: 0.188, business: 0.341, first: 0.471 }
+};
+
+// Upper bound in km of each flight distance band
+export const FLIGHT_DISTANCE_BANDS = [
+  { band: 'short', maxKm: 500 },
+  { band: 'medium', maxKm: 3700 },
+  { band: 'long', maxKm: Infinity }
+];
+
+// Multiplier for the non-CO2 warming effects of aviation at altitude
+export const RADIATIVE_FORCING_MULTIPLIER = 1.7;
+
+// Great-circle distances are uplifted for routing, holding and approach
+export const FLIGHT_DISTANCE_UPLIFT = 1.08;
+
+// Electricity grid intensity by country - kg CO2e per kWh
+export const GRID_FACTORS = {
+  AE: 0.404,
+  AR: 0.344,
+  AT: 0.111,
+  AU: 0.656,
+  BE: 0.142,
+  BR: 0.075,
+  CA: 0.120,
+  CH: 0.024,
+  CL: 0.329,
+  CN: 0.581,
+  DE: 0.380,
+  DK: 0.124,
+  EG: 0.453,
+  ES: 0.150,
+  FI: 0.079,
+  FR: 0.056,
+  GB: 0.207,
+  ID: 0.709,
+  IE: 0.296,
+  IN: 0.713,
+  IT: 0.257,
+  JP: 0.457,
+  KE: 0.095,
+  KR: 0.436,
+  MX: 0.423,
+  NG: 0.403,
+  NL: 0.328,
+  NO: 0.008,
+  NZ: 0.098,
+  PK: 0.395,
+  PL: 0.662,
+  PT: 0.165,
+  RU: 0.355,
+  SA: 0.568,
+  SE: 0.013,
+  SG: 0.408,
+  TR: 0.421,
+  US: 0.367,
+  ZA: 0.928
+};
+
+// Energy - kg CO2e per kWh (fuel volumes are converted to kWh first)
+export const ENERGY_FACTORS = {
+  electricity: 0.436,
+  gas: 0.183,
+  heating: 0.183,
+  cooling: 0.436,
+  oil: 0.247,
+  lpg: 0.214,
+  coal: 0.324,
+  wood: 0.013,
+  renewable: 0
+};
+
+// Conversion of energy consumption units to kWh
+export const ENERGY_UNIT_TO_KWH = {
+  kwh: 1,
+  mwh: 1000,
+  wh: 0.001,
+  therm: 29.31,
+  therms: 29.31,
+  m3: 10.55,
+  ft3: 0.299,
+  'cubic feet': 0.299,
+  ccf: 29.87,
+  litre: 10.35,
+  litres: 10.35,
+  liter: 10.35,
+  liters: 10.35
+};
+
+// Food - kg CO2e per kg of product, whole lifecycle (land use, farm, feed,
+// processing, transport, retail and packaging), global medians
+export const FOOD_FACTORS = {
+  beef: 60,
+  lamb: 24,
+  meat: 12,
+  pork: 7.2,
+  poultry: 6.1,
+  chicken: 6.1,
+  turkey: 6.1,
+  fish: 5.1,
+  seafood: 11.9,
+  prawns: 11.9,
+  cheese: 21,
+  butter: 11.5,
+  dairy: 3.2,
+  milk: 3.2,
+  yogurt: 2.2,
+  eggs: 4.5,
+  rice: 4,
+  grains: 1.4,
+  wheat: 1.4,
+  bread: 1.6,
+  pasta: 1.4,
+  oats: 2.5,
+  maize: 1.7,
+  potatoes: 0.5,
+  vegetables: 0.7,
+  tomatoes: 2.1,
+  'root vegetables': 0.4,
+  fruits: 1.1,
+  bananas: 0.9,
+  apples: 0.4,
+  citrus: 0.4,
+  berries: 1.5,
+  legumes: 0.9,
+  peas: 1,
+  nuts: 0.3,
+  tofu: 3,
+  'plant milk': 0.9,
+  'vegetable oil': 6,
+  'olive oil': 5.4,
+  sugar: 3.2,
+  coffee: 28.5,
+  chocolate: 18.7,
+  processed: 3,
+  organic: 0.7,
+  default: 2.5
+};
+
+// Typical serving of each food in kg, for quantities given in servings
+export const FOOD_SERVING_KG = {
+  beef: 0.15,
+  lamb: 0.15,
+  meat: 0.15,
+  pork: 0.15,
+  poultry: 0.15,
+  chicken: 0.15,
+  turkey: 0.15,
+  fish: 0.14,
+  seafood: 0.1,
+  prawns: 0.1,
+  cheese: 0.03,
+  butter: 0.01,
+  dairy: 0.25,
+  milk: 0.25,
+  yogurt: 0.15,
+  eggs: 0.1,
+  rice: 0.075,
+  grains: 0.075,
+  wheat: 0.075,
+  bread: 0.08,
+  pasta: 0.075,
+  oats: 0.04,
+  maize: 0.08,
+  potatoes: 0.2,
+  tomatoes: 0.08,
+  'plant milk': 0.25,
+  'vegetable oil': 0.015,
+  'olive oil': 0.015,
+  sugar: 0.01,
+  coffee: 0.01,
+  chocolate: 0.025,
+  nuts: 0.03,
+  default: 0.08
+};
+
+// Food eaten in one meal in kg, for quantities given in meals
+export const MEAL_KG = 0.5;
+
+// Shopping - kg CO2e per USD spent, by item type (spend-based, EEIO)
+export const SPEND_FACTORS = {
+  clothing: 0.36,
+  footwear: 0.33,
+  electronics: 0.25,
+  computers: 0.17,
+  phones: 0.2,
+  appliances: 0.42,
+  furniture: 0.38,
+  household: 0.35,
+  books: 0.28,
+  toys: 0.3,
+  cosmetics: 0.25,
+  sports: 0.3,
+  jewelry: 0.2,
+  groceries: 0.6,
+  services: 0.12,
+  default: 0.3
+};
+
+// Waste - kg CO2e per kg by waste type and disposal method
+export const WASTE_FACTORS = {
+  plastic: { landfill: 0.009, recycling: 0.021, incineration: 2.3, default: 0.009 },
+  paper: { landfill: 1.04, recycling: 0.021, composting: 0.009, incineration: 0.021, default: 1.04 },
+  glass: { landfill: 0.009, recycling: 0.021, default: 0.009 },
+  metal: { landfill: 0.009, recycling: 0.021, default: 0.009 },
+  organic: { landfill: 0.627, composting: 0.009, incineration: 0.021, default: 0.627 },
+  electronics: { landfill: 0.009, recycling: 0.021, default: 0.009 },
+  general: { landfill: 0.587, incineration: 0.021, default: 0.587 },
+  default: { landfill: 0.587, recycling: 0.021, composting: 0.009, incineration: 0.021, default: 0.587 }
+};
+
+// Water - kg CO2e per litre (supply and treatment)
+export const WATER_FACTOR = 0.000421;
+
+export const WATER_UNIT_TO_LITRES = {
+  l: 1,
+  litre: 1,
+  litres: 1,
+  liter: 1,
+  liters: 1,
+  m3: 1000,
+  gal: 3.785,
+  gallon: 3.785,
+  gallons: 3.785,
+  ft3: 28.317,
+  'cubic feet': 28.317
+};
+
+export const MASS_UNIT_TO_KG = {
+  kg: 1,
+  kilogram: 1,
+  kilograms: 1,
+  g: 0.001,
+  gram: 0.001,
+  grams: 0.001,
+  oz: 0.0283495,
+  ounce: 0.0283495,
+  ounces: 0.0283495,
+  lb: 0.453592,
+  lbs: 0.453592,
+  pound: 0.453592,
+  pounds: 0.453592
+};
+
+// Counterfactuals that avoided emissions are measured against: the trip
+// driven in the user's default car, the food eaten as part of an average
+// diet, and energy drawn from the grid mix
+export const BASELINE_DEFAULTS = {
+  vehicleType: 'car',
+  fuelType: 'petrol'
+};
+
+// Average diet - kg CO2e per kg of food (global food-system emissions over food supply)
+export const AVERAGE_DIET_FACTOR = 2.9;
+
+// How shared emissions are split: bills for the home between the household,
+// trips between the passengers
+export const ALLOCATION_RULES = {
+  energy: 'household',
+  water: 'household',
+  transportation: 'passengers',
+  travel: 'passengers'
+};
+
+// Vehicles with factors per vehicle km, so a shared trip is split between
+// its passengers. Public transport and flight factors are already per passenger.
+export const SHARED_VEHICLE_TYPES = ['car', 'motorcycle', 'scooter', 'taxi'];
+
+/**
+ * Flatten the default tables into catalog entries, used to seed the
+ * EmissionFactor collection so the defaults become auditable records.
+ */
+export const getDefaultFactors = () => {
+  const factors = [];
+
+  Object.entries(TRANSPORT_FACTORS).forEach(([mode, fuels]) => {
+    Object.entries(fuels).forEach(([fuel, value]) => {
+      factors.push({
+        category: 'transportation',
+        subcategory: mode,
+        fuel: fuel === 'default' ? null : fuel,
+        unit: 'km',
+        value,
+        source: FACTOR_SOURCES.defra
+      });
+    });
+  });
+
+  Object.entries(FLIGHT_FACTORS).forEach(([band, cabins]) => {
+    Object.entries(cabins).forEach(([cabin, value]) => {
+      factors.push({
+        category: 'transportation',
+        subcategory: 'flight',
+        fuel: `${band}-${cabin}`,
+        unit: 'km',
+        value,
+        source: FACTOR_SOURCES.defra
+      });
+    });
+  });
+
+  Object.entries(ENERGY_FACTORS).forEach(([type, value]) => {
+    factors.push({
+      category: 'energy',
+      subcategory: type,
+      unit: 'kWh',
+      value,
+      source: type === 'electricity' || type === 'cooling' ? FACTOR_SOURCES.iea : FACTOR_SOURCES.defra
+    });
+  });
+
+  Object.entries(GRID_FACTORS).forEach(([region, value]) => {
+    factors.push({
+      category: 'energy',
+      subcategory: 'electricity',
+      region,
+      unit: 'kWh',
+      value,
+      source: FACTOR_SOURCES.iea
+    });
+  });
+
+  Object.entries(FOOD_FACTORS).forEach(([type, value]) => {
+    if (type === 'default') return;
+    factors.push({ category: 'food', subcategory: type, unit: 'kg', value, source: FACTOR_SOURCES.poore });
+  });
+  factors.push({ category: 'food', subcategory: 'average diet', unit: 'kg', value: AVERAGE_DIET_FACTOR, source: FACTOR_SOURCES.poore });
+
+  Object.entries(SPEND_FACTORS).forEach(([type, value]) => {
+    if (type === 'default') return;
+    factors.push({ category: 'shopping', subcategory: type, unit: 'USD', value, source: FACTOR_SOURCES.useeio });
+  });
+
+  Object.entries(WASTE_FACTORS).forEach(([type, methods]) => {
+    if (type === 'default') return;
+    Object.entries(methods).forEach(([method, value]) => {
+      factors.push({
+        category: 'waste',
+        subcategory: type,
+        fuel: method === 'default' ? null : method,
+        unit: 'kg',
+        value,
+        source: FACTOR_SOURCES.defra
+      });
+    });
+  });
+
+  factors.push({ category: 'water', subcategory: 'supply', unit: 'L', value: WATER_FACTOR, source: FACTOR_SOURCES.defra });
+
+  return factors;
+};
@@ -0,0 +1,139 @@
+import { footprintInKg } from './activityService.js';
+
+// Convert a value in kg or tons to kg, leaving other units untouched
+const massToKg = (value, unit) => {
+  if (value === undefined || value === null) return value;
+  return unit === 'tons' ? value * 1000 : value;
+};
+
+const massUnit = (unit) => (unit === 'tons' ? 'kg' : unit);
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+// Export columns per resource, in the order they are written. Each column is
+// [name, getter]; the order is part of the export format and must stay stable.
+export const EXPORT_COLUMNS = {
+  activities: [
+    ['id', activity => String(activity._id)],
+    ['date', activity => isoDate(activity.date)],
+    ['category', activity => activity.category],
+    ['subcategory', activity => activity.subcategory],
+    ['title', activity => activity.title],
+    ['description', activity => activity.description],
+    ['carbonFootprintKg', activity => footprintInKg(activity.carbonFootprint)],
+    ['calculationMethod', activity => activity.carbonFootprint.calculationMethod],
+    ['region', activity => activity.carbonFootprint.region],
+    ['distance', activity => activity.data?.distance],
+    ['vehicleType', activity => activity.data?.vehicleType],
+    ['fuelType', activity => activity.data?.fuelType],
+    ['passengers', activity => activity.data?.passengers],
+    ['energyType', activity => activity.data?.energyType],
+    ['consumption', activity => activity.data?.consumption],
+    ['consumptionUnit', activity => activity.data?.consumptionUnit],
+    ['foodType', activity => activity.data?.foodType],
+    ['quantity', activity => activity.data?.quantity],
+    ['quantityUnit', activity => activity.data?.quantityUnit],
+    ['wasteType', activity => activity.data?.wasteType],
+    ['weight', activity => activity.data?.weight],
+    ['disposalMethod', activity => activity.data?.disposalMethod],
+    ['waterUsage', activity => activity.data?.waterUsage],
+    ['waterUnit', activity => activity.data?.waterUnit],
+    ['itemType', activity => activity.data?.itemType],
+    ['price', activity => activity.data?.price],
+    ['currency', activity => activity.data?.currency],
+    ['destination', activity => activity.data?.destination],
+    ['travelMode', activity => activity.data?.travelMode],
+    ['duration', activity => activity.data?.duration],
+    ['address', activity => activity.location?.address],
+    ['city', activity => activity.location?.city],
+    ['country', activity => activity.location?.country],
+    ['longitude', activity => activity.location?.coordinates?.[0]],
+    ['latitude', activity => activity.location?.coordinates?.[1]],
+    ['tags', activity => (activity.tags || []).join(';')],
+    ['isRecurring', activity => activity.isRecurring],
+    ['recurrenceParent', activity => (activity.recurrence?.parent ? String(activity.recurrence.parent) : null)],
+    ['status', activity => activity.status],
+    ['notes', activity => activity.notes],
+    ['createdAt', activity => isoDate(activity.createdAt)],
+    ['updatedAt', activity => isoDate(activity.updatedAt)]
+  ],
+  goals: [
+    ['id', goal => String(goal._id)],
+    ['title', goal => goal.title],
+    ['description', goal => goal.description],
+    ['category', goal => goal.category],
+    ['targetValue', goal => massToKg(goal.target.value, goal.target.unit)],
+    ['targetUnit', goal => massUnit(goal.target.unit)],
+    ['timeframe', goal => goal.target.timeframe],
+    ['currentValue', goal => massToKg(goal.current.value, goal.target.unit)],
+    ['progressPercentage', goal => goal.progressPercentage],
+    ['startDate', goal => isoDate(goal.startDate)],
+    ['endDate', goal => isoDate(goal.endDate)],
+    ['status', goal => goal.status],
+    ['priority', goal => goal.priority],
+    ['difficulty', goal => goal.difficulty],
+    ['milestonesAchieved', goal => goal.milestones.filter(milestone => milestone.achieved).length],
+    ['milestonesTotal', goal => goal.milestones.length],
+    ['tags', goal => (goal.tags || []).join(';')],
+    ['isPublic', goal => goal.isPublic],
+    ['notes', goal => goal.notes],
+    ['createdAt', goal => isoDate(goal.createdAt)],
+    ['updatedAt', goal => isoDate(goal.updatedAt)]
+  ],
+  achievements: [
+    ['id', achievement => String(achievement._id)],
+    ['title', achievement => achievement.title],
+    ['description', achievement => achievement.description],
+    ['category', achievement => achievement.category],
+    ['type', achievement => achievement.type],
+    ['metric', achievement => achievement.criteria.metric],
+    ['threshold', achievement => massToKg(achievement.criteria.threshold, achievement.criteria.unit)],
+    ['thresholdUnit', achievement => massUnit(achievement.criteria.unit)],
+    ['timeframe', achievement => achievement.criteria.timeframe],
+    ['progressCurrent', achievement => massToKg(achievement.progress.current, achievement.criteria.unit)],
+    ['progressRequired', achievement => massToKg(achievement.progress.required, achievement.criteria.unit)],
+    ['progressPercentage', achievement => achievement.progressPercentage],
+    ['points', achievement => achievement.points],
+    ['rarity', achievement => achievement.rarity],
+    ['isUnlocked', achievement => achievement.isUnlocked],
+    ['unlockedAt', achievement => isoDate(achievement.unlockedAt)],
+    ['tags', achievement => (achievement.tags || []).join(';')],
+    ['createdAt', achievement => isoDate(achievement.createdAt)]
+  ]
+};
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Flatten a document into an export record with the resource's columns
+export const toExportRecord = (resource, doc) => {
+  const record = {};
+  EXPORT_COLUMNS[resource].forEach(([name, getter]) => {
+    const value = getter(doc);
+    record[name] = value === undefined ? null : value;
+  });
+  return record;
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+export const csvHeader = (resource) => toCsvLine(EXPORT_COLUMNS[resource].map(([name]) => name));
+
+export const toCsvRecord = (resource, doc) => toCsvLine(Object.values(toExportRecord(resource, doc)));
@@ -0,0 +1,78 @@
+import { findAirport, isIataCode } from './airports.js';
+import { FLIGHT_DISTANCE_BANDS, FLIGHT_DISTANCE_UPLIFT } from './emissionFactors.js';
+import { haversineKm } from './geo.js';
+
+export const CABIN_CLASSES = ['economy', 'premium_economy', 'business', 'first'];
+
+// Modes that mean an activity is a flight
+export const FLIGHT_MODES = ['plane', 'flight'];
+
+const MAX_VIA_STOPS = 4;
+
+export const getDistanceBand = (km) => FLIGHT_DISTANCE_BANDS.find(({ maxKm }) => km < maxKm).band;
+
+export const isFlightActivity = (activity) => {
+  const data = activity.data || {};
+  const mode = activity.category === 'travel'
+    ? data.travelMode || data.vehicleType
+    : data.vehicleType || activity.subcategory;
+  return ['transportation', 'travel'].includes(activity.category)
+    && FLIGHT_MODES.includes(String(mode || '').trim().toLowerCase());
+};
+
+/**
+ * Resolve a flight itinerary (origin, destination, optional via stops) to
+ * its legs. Each leg has the great-circle distance between the airports and
+ * the flown distance with the routing uplift. Returns { flight }, or
+ * { error } for unknown airports.
+ */
+export const buildFlight = (input) => {
+  const via = (Array.isArray(input.via) ? input.via : input.via ? [input.via] : [])
+    .map(code => String(code).trim().toUpperCase());
+  const codes = [input.origin, ...via, input.destination].map(code => String(code || '').trim().toUpperCase());
+
+  if (via.length > MAX_VIA_STOPS) {
+    return { error: `A flight can have at most ${MAX_VIA_STOPS} via stops` };
+  }
+
+  const unknown = codes.filter(code => !isIataCode(code) || !findAirport(code));
+  if (unknown.length > 0) {
+    return { error: `Unknown airport code: ${unknown.join(', ')}` };
+  }
+
+  const airports = codes.map(findAirport);
+  const legs = airports.slice(1).map((to, index) => {
+    const from = airports[index];
+    const greatCircleDistance = haversineKm(from.coordinates, to.coordinates);
+    const distance = greatCircleDistance * FLIGHT_DISTANCE_UPLIFT;
+    return {
+      from: from.iata,
+      to: to.iata,
+      greatCircleDistance: Math.round(greatCircleDistance * 10) / 10,
+      distance: Math.round(distance * 10) / 10,
+      band: getDistanceBand(distance)
+    };
+  });
+
+  if (legs.some(leg => leg.from === leg.to)) {
+    return { error: 'A flight leg must connect two different airports' };
+  }
+
+  return {
+    flight: {
+      origin: codes[0],
+      destination: codes[codes.length - 1],
+      via,
+      cabinClass: input.cabinClass || 'economy',
+      roundTrip: input.roundTrip === true || input.roundTrip === 'true',
+      radiativeForcing: input.radiativeForcing === true || input.radiativeForcing === 'true',
+      legs
+    }
+  };
+};
+
+// Total flown distance of a flight in km, both ways for a round trip
+export const flightDistance = (flight) => {
+  const oneWay = flight.legs.reduce((sum, leg) => sum + leg.distance, 0);
+  return Math.round(oneWay * (flight.roundTrip ? 2 : 1) * 10) / 10;
+};
@@ -0,0 +1,44 @@
+import { FOOD_FACTORS, FOOD_SERVING_KG, MASS_UNIT_TO_KG, MEAL_KG } from './emissionFactors.js';
+
+const SERVING_UNITS = ['serving', 'servings', 'portion', 'portions'];
+const MEAL_UNITS = ['meal', 'meals'];
+
+// Units a food quantity may be given in
+export const FOOD_UNITS = [...Object.keys(MASS_UNIT_TO_KG), ...SERVING_UNITS, ...MEAL_UNITS];
+
+export const MAX_INGREDIENTS = 50;
+
+/**
+ * Match a food type to the dataset, ignoring case and a plural "s" or "es",
+ * so "Tomato" matches tomatoes. Returns the dataset key, or null for an unknown food.
+ */
+export const resolveFoodType = (foodType) => {
+  if (typeof foodType !== 'string' || !foodType.trim()) return null;
+  const key = foodType.trim().toLowerCase();
+
+  return [key, `${key}s`, `${key}es`, key.replace(/s$/, '')]
+    .find(candidate => FOOD_FACTORS[candidate] !== undefined && candidate !== 'default') || null;
+};
+
+/**
+ * Convert a food quantity to kg. Servings use the food's typical serving
+ * size and meals a typical meal. Returns null for an unknown unit or a
+ * quantity that is not a positive number. The unit defaults to kg.
+ */
+export const toFoodKg = (quantity, unit, foodKey) => {
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0) return null;
+  const unitKey = typeof unit === 'string' && unit.trim() ? unit.trim().toLowerCase() : 'kg';
+
+  if (MASS_UNIT_TO_KG[unitKey] !== undefined) return quantity * MASS_UNIT_TO_KG[unitKey];
+  if (SERVING_UNITS.includes(unitKey)) return quantity * (FOOD_SERVING_KG[foodKey] ?? FOOD_SERVING_KG.default);
+  if (MEAL_UNITS.includes(unitKey)) return quantity * MEAL_KG;
+  return null;
+};
+
+// The ingredients of a food activity: its list, or the single food it describes
+export const getIngredients = (foodType, data) => {
+  if (Array.isArray(data.ingredients) && data.ingredients.length > 0) {
+    return data.ingredients;
+  }
+  return [{ foodType, quantity: data.quantity, quantityUnit: data.quantityUnit }];
+};
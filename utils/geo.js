@@ -0,0 +1,87 @@
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km between two [longitude, latitude] points
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const isValidCoordinate = ([lng, lat] = []) => {
+  return Number.isFinite(lng) && Number.isFinite(lat)
+    && lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Encode a [longitude, latitude] point as a geohash of the given length
+export const encodeGeohash = ([lng, lat], precision = 5) => {
+  const lngRange = [-180, 180];
+  const latRange = [-90, 90];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Bounds of a geohash cell as [minLng, minLat, maxLng, maxLat]
+export const decodeGeohashBounds = (hash) => {
+  const lngRange = [-180, 180];
+  const latRange = [-90, 90];
+  let evenBit = true;
+
+  for (const character of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(character);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return [lngRange[0], latRange[0], lngRange[1], latRange[1]];
+};
+
+// Closed GeoJSON polygon ring for a [minLng, minLat, maxLng, maxLat] box
+export const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const MAX_KEY_LENGTH = 255;
+
+// Hours a stored response is replayed for
+export const getIdempotencyTtlHours = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Seconds after which a request still processing is taken to have failed,
+// so a retry can run it again. Running requests renew their lock twice in
+// this time, so only requests that stopped without a response lose it.
+const getLockSeconds = () => parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+// Responses that should not be replayed, so a retry runs the request again
+const isRetryable = (statusCode) => statusCode >= 500 || statusCode === 401 || statusCode === 429;
+
+// The user a request is authenticated as, or null. The routes still check
+// the token themselves.
+const getUserId = (req) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    return token ? jwt.verify(token, process.env.JWT_SECRET).userId : null;
+  } catch {
+    return null;
+  }
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Files multer parsed from a multipart request
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+/**
+ * Hash of what makes two requests the same: method, URL, body and, for
+ * multipart requests, the name and contents of each uploaded file.
+ */
+export const hashRequest = (req) => {
+  const fingerprint = JSON.stringify({
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body ?? null,
+    files: uploadedFiles(req).map(file => ({
+      field: file.fieldname,
+      name: file.originalname,
+      hash: sha256(file.buffer)
+    }))
+  });
+  return sha256(fingerprint);
+};
+
+// Claim a key for this request. Returns the new record, or the existing one
+// when the key was already used.
+const claimKey = async (userId, key, req, requestHash) => {
+  const fields = {
+    user: userId,
+    key,
+    method: req.method,
+    path: req.originalUrl,
+    requestHash,
+    status: 'processing',
+    expiresAt: new Date(Date.now() + getIdempotencyTtlHours() * 60 * 60 * 1000)
+  };
+
+  try {
+    return { record: await IdempotencyKey.create(fields) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key });
+  const abandoned = existing?.status === 'processing'
+    && Date.now() - existing.updatedAt.getTime() > getLockSeconds() * 1000;
+
+  // Expired records wait for the TTL monitor, and abandoned ones never finished
+  if (existing && (existing.expiresAt <= new Date() || abandoned)) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      { $set: fields, $unset: { response: 1 } },
+      { new: true }
+    );
+    if (record) return { record };
+  }
+
+  return { existing: existing || await IdempotencyKey.findOne({ user: userId, key }) };
+};
+
+/**
+ * Middleware honouring the Idempotency-Key header on mutating requests. The
+ * first response per user and key is stored for IDEMPOTENCY_TTL_HOURS and
+ * replayed on retries with the Idempotent-Replayed header. Reusing a key for
+ * a different request is rejected with 422, and a retry that arrives while
+ * the first request is still running gets a 409. Server errors are not
+ * stored so the request can be retried.
+ *
+ * Multipart requests are left to idempotentUpload, which upload routes run
+ * once their files are parsed.
+ */
+export const idempotency = async (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return next();
+  }
+  return handleIdempotencyKey(req, res, next);
+};
+
+// Middleware honouring the Idempotency-Key header on an upload route, after
+// multer has parsed the files so their contents are part of the request hash
+export const idempotentUpload = (req, res, next) => handleIdempotencyKey(req, res, next);
+
+const handleIdempotencyKey = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!MUTATING_METHODS.includes(req.method) || key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} printable characters without spaces`
+    });
+  }
+
+  // Keys are scoped to a user; unauthenticated requests are left to the routes
+  const userId = getUserId(req);
+  if (!userId) {
+    return next();
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, existing } = await claimKey(userId, key, req, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key reused',
+          message: `This Idempotency-Key was already used for a different request (${existing.method} ${existing.path}). Use a new key for a new request.`
+        });
+      }
+
+      if (existing.status === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed, retry shortly'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Store the response the route sends
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // Keep the key locked while the request runs, however long it takes
+    const renewal = setInterval(() => {
+      IdempotencyKey.updateOne({ _id: record._id, status: 'processing' }, { $set: { status: 'processing' } })
+        .catch(error => console.error('Renew idempotency lock error:', error));
+    }, getLockSeconds() * 500);
+    renewal.unref();
+
+    // 'close' also fires when the client goes away before the response is sent
+    res.on('close', async () => {
+      clearInterval(renewal);
+      try {
+        if (!res.writableFinished || responseBody === undefined || isRetryable(res.statusCode)) {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+          return;
+        }
+
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: 'completed',
+              response: {
+                statusCode: res.statusCode,
+                body: JSON.parse(JSON.stringify(responseBody))
+              }
+            }
+          }
+        );
+      } catch (error) {
+        console.error('Store idempotent response error:', error);
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,209 @@
+export const MAX_LIST_LIMIT = 1000;
+
+// Split a comma-separated query value (or repeated parameter) into a list
+export const listParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Filter on one value or any of a comma-separated list
+export const inFilter = (path) => (value) => {
+  const values = listParam(value);
+  if (values.length === 0) return {};
+  return { [path]: values.length === 1 ? values[0] : { $in: values } };
+};
+
+// Filter on a carbon footprint bound given in kg, whatever unit it is stored in
+export const footprintFilter = (operator) => (value) => {
+  const kg = parseFloat(value);
+  if (Number.isNaN(kg)) return {};
+  return {
+    $or: [
+      { 'carbonFootprint.unit': { $ne: 'tons' }, 'carbonFootprint.value': { [operator]: kg } },
+      { 'carbonFootprint.unit': 'tons', 'carbonFootprint.value': { [operator]: kg / 1000 } }
+    ]
+  };
+};
+
+// Filter on a date bound
+export const dateFilter = (path, operator) => (value) => ({ [path]: { [operator]: new Date(value) } });
+
+// Filter on tags; tagMatch=all requires every tag instead of any of them
+export const tagsFilter = (value, query) => {
+  const tags = listParam(value);
+  if (tags.length === 0) return {};
+  return { tags: query.tagMatch === 'all' ? { $all: tags } : { $in: tags } };
+};
+
+// List filters of GET /api/activities and activity exports, by query parameter
+export const ACTIVITY_FILTERS = {
+  category: inFilter('category'),
+  subcategory: inFilter('subcategory'),
+  status: inFilter('status'),
+  tags: tagsFilter,
+  minFootprint: footprintFilter('$gte'),
+  maxFootprint: footprintFilter('$lte'),
+  startDate: dateFilter('date', '$gte'),
+  endDate: dateFilter('date', '$lte')
+};
+
+// List filters of GET /api/goals and goal exports, by query parameter
+export const GOAL_FILTERS = {
+  status: inFilter('status'),
+  category: inFilter('category'),
+  priority: inFilter('priority'),
+  difficulty: inFilter('difficulty'),
+  tags: tagsFilter
+};
+
+/**
+ * Build a list filter from query parameters. `filters` maps a parameter name
+ * to a function returning the filter fragment for its value.
+ */
+export const buildListFilter = (query, filters, base = {}) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => query[name] !== undefined && query[name] !== '')
+    .map(([name, toFilter]) => toFilter(query[name], query))
+    .filter(condition => Object.keys(condition).length > 0);
+
+  return conditions.length > 0 ? { $and: [base, ...conditions] } : base;
+};
+
+/**
+ * Parse a sort parameter such as "-date,title" against the sortable fields,
+ * { name: { path, type } }. The _id is always added last so every document
+ * has a unique position. Returns { sort } or { error }.
+ */
+export const parseSort = (value, sortFields, defaultSort) => {
+  const requested = listParam(value || defaultSort);
+  const sort = [];
+
+  for (const item of requested) {
+    const descending = item.startsWith('-');
+    const name = item.replace(/^[-+]/, '');
+    const field = sortFields[name];
+    if (!field) {
+      return { error: `Cannot sort by ${name}, use one of ${Object.keys(sortFields).join(', ')}` };
+    }
+    if (!sort.some(([path]) => path === field.path)) {
+      sort.push([field.path, descending ? -1 : 1, field.type]);
+    }
+  }
+
+  sort.push(['_id', sort.length > 0 ? sort[sort.length - 1][1] : 1, 'id']);
+  return { sort };
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const sortKey = (sort) => sort.map(([path, direction]) => `${direction < 0 ? '-' : ''}${path}`).join(',');
+
+// Opaque cursor pointing at a document's position in a sort order
+export const encodeCursor = (doc, sort, direction) => {
+  const payload = {
+    s: sortKey(sort),
+    d: direction,
+    v: sort.map(([path]) => getPath(doc, path))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { direction, values } or null for a cursor that is malformed or
+// was issued for a different sort order
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (payload.s !== sortKey(sort) || !['next', 'prev'].includes(payload.d)) return null;
+    if (!Array.isArray(payload.v) || payload.v.length !== sort.length) return null;
+
+    const values = payload.v.map((value, index) => {
+      const type = sort[index][2];
+      if (type === 'date') return new Date(value);
+      return value;
+    });
+    if (values.some(value => value instanceof Date && Number.isNaN(value.getTime()))) return null;
+    if (!/^[a-f0-9]{24}$/i.test(values[values.length - 1])) return null;
+
+    return { direction: payload.d, values };
+  } catch {
+    return null;
+  }
+};
+
+// Condition selecting documents after the cursor values in the given sort
+const keysetCondition = (sort, values, reverse) => ({
+  $or: sort.map(([path, direction], index) => {
+    const ascending = reverse ? direction < 0 : direction > 0;
+    const condition = {};
+    sort.slice(0, index).forEach(([previousPath], previous) => {
+      condition[previousPath] = values[previous];
+    });
+    condition[path] = { [ascending ? '$gt' : '$lt']: values[index] };
+    return condition;
+  })
+});
+
+/**
+ * Fetch one page of a list. With a cursor the page is read by keyset from
+ * the cursor's position; otherwise page/limit skip paging is used. Both
+ * return next/prev cursors. Returns { docs, pagination } or { error }.
+ */
+export const paginate = async (model, { filter, sort, query }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_LIST_LIMIT);
+  const sortSpec = Object.fromEntries(sort.map(([path, direction]) => [path, direction]));
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor, or the cursor was issued for a different sort order' };
+    }
+
+    const reverse = cursor.direction === 'prev';
+    const reversedSpec = Object.fromEntries(sort.map(([path, direction]) => [path, reverse ? -direction : direction]));
+
+    const docs = await model.find({ $and: [filter, keysetCondition(sort, cursor.values, reverse)] })
+      .sort(reversedSpec)
+      .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+    const page = docs.slice(0, limit);
+    if (reverse) page.reverse();
+
+    // Coming from a cursor means there is a page on the side we came from
+    const hasNext = reverse ? true : hasMore;
+    const hasPrev = reverse ? hasMore : true;
+
+    return {
+      docs: page,
+      pagination: {
+        limit,
+        next: hasNext && page.length > 0 ? encodeCursor(page[page.length - 1], sort, 'next') : null,
+        prev: hasPrev && page.length > 0 ? encodeCursor(page[0], sort, 'prev') : null
+      }
+    };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const skip = (page - 1) * limit;
+
+  const docs = await model.find(filter)
+    .sort(sortSpec)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await model.countDocuments(filter);
+
+  return {
+    docs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      next: skip + docs.length < total && docs.length > 0 ? encodeCursor(docs[docs.length - 1], sort, 'next') : null,
+      prev: page > 1 && docs.length > 0 ? encodeCursor(docs[0], sort, 'prev') : null
+    }
+  };
+};
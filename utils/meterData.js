@@ -0,0 +1,176 @@
+import { XMLParser } from 'fast-xml-parser';
+import { parseSpreadsheet } from './spreadsheet.js';
+
+// ESPI unit of measure code for watt-hours
+const UOM_WATT_HOURS = 72;
+// ESPI flow direction for energy delivered to the customer
+const FLOW_FORWARD = 1;
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Collect every node with the given element name anywhere in the document
+const collect = (node, name, found = []) => {
+  if (!node || typeof node !== 'object') return found;
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === name) {
+      found.push(...toArray(value));
+    }
+    toArray(value).forEach(child => collect(child, name, found));
+  });
+
+  return found;
+};
+
+const getUsagePointId = (feed) => {
+  const entry = collect(feed, 'entry').find(candidate => candidate.content?.UsagePoint !== undefined);
+  if (!entry) return null;
+
+  const self = toArray(entry.link).find(link => link['@_rel'] === 'self');
+  return self?.['@_href'] || (typeof entry.id === 'string' ? entry.id : null);
+};
+
+/**
+ * Parse a Green Button (ESPI) XML document into interval readings in kWh.
+ * Returns { meterId, utcOffsetMinutes, readings } where each reading is
+ * { start, duration, kWh }. Throws when the file is not usable.
+ */
+export const parseGreenButton = (xml) => {
+  const parser = new XMLParser({
+    removeNSPrefix: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_'
+  });
+  const feed = parser.parse(xml.toString());
+
+  const readingType = collect(feed, 'ReadingType')[0] || {};
+  const uom = readingType.uom !== undefined ? Number(readingType.uom) : UOM_WATT_HOURS;
+  if (uom !== UOM_WATT_HOURS) {
+    throw new Error(`Unsupported unit of measure ${uom}, only energy readings in Wh (uom 72) can be imported`);
+  }
+  if (readingType.flowDirection !== undefined && Number(readingType.flowDirection) !== FLOW_FORWARD) {
+    throw new Error('Only readings of energy delivered to the customer can be imported');
+  }
+
+  // Values are Wh scaled by a power of ten
+  const multiplier = Math.pow(10, Number(readingType.powerOfTenMultiplier) || 0);
+  const localTime = collect(feed, 'LocalTimeParameters')[0];
+
+  const readings = collect(feed, 'IntervalReading')
+    .filter(reading => reading.timePeriod && reading.value !== undefined)
+    .map(reading => ({
+      start: new Date(Number(reading.timePeriod.start) * 1000),
+      duration: Number(reading.timePeriod.duration),
+      kWh: (Number(reading.value) * multiplier) / 1000
+    }))
+    .filter(reading => !Number.isNaN(reading.start.getTime()) && reading.duration > 0 && reading.kWh >= 0);
+
+  if (readings.length === 0) {
+    throw new Error('No interval readings found in the Green Button file');
+  }
+
+  return {
+    meterId: getUsagePointId(feed),
+    utcOffsetMinutes: localTime?.tzOffset !== undefined ? Number(localTime.tzOffset) / 60 : null,
+    readings
+  };
+};
+
+/**
+ * Parse a timestamp from a meter export. Epoch seconds and ISO strings with
+ * a zone are taken as-is; naive local times are shifted by the meter's UTC
+ * offset.
+ */
+export const parseMeterTimestamp = (value, utcOffsetMinutes = 0) => {
+  if (value instanceof Date) return value;
+
+  const text = String(value).trim();
+  if (/^\d{9,10}$/.test(text)) {
+    return new Date(Number(text) * 1000);
+  }
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return new Date(text);
+  }
+
+  const naive = new Date(`${text.replace(' ', 'T')}Z`);
+  return new Date(naive.getTime() - utcOffsetMinutes * 60 * 1000);
+};
+
+const findHeader = (headers, pattern) => headers.find(header => pattern.test(header));
+
+/**
+ * Parse a generic smart-meter interval CSV. Columns are detected from their
+ * headers unless given: a start timestamp (or a date and a time column), a
+ * consumption value in kWh or Wh and an optional duration in seconds.
+ * Returns { readings, errors }.
+ */
+export const parseIntervalCsv = (buffer, options = {}) => {
+  const { headers, rows } = parseSpreadsheet(buffer, 'csv');
+  const utcOffsetMinutes = options.utcOffsetMinutes || 0;
+
+  const timestampColumn = options.timestampColumn
+    || findHeader(headers, /start|timestamp|date\s*time|datetime|interval/i)
+    || findHeader(headers, /^date$/i);
+  const timeColumn = options.timestampColumn ? null : findHeader(headers, /^time$/i);
+  const valueColumn = options.valueColumn
+    || findHeader(headers, /kwh|\bwh\b|consumption|usage|reading|energy|value/i);
+  const durationColumn = options.durationColumn || findHeader(headers, /duration|seconds/i);
+
+  if (!timestampColumn || !valueColumn) {
+    throw new Error('Unable to find the timestamp and consumption columns, set timestampColumn and valueColumn');
+  }
+
+  const unit = options.unit
+    || (/\bwh\b/i.test(valueColumn) && !/kwh/i.test(valueColumn) ? 'Wh' : 'kWh');
+  const toKwh = unit.toLowerCase() === 'wh' ? 0.001 : 1;
+
+  const readings = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const rawTimestamp = timeColumn ? `${row[timestampColumn]} ${row[timeColumn]}` : row[timestampColumn];
+    const start = parseMeterTimestamp(rawTimestamp, utcOffsetMinutes);
+    const value = parseFloat(String(row[valueColumn]).replace(/,/g, ''));
+
+    if (Number.isNaN(start.getTime())) {
+      errors.push({ row: rowNumber, error: `Invalid timestamp "${rawTimestamp}"` });
+      return;
+    }
+    if (Number.isNaN(value) || value < 0) {
+      errors.push({ row: rowNumber, error: `Invalid consumption "${row[valueColumn]}"` });
+      return;
+    }
+
+    readings.push({
+      start,
+      duration: durationColumn ? parseInt(row[durationColumn]) : null,
+      kWh: value * toKwh
+    });
+  });
+
+  // Without a duration column, each interval runs until the next reading
+  readings.sort((a, b) => a.start - b.start);
+  readings.forEach((reading, index) => {
+    if (reading.duration > 0) return;
+    const next = readings[index + 1];
+    const previous = readings[index - 1];
+    const gap = next ? next.start - reading.start : previous ? reading.start - previous.start : 3600 * 1000;
+    reading.duration = Math.max(1, Math.round(gap / 1000));
+  });
+
+  return { readings, errors };
+};
+
+// Day key (YYYY-MM-DD) of a timestamp in the meter's local time
+export const toLocalDayKey = (date, utcOffsetMinutes = 0) => {
+  return new Date(date.getTime() + utcOffsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+};
+
+// UTC instant at which a local day starts
+export const localDayStart = (dayKey, utcOffsetMinutes = 0) => {
+  return new Date(new Date(`${dayKey}T00:00:00Z`).getTime() - utcOffsetMinutes * 60 * 1000);
+};
@@ -0,0 +1,58 @@
+// Safety limit so a daily series started years ago cannot flood one request
+export const MAX_OCCURRENCES_PER_RUN = 366;
+
+// Day key (YYYY-MM-DD, UTC) used to match occurrences against skipped dates
+export const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Get the nth occurrence of a recurring pattern counted from its start date.
+ * Months and years are clamped to the last day of shorter months, so a
+ * series starting on Jan 31 continues on Feb 28/29, Mar 31, ...
+ */
+export const getNthOccurrence = (start, { frequency, interval = 1 }, n) => {
+  const date = new Date(start);
+  const step = n * (interval || 1);
+
+  switch (frequency) {
+    case 'daily':
+      date.setUTCDate(date.getUTCDate() + step);
+      return date;
+    case 'weekly':
+      date.setUTCDate(date.getUTCDate() + step * 7);
+      return date;
+    case 'monthly':
+    case 'yearly': {
+      const months = frequency === 'monthly' ? step : step * 12;
+      const day = date.getUTCDate();
+      const target = date.getUTCMonth() + months;
+      const year = date.getUTCFullYear() + Math.floor(target / 12);
+      const month = ((target % 12) + 12) % 12;
+      date.setUTCDate(1);
+      date.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+      return date;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * List the occurrence dates of a series that fall after `after` and on or
+ * before `until` (and the pattern's endDate). The start date itself is the
+ * series' own activity and is never returned.
+ */
+export const getOccurrenceDates = (start, pattern, { after, until }) => {
+  const dates = [];
+  const limit = pattern.endDate && new Date(pattern.endDate) < until ? new Date(pattern.endDate) : until;
+  const from = after ? new Date(after) : new Date(start);
+
+  for (let n = 1; dates.length < MAX_OCCURRENCES_PER_RUN; n++) {
+    const date = getNthOccurrence(start, pattern, n);
+    if (!date || date > limit) break;
+    if (date > from) dates.push(date);
+  }
+
+  return dates;
+};
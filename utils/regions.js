@@ -0,0 +1,90 @@
+// Country name and code aliases mapped to ISO 3166-1 alpha-2 codes
+const COUNTRY_ALIASES = {
+  argentina: 'AR',
+  australia: 'AU',
+  austria: 'AT',
+  belgium: 'BE',
+  brazil: 'BR',
+  brasil: 'BR',
+  canada: 'CA',
+  switzerland: 'CH',
+  chile: 'CL',
+  china: 'CN',
+  germany: 'DE',
+  deutschland: 'DE',
+  denmark: 'DK',
+  egypt: 'EG',
+  spain: 'ES',
+  espana: 'ES',
+  finland: 'FI',
+  france: 'FR',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  'northern ireland': 'GB',
+  indonesia: 'ID',
+  ireland: 'IE',
+  india: 'IN',
+  italy: 'IT',
+  italia: 'IT',
+  japan: 'JP',
+  kenya: 'KE',
+  'south korea': 'KR',
+  korea: 'KR',
+  mexico: 'MX',
+  nigeria: 'NG',
+  netherlands: 'NL',
+  'the netherlands': 'NL',
+  holland: 'NL',
+  norway: 'NO',
+  'new zealand': 'NZ',
+  pakistan: 'PK',
+  poland: 'PL',
+  portugal: 'PT',
+  russia: 'RU',
+  'saudi arabia': 'SA',
+  sweden: 'SE',
+  singapore: 'SG',
+  turkey: 'TR',
+  turkiye: 'TR',
+  'united arab emirates': 'AE',
+  uae: 'AE',
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  america: 'US',
+  'south africa': 'ZA'
+};
+
+/**
+ * Normalize a free-text country or location string to an ISO country code.
+ * Accepts codes ("de"), names ("Germany") and "City, Country" strings.
+ * Returns null when the country cannot be recognised.
+ */
+export const toCountryCode = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const candidates = [value, value.split(',').pop()]
+    .map(candidate => candidate.trim().toLowerCase().replace(/\./g, ''));
+
+  for (const candidate of candidates) {
+    if (COUNTRY_ALIASES[candidate]) return COUNTRY_ALIASES[candidate];
+    if (/^[a-z]{2}$/.test(candidate)) return candidate.toUpperCase();
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the emission factor region for an activity: the activity's own
+ * country first, then the user's profile location, otherwise GLOBAL.
+ */
+export const resolveRegion = (activity, user) => {
+  return toCountryCode(activity?.location?.country)
+    || toCountryCode(user?.profile?.location)
+    || 'GLOBAL';
+};
@@ -0,0 +1,93 @@
+// Fields whose changes are kept as revisions, per resource type
+export const TRACKED_FIELDS = {
+  activity: [
+    'category',
+    'subcategory',
+    'title',
+    'description',
+    'date',
+    'carbonFootprint',
+    'allocation',
+    'baseline',
+    'data',
+    'location',
+    'tags',
+    'isRecurring',
+    'recurringPattern',
+    'status',
+    'notes'
+  ],
+  goal: [
+    'title',
+    'description',
+    'category',
+    'target',
+    'current',
+    'startDate',
+    'endDate',
+    'status',
+    'priority',
+    'difficulty',
+    'milestones',
+    'tags',
+    'isPublic',
+    'reminders',
+    'notes'
+  ]
+};
+
+// Server-managed bookkeeping that reverting must not roll back
+const IGNORED_PATHS = [
+  'recurringPattern.skipDates',
+  'recurringPattern.generatedThrough',
+  'current.lastUpdated',
+  'reminders.lastReminder'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects into { 'a.b': value }; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_PATHS.includes(path)) return;
+
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  });
+  return result;
+};
+
+/**
+ * Plain JSON copy of the tracked fields of a document, taken before a change
+ * so it can be compared with the document afterwards.
+ */
+export const takeSnapshot = (doc, resourceType) => {
+  const object = doc.toObject({ depopulate: true });
+  const snapshot = {};
+  TRACKED_FIELDS[resourceType].forEach(field => {
+    if (object[field] !== undefined) snapshot[field] = object[field];
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Changed leaf paths between two snapshots as [{ path, oldValue, newValue }],
+ * with missing values reported as null.
+ */
+export const diffSnapshots = (before, after) => {
+  const oldValues = flatten(before);
+  const newValues = flatten(after);
+  const paths = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(oldValues[path] ?? null) !== JSON.stringify(newValues[path] ?? null))
+    .map(path => ({
+      path,
+      oldValue: oldValues[path] ?? null,
+      newValue: newValues[path] ?? null
+    }));
+};
@@ -0,0 +1,85 @@
+const SNIPPET_LENGTH = 160;
+
+// Words of at least two characters, lowercased, without duplicates
+export const tokenize = (query) => {
+  return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])];
+};
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Case-insensitive regex filter matching documents where any term appears in
+ * any of the fields, like a $text search does. Used when text indexes are
+ * unavailable.
+ */
+export const buildRegexFilter = (terms, fields) => ({
+  $or: fields.flatMap(field => terms.map(term => ({
+    [field]: { $regex: escapeRegex(term), $options: 'i' }
+  })))
+});
+
+/**
+ * Score a document the way a weighted text index would: each term counts
+ * once per field it appears in, times the field weight.
+ */
+export const scoreDocument = (doc, terms, weights) => {
+  return Object.entries(weights).reduce((score, [field, weight]) => {
+    const value = doc[field];
+    const text = (Array.isArray(value) ? value.join(' ') : String(value ?? '')).toLowerCase();
+    return score + terms.filter(term => text.includes(term)).length * weight;
+  }, 0);
+};
+
+/**
+ * Relevance of each hit between 0 and 1, relative to the best hit from the
+ * same search. Text scores and regex scores are on unrelated scales, so
+ * results from different resources are merged by relevance instead.
+ */
+export const normalizeScores = (hits) => {
+  const best = Math.max(0, ...hits.map(hit => hit.score));
+  return hits.map(hit => ({
+    ...hit,
+    relevance: best > 0 ? Math.round((hit.score / best) * 10000) / 10000 : 0
+  }));
+};
+
+/**
+ * HTML-escaped snippet of text around the first matching term with every
+ * match wrapped in <mark>. Returns null when no term matches.
+ */
+export const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const value = Array.isArray(text) ? text.join(', ') : String(text);
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+  const first = value.search(pattern);
+  if (first === -1) return null;
+
+  // Centre the snippet on the first match
+  const start = Math.max(0, Math.min(first - SNIPPET_LENGTH / 4, value.length - SNIPPET_LENGTH));
+  const end = Math.min(value.length, start + SNIPPET_LENGTH);
+  const snippet = value.slice(start, end);
+
+  const marked = snippet
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < value.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for each searched field that matches
+export const highlightFields = (doc, terms, fields) => {
+  const highlights = {};
+  fields.forEach(field => {
+    const snippet = highlight(doc[field], terms);
+    if (snippet) highlights[field] = snippet;
+  });
+  return highlights;
+};
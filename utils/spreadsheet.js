@@ -0,0 +1,193 @@
+import { parse } from 'csv-parse/sync';
+import path from 'path';
+import XLSX from 'xlsx';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Activity fields that can be imported, with the type each column is coerced to
+export const IMPORTABLE_FIELDS = {
+  category: 'string',
+  subcategory: 'string',
+  title: 'string',
+  description: 'string',
+  date: 'date',
+  notes: 'string',
+  tags: 'list',
+  'carbonFootprint.value': 'number',
+  'carbonFootprint.unit': 'string',
+  'carbonFootprint.calculationMethod': 'string',
+  'data.distance': 'number',
+  'data.vehicleType': 'string',
+  'data.fuelType': 'string',
+  'data.passengers': 'number',
+  'data.energyType': 'string',
+  'data.consumption': 'number',
+  'data.consumptionUnit': 'string',
+  'data.foodType': 'string',
+  'data.quantity': 'number',
+  'data.quantityUnit': 'string',
+  'data.wasteType': 'string',
+  'data.weight': 'number',
+  'data.disposalMethod': 'string',
+  'data.waterUsage': 'number',
+  'data.waterUnit': 'string',
+  'data.itemType': 'string',
+  'data.price': 'number',
+  'data.currency': 'string',
+  'data.destination': 'string',
+  'data.travelMode': 'string',
+  'data.duration': 'number',
+  'location.address': 'string',
+  'location.city': 'string',
+  'location.country': 'string'
+};
+
+// Common spreadsheet headings that do not match a field name
+const HEADER_ALIASES = {
+  co2: 'carbonFootprint.value',
+  co2kg: 'carbonFootprint.value',
+  emissions: 'carbonFootprint.value',
+  footprint: 'carbonFootprint.value',
+  carbonfootprint: 'carbonFootprint.value',
+  unit: 'carbonFootprint.unit',
+  method: 'carbonFootprint.calculationMethod',
+  type: 'subcategory',
+  name: 'title',
+  city: 'location.city',
+  country: 'location.country',
+  address: 'location.address'
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+  return null;
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file (first worksheet) into rows keyed by
+ * column header. Returns { headers, rows }.
+ */
+export const parseSpreadsheet = (buffer, format) => {
+  if (format === 'xlsx') {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const [headers = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+    return { headers: headers.map(String), rows };
+  }
+
+  let headers = [];
+  const rows = parse(buffer, {
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    columns: (header) => {
+      headers = header;
+      return header;
+    }
+  });
+  return { headers, rows };
+};
+
+/**
+ * Map column headers to Activity fields. Headers are matched against field
+ * paths and names ("data.distance", "Distance") and common aliases; a custom
+ * mapping of { header: fieldPath } takes precedence.
+ */
+export const buildColumnMapping = (headers, customMapping = {}) => {
+  const mapping = {};
+
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    const field = Object.keys(IMPORTABLE_FIELDS).find(candidate => {
+      return normalizeHeader(candidate) === key || normalizeHeader(candidate.split('.').pop()) === key;
+    });
+
+    if (field) {
+      mapping[header] = field;
+    } else if (HEADER_ALIASES[key]) {
+      mapping[header] = HEADER_ALIASES[key];
+    }
+  });
+
+  Object.entries(customMapping).forEach(([header, field]) => {
+    if (field === null || field === '') {
+      delete mapping[header];
+    } else {
+      mapping[header] = field;
+    }
+  });
+
+  return mapping;
+};
+
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+const mergeDeep = (target, source) => {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      target[key] = mergeDeep(target[key] || {}, value);
+    } else if (target[key] === undefined) {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+/**
+ * Turn a parsed row into activity input using the column mapping. Values
+ * from `defaults` fill in fields the row leaves empty.
+ * Returns { input, errors } where errors lists columns that failed to coerce.
+ */
+export const mapRow = (row, mapping, defaults = {}) => {
+  const input = {};
+  const errors = [];
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    const raw = row[header];
+    if (raw === undefined || raw === null || raw === '') return;
+
+    switch (IMPORTABLE_FIELDS[field]) {
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/,/g, ''));
+        if (Number.isNaN(value)) {
+          errors.push(`Column "${header}" must be a number`);
+        } else {
+          setPath(input, field, value);
+        }
+        break;
+      }
+      case 'date':
+        setPath(input, field, raw instanceof Date ? raw.toISOString() : String(raw));
+        break;
+      case 'list':
+        setPath(input, field, String(raw).split(/[;,|]/).map(tag => tag.trim()).filter(Boolean));
+        break;
+      case 'string':
+        setPath(input, field, String(raw));
+        break;
+      default:
+        errors.push(`Column "${header}" is mapped to unknown field "${field}"`);
+    }
+  });
+
+  return { input: mergeDeep(input, defaults), errors };
+};
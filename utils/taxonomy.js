@@ -0,0 +1,255 @@
+import ActivityCategory from '../models/ActivityCategory.js';
+import { ENERGY_FACTORS, FOOD_FACTORS, SPEND_FACTORS, TRANSPORT_FACTORS, WASTE_FACTORS } from './emissionFactors.js';
+
+export const FIELD_TYPES = ['number', 'string', 'boolean', 'object', 'array'];
+
+// Seconds the taxonomy is kept in memory and clients may cache it for
+export const getTaxonomyCacheSeconds = () => parseInt(process.env.TAXONOMY_CACHE_SECONDS) || 300;
+
+// "olive oil" -> "Olive Oil", "vehicleType" -> "Vehicle type"
+const toLabel = (name) => name.replace(/\b\w/g, letter => letter.toUpperCase());
+const fieldLabel = (name) => {
+  const words = name.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const field = (name, type, options = {}) => ({ name, label: fieldLabel(name), type, ...options });
+
+const subcategories = (names) => names.map(name => ({ name, label: toLabel(name) }));
+
+const tableKeys = (table) => Object.keys(table).filter(key => key !== 'default');
+
+/**
+ * The built-in taxonomy: every category with the subcategories the emission
+ * factor tables know, and the data fields the calculator reads. Used for
+ * categories admins have not stored.
+ */
+export const getDefaultTaxonomy = () => [
+  {
+    name: 'transportation',
+    label: 'Transportation',
+    icon: 'car',
+    defaultUnit: 'km',
+    order: 1,
+    fields: [
+      field('distance', 'number', { unit: 'km', required: true, alternatives: ['flight'] }),
+      field('vehicleType', 'string'),
+      field('fuelType', 'string'),
+      field('passengers', 'number'),
+      field('flight', 'object')
+    ],
+    subcategories: subcategories(tableKeys(TRANSPORT_FACTORS))
+  },
+  {
+    name: 'energy',
+    label: 'Energy',
+    icon: 'bolt',
+    defaultUnit: 'kWh',
+    order: 2,
+    fields: [
+      field('consumption', 'number', { required: true }),
+      field('consumptionUnit', 'string'),
+      field('energyType', 'string'),
+      field('temperature', 'number', { unit: '°C' })
+    ],
+    subcategories: subcategories(tableKeys(ENERGY_FACTORS))
+  },
+  {
+    name: 'food',
+    label: 'Food',
+    icon: 'utensils',
+    defaultUnit: 'kg',
+    order: 3,
+    fields: [
+      field('quantity', 'number', { unit: 'kg', required: true, alternatives: ['ingredients'] }),
+      field('quantityUnit', 'string'),
+      field('foodType', 'string'),
+      field('ingredients', 'array')
+    ],
+    subcategories: subcategories([...tableKeys(FOOD_FACTORS), 'meal'])
+  },
+  {
+    name: 'waste',
+    label: 'Waste',
+    icon: 'trash',
+    defaultUnit: 'kg',
+    order: 4,
+    fields: [
+      field('weight', 'number', { unit: 'kg', required: true }),
+      field('wasteType', 'string'),
+      field('disposalMethod', 'string')
+    ],
+    subcategories: subcategories(tableKeys(WASTE_FACTORS))
+  },
+  {
+    name: 'water',
+    label: 'Water',
+    icon: 'droplet',
+    defaultUnit: 'L',
+    order: 5,
+    fields: [
+      field('waterUsage', 'number', { unit: 'L', required: true }),
+      field('waterUnit', 'string')
+    ],
+    subcategories: subcategories(['drinking', 'showering', 'laundry', 'dishwashing', 'irrigation'])
+  },
+  {
+    name: 'shopping',
+    label: 'Shopping',
+    icon: 'shopping-bag',
+    defaultUnit: 'USD',
+    order: 6,
+    fields: [
+      field('price', 'number', { required: true }),
+      field('currency', 'string'),
+      field('itemType', 'string')
+    ],
+    subcategories: subcategories(tableKeys(SPEND_FACTORS))
+  },
+  {
+    name: 'travel',
+    label: 'Travel',
+    icon: 'plane',
+    defaultUnit: 'km',
+    order: 7,
+    fields: [
+      field('distance', 'number', { unit: 'km', required: true, alternatives: ['flight'] }),
+      field('travelMode', 'string', { required: true, alternatives: ['vehicleType', 'flight'] }),
+      field('destination', 'string'),
+      field('duration', 'number'),
+      field('passengers', 'number'),
+      field('flight', 'object')
+    ],
+    subcategories: subcategories(['vacation', 'business', 'local', 'international'])
+  },
+  {
+    name: 'other',
+    label: 'Other',
+    icon: 'circle',
+    order: 8,
+    fields: [],
+    subcategories: subcategories(['entertainment', 'services', 'custom'])
+  }
+];
+
+let cache = null;
+
+// Forget the cached taxonomy, after admins change it
+export const clearTaxonomyCache = () => {
+  cache = null;
+};
+
+/**
+ * Every category, stored or built-in, in response format and in display
+ * order, including inactive ones. Kept in memory for
+ * TAXONOMY_CACHE_SECONDS.
+ */
+export const getTaxonomy = async () => {
+  if (cache && Date.now() - cache.loadedAt < getTaxonomyCacheSeconds() * 1000) {
+    return cache.categories;
+  }
+
+  const stored = await ActivityCategory.find();
+  const storedByName = new Map(stored.map(category => [category.name, category]));
+
+  const defaults = getDefaultTaxonomy();
+  const builtIn = new Set(defaults.map(category => category.name));
+
+  // Built-in categories, as stored if admins curated them, then the ones admins added
+  const categories = [
+    ...defaults.map(category => storedByName.get(category.name) || new ActivityCategory(category)),
+    ...stored.filter(category => !builtIn.has(category.name))
+  ]
+    .map(category => category.toResponseFormat())
+    .sort((a, b) => a.order - b.order);
+
+  cache = { categories, loadedAt: Date.now() };
+  return categories;
+};
+
+// express-validator check that a category is in the taxonomy. Whether it can
+// still be picked is checked with the rest of the taxonomy when saving.
+export const isTaxonomyCategory = async (value) => {
+  const taxonomy = await getTaxonomy();
+  if (!taxonomy.some(category => category.name === value)) {
+    throw new Error('Invalid category');
+  }
+  return true;
+};
+
+// Only the active categories and subcategories, for clients picking one
+export const activeTaxonomy = (categories) => categories
+  .filter(category => category.isActive)
+  .map(category => ({
+    ...category,
+    subcategories: category.subcategories.filter(subcategory => subcategory.isActive)
+  }));
+
+// The data fields of a subcategory: the category's, with the subcategory's
+// own added or replacing them by name
+export const getDataFields = (category, subcategory) => {
+  const fields = new Map(category.fields.map(dataField => [dataField.name, dataField]));
+  (subcategory?.fields || []).forEach(dataField => fields.set(dataField.name, dataField));
+  return [...fields.values()];
+};
+
+const hasValue = (value) => {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value.toObject?.() ?? value).length > 0;
+  }
+  return true;
+};
+
+/**
+ * Check an activity's category and subcategory against the taxonomy, and
+ * that its data has the required fields unless it is a manual entry.
+ * Subcategories match ignoring case. With checkSubcategory false, only the
+ * fields are checked, so an activity that keeps a retired subcategory can
+ * still be edited. Returns { subcategory } with the subcategory's stored
+ * name, or { error }.
+ */
+export const validateActivityTaxonomy = async (activity, { checkSubcategory = true } = {}) => {
+  const taxonomy = await getTaxonomy();
+  const category = taxonomy.find(candidate => candidate.name === activity.category);
+  const key = String(activity.subcategory ?? '').trim().toLowerCase();
+  const subcategory = category?.subcategories.find(candidate => candidate.name === key);
+
+  if (checkSubcategory) {
+    if (!category || !category.isActive) {
+      return { error: { error: 'Invalid category', message: `${activity.category} is not an available category` } };
+    }
+
+    if (!subcategory || !subcategory.isActive) {
+      const available = category.subcategories.filter(candidate => candidate.isActive).map(candidate => candidate.name);
+      return {
+        error: {
+          error: 'Invalid subcategory',
+          message: `${activity.subcategory} is not a ${category.name} subcategory. Use one of ${available.join(', ')}`
+        }
+      };
+    }
+  }
+
+  if (category && activity.carbonFootprint?.calculationMethod !== 'manual') {
+    const data = activity.data || {};
+    const missing = getDataFields(category, subcategory)
+      .filter(dataField => dataField.required)
+      .filter(dataField => ![dataField.name, ...(dataField.alternatives || [])].some(name => hasValue(data[name])));
+
+    if (missing.length > 0) {
+      const described = missing.map(dataField => [dataField.name, ...(dataField.alternatives || [])]
+        .map(name => `data.${name}`)
+        .join(' or '));
+      return {
+        error: {
+          error: 'Missing activity data',
+          message: `${category.label} activities need ${described.join(', ')}, or carbonFootprint.value with calculationMethod "manual"`
+        }
+      };
+    }
+  }
+
+  return { subcategory: subcategory ? subcategory.name : activity.subcategory };
+};
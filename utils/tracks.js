@@ -0,0 +1,226 @@
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { haversineKm, isValidCoordinate } from './geo.js';
+
+export const TRACK_FORMATS = ['gpx', 'tcx', 'geojson'];
+
+// Modes a trip can be recorded as; inference only picks from the first four
+export const TRIP_MODES = ['walk', 'bike', 'car', 'train', 'bus', 'tram', 'subway', 'motorcycle', 'scooter', 'taxi', 'ferry'];
+
+// TCX Sport attribute values mapped to trip modes
+const TCX_SPORTS = {
+  biking: 'bike',
+  running: 'walk',
+  walking: 'walk',
+  hiking: 'walk'
+};
+
+// Speed bands (km/h) used to infer the mode of a trip
+const WALK_MAX_SPEED = 7;
+const BIKE_MAX_SPEED = 25;
+// Sustained top speeds above this are very unlikely by road
+const TRAIN_MIN_TOP_SPEED = 160;
+
+// Ignore jumps between points faster than this, they are GPS noise
+const MAX_SEGMENT_SPEED = 400;
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value > 1e12 ? value : value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toPoint = (lng, lat, time) => ({
+  coordinates: [Number(lng), Number(lat)],
+  time: toDate(time)
+});
+
+/**
+ * Detect the track format of an uploaded file from its extension, falling
+ * back to sniffing the content.
+ */
+export const detectTrackFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase().replace('.', '');
+  if (extension === 'json') return 'geojson';
+  if (TRACK_FORMATS.includes(extension)) return extension;
+
+  const head = file.buffer.subarray(0, 1024).toString();
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+  if (/^\s*\{/.test(head)) return 'geojson';
+  return null;
+};
+
+const xmlParser = () => new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseAttributeValue: false
+});
+
+const parseGpx = (text) => {
+  const gpx = xmlParser().parse(text).gpx;
+  if (!gpx) throw new Error('Not a GPX document');
+
+  const tracks = toArray(gpx.trk).map(track => ({
+    name: track.name,
+    points: toArray(track.trkseg)
+      .flatMap(segment => toArray(segment?.trkpt))
+      .map(point => toPoint(point['@_lon'], point['@_lat'], point.time))
+  }));
+
+  const routes = toArray(gpx.rte).map(route => ({
+    name: route.name,
+    points: toArray(route.rtept).map(point => toPoint(point['@_lon'], point['@_lat'], point.time))
+  }));
+
+  return [...tracks, ...routes];
+};
+
+const parseTcx = (text) => {
+  const database = xmlParser().parse(text).TrainingCenterDatabase;
+  if (!database) throw new Error('Not a TCX document');
+
+  const activities = toArray(database.Activities?.Activity).map(activity => ({
+    name: activity.Notes || activity.Id,
+    sport: activity['@_Sport'],
+    points: toArray(activity.Lap)
+      .flatMap(lap => toArray(lap.Track))
+      .flatMap(track => toArray(track?.Trackpoint))
+      .filter(point => point.Position)
+      .map(point => toPoint(point.Position.LongitudeDegrees, point.Position.LatitudeDegrees, point.Time))
+  }));
+
+  const courses = toArray(database.Courses?.Course).map(course => ({
+    name: course.Name,
+    points: toArray(course.Track)
+      .flatMap(track => toArray(track?.Trackpoint))
+      .filter(point => point.Position)
+      .map(point => toPoint(point.Position.LongitudeDegrees, point.Position.LatitudeDegrees, point.Time))
+  }));
+
+  return [...activities, ...courses];
+};
+
+// Times can come from a coordinate's fourth value, or from coordTimes /
+// coordinateProperties.times as written by common GPX-to-GeoJSON converters
+const parseGeoJsonFeature = (feature) => {
+  const geometry = feature.geometry || feature;
+  const properties = feature.properties || {};
+  const lines = geometry.type === 'LineString'
+    ? [geometry.coordinates]
+    : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+  const times = properties.coordTimes || properties.coordinateProperties?.times;
+  const lineTimes = lines.length > 1 && Array.isArray(times?.[0]) ? times : [times];
+
+  return {
+    name: properties.name || properties.title,
+    sport: properties.mode || properties.activityType || properties.type,
+    points: lines.flatMap((line, lineIndex) => toArray(line).map((coordinate, index) => toPoint(
+      coordinate[0],
+      coordinate[1],
+      coordinate[3] ?? lineTimes[lineIndex]?.[index]
+    )))
+  };
+};
+
+const parseGeoJson = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid GeoJSON document');
+  }
+
+  const features = document.type === 'FeatureCollection' ? toArray(document.features) : [document];
+  return features
+    .filter(feature => ['LineString', 'MultiLineString'].includes((feature.geometry || feature)?.type))
+    .map(parseGeoJsonFeature);
+};
+
+const PARSERS = {
+  gpx: parseGpx,
+  tcx: parseTcx,
+  geojson: parseGeoJson
+};
+
+/**
+ * Summarize a track: distance in km, duration in minutes when the points are
+ * timed, average and top speed in km/h, and its start and end.
+ */
+export const summarizeTrack = (points) => {
+  let distance = 0;
+  const speeds = [];
+
+  for (let index = 1; index < points.length; index++) {
+    const previous = points[index - 1];
+    const current = points[index];
+    const segment = haversineKm(previous.coordinates, current.coordinates);
+
+    if (previous.time && current.time && current.time > previous.time) {
+      const speed = segment / ((current.time - previous.time) / 3600000);
+      if (speed > MAX_SEGMENT_SPEED) continue;
+      speeds.push(speed);
+    }
+    distance += segment;
+  }
+
+  const timed = points.filter(point => point.time);
+  const startTime = timed.length > 0 ? timed[0].time : null;
+  const endTime = timed.length > 0 ? timed[timed.length - 1].time : null;
+  const duration = startTime && endTime && endTime > startTime ? (endTime - startTime) / 60000 : null;
+
+  // Use the 95th percentile rather than the maximum to ride out GPS spikes
+  speeds.sort((a, b) => a - b);
+  const topSpeed = speeds.length > 0 ? speeds[Math.floor((speeds.length - 1) * 0.95)] : null;
+
+  return {
+    distance,
+    duration,
+    averageSpeed: duration ? distance / (duration / 60) : null,
+    topSpeed,
+    startTime,
+    endTime,
+    start: points[0].coordinates,
+    end: points[points.length - 1].coordinates
+  };
+};
+
+/**
+ * Infer the mode of a trip from the sport the file declares, or else from
+ * its speed. Returns null when the track carries no timing to go on.
+ */
+export const inferTripMode = (summary, sport) => {
+  const declared = TCX_SPORTS[String(sport || '').toLowerCase()]
+    || (TRIP_MODES.includes(String(sport || '').toLowerCase()) ? String(sport).toLowerCase() : null);
+  if (declared) return declared;
+
+  if (!summary.averageSpeed) return null;
+  if (summary.averageSpeed < WALK_MAX_SPEED) return 'walk';
+  if (summary.averageSpeed < BIKE_MAX_SPEED) return 'bike';
+  if (summary.topSpeed >= TRAIN_MIN_TOP_SPEED) return 'train';
+  return 'car';
+};
+
+/**
+ * Parse a GPX, TCX or GeoJSON file into trips. Each track, route or line
+ * feature becomes one trip: { name, sport, points, summary }. Tracks with
+ * fewer than two valid points are left out.
+ */
+export const parseTracks = (buffer, format) => {
+  const parse = PARSERS[format];
+  if (!parse) throw new Error(`Unsupported track format ${format}`);
+
+  return parse(buffer.toString())
+    .map(track => ({
+      ...track,
+      points: track.points.filter(point => isValidCoordinate(point.coordinates))
+    }))
+    .filter(track => track.points.length >= 2)
+    .map(track => ({ ...track, summary: summarizeTrack(track.points) }));
+};
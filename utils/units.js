@@ -0,0 +1,420 @@
+import { ENERGY_UNIT_TO_KWH, MASS_UNIT_TO_KG, WATER_UNIT_TO_LITRES } from './emissionFactors.js';
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const KG_PER_LB = 0.45359237;
+const KM_PER_MILE = 1.609344;
+const LITRES_PER_GALLON = 3.785411784;
+
+// Units each kind of quantity is shown in. Values are always stored metric.
+export const DISPLAY_UNITS = {
+  metric: { emissions: 'kg', mass: 'kg', distance: 'km', volume: 'litres', temperature: '°C' },
+  imperial: { emissions: 'lb', mass: 'lb', distance: 'mi', volume: 'gallons', temperature: '°F' }
+};
+
+export const DISTANCE_UNIT_TO_KM = {
+  km: 1,
+  kilometre: 1,
+  kilometres: 1,
+  kilometer: 1,
+  kilometers: 1,
+  m: 0.001,
+  mi: KM_PER_MILE,
+  mile: KM_PER_MILE,
+  miles: KM_PER_MILE
+};
+
+export const TEMPERATURE_UNITS = ['c', '°c', 'celsius', 'f', '°f', 'fahrenheit'];
+
+// Input units that only exist in the imperial system
+const IMPERIAL_MASS_UNITS = ['oz', 'ounce', 'ounces', 'lb', 'lbs', 'pound', 'pounds'];
+const IMPERIAL_VOLUME_UNITS = ['gal', 'gallon', 'gallons', 'ft3', 'cubic feet'];
+const IMPERIAL_ENERGY_UNITS = ['ft3', 'cubic feet', 'ccf'];
+
+// Goal target units and the imperial unit each is shown in
+const GOAL_DISPLAY_UNITS = {
+  kg: { unit: 'lb', factor: 1 / KG_PER_LB },
+  tons: { unit: 'short tons', factor: 1000 / 907.18474 },
+  liters: { unit: 'gallons', factor: 1 / LITRES_PER_GALLON }
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const unitKey = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : undefined);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A number from a JSON number or numeric string, otherwise undefined
+const toNumber = (value) => {
+  if (isNumber(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return undefined;
+};
+
+/**
+ * The unit system for a request: the `units` query parameter when it is a
+ * valid override, otherwise the user's preference.
+ */
+export const getUnitSystem = (req) => {
+  if (UNIT_SYSTEMS.includes(req.query?.units)) return req.query.units;
+  return req.user?.preferences?.units === 'imperial' ? 'imperial' : 'metric';
+};
+
+// ---- Input: convert to the stored metric units ----
+
+// Convert obj[valueKey] with its unit in obj[unitKey] (or the default) to the
+// stored unit and drop the unit. Unknown units are left for validation.
+const normalizeField = (obj, valueKey, unitField, table, defaultUnit) => {
+  const value = toNumber(obj[valueKey]);
+  if (value === undefined) return;
+  const factor = table[unitKey(obj[unitField]) || defaultUnit];
+  if (factor === undefined) return;
+  obj[valueKey] = round(value * factor);
+  delete obj[unitField];
+};
+
+const normalizeTemperature = (obj, system) => {
+  const value = toNumber(obj.temperature);
+  if (value === undefined) return;
+  const unit = unitKey(obj.temperatureUnit) || (system === 'imperial' ? 'f' : 'c');
+  if (!TEMPERATURE_UNITS.includes(unit)) return;
+  obj.temperature = unit.endsWith('f') || unit === 'fahrenheit' ? round((value - 32) * 5 / 9) : value;
+  delete obj.temperatureUnit;
+};
+
+// Food masses given in imperial units, or with no unit by an imperial user, are stored in kg
+const normalizeFoodQuantity = (item, system) => {
+  const value = toNumber(item.quantity);
+  const unit = unitKey(item.quantityUnit) || (system === 'imperial' ? 'lb' : undefined);
+  if (value === undefined || !IMPERIAL_MASS_UNITS.includes(unit)) return;
+  item.quantity = round(value * MASS_UNIT_TO_KG[unit]);
+  item.quantityUnit = 'kg';
+};
+
+/**
+ * Convert an activity's input to the metric units it is stored in. Numbers
+ * with an explicit unit (data.distanceUnit, data.weightUnit,
+ * data.temperatureUnit, data.waterUnit, data.consumptionUnit,
+ * data.quantityUnit, carbonFootprint.unit) are converted from that unit;
+ * numbers without one are read in the request's unit system.
+ */
+export const normalizeActivityUnits = (input, system) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+  const imperial = system === 'imperial';
+  const result = { ...input };
+
+  if (input.data && typeof input.data === 'object') {
+    const data = { ...input.data };
+    normalizeField(data, 'distance', 'distanceUnit', DISTANCE_UNIT_TO_KM, imperial ? 'mi' : 'km');
+    normalizeField(data, 'weight', 'weightUnit', MASS_UNIT_TO_KG, imperial ? 'lb' : 'kg');
+    normalizeTemperature(data, system);
+
+    const waterUsage = toNumber(data.waterUsage);
+    const waterUnit = unitKey(data.waterUnit) || (imperial ? 'gallons' : undefined);
+    if (waterUsage !== undefined && IMPERIAL_VOLUME_UNITS.includes(waterUnit)) {
+      data.waterUsage = round(waterUsage * WATER_UNIT_TO_LITRES[waterUnit]);
+      data.waterUnit = 'litres';
+    }
+
+    const consumption = toNumber(data.consumption);
+    const energyUnit = unitKey(data.consumptionUnit);
+    if (consumption !== undefined && IMPERIAL_ENERGY_UNITS.includes(energyUnit)) {
+      data.consumption = round(consumption * ENERGY_UNIT_TO_KWH[energyUnit]);
+      data.consumptionUnit = 'kWh';
+    }
+
+    normalizeFoodQuantity(data, system);
+    if (Array.isArray(data.ingredients)) {
+      data.ingredients = data.ingredients.map(ingredient => {
+        if (!ingredient || typeof ingredient !== 'object') return ingredient;
+        const copy = { ...ingredient };
+        normalizeFoodQuantity(copy, system);
+        return copy;
+      });
+    }
+
+    result.data = data;
+  }
+
+  const footprint = input.carbonFootprint;
+  const footprintValue = toNumber(footprint?.value);
+  if (footprintValue !== undefined && IMPERIAL_MASS_UNITS.includes(unitKey(footprint.unit))) {
+    result.carbonFootprint = {
+      ...footprint,
+      value: round(footprintValue * MASS_UNIT_TO_KG[unitKey(footprint.unit)]),
+      unit: 'kg'
+    };
+  }
+
+  return result;
+};
+
+// Convert a goal value shown in the request's unit system back to the stored unit
+export const toStoredGoalValue = (value, storedUnit, system) => {
+  const display = GOAL_DISPLAY_UNITS[storedUnit];
+  const number = toNumber(value);
+  if (system !== 'imperial' || !display || number === undefined) return value;
+  return round(number / display.factor);
+};
+
+/**
+ * Convert a goal's input to stored units. An imperial target unit (lb, short
+ * tons, gallons) is replaced by its metric unit. Values without a unit of
+ * their own are read in the goal's shown unit, so `storedUnit` is the unit of
+ * the goal being updated.
+ */
+export const normalizeGoalUnits = (input, system, storedUnit) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+  const result = { ...input };
+  let unit = storedUnit;
+
+  if (input.target && typeof input.target === 'object') {
+    const target = { ...input.target };
+    const requested = unitKey(target.unit);
+    const metric = Object.entries(GOAL_DISPLAY_UNITS)
+      .find(([, display]) => display.unit === requested || (display.unit === 'lb' && IMPERIAL_MASS_UNITS.includes(requested)));
+
+    if (metric) {
+      const [metricUnit, display] = metric;
+      target.unit = metricUnit;
+      if (toNumber(target.value) !== undefined) target.value = round(toNumber(target.value) / display.factor);
+      unit = metricUnit;
+    } else if (!requested) {
+      target.value = toStoredGoalValue(target.value, unit, system);
+    } else {
+      unit = requested;
+    }
+    result.target = target;
+  }
+
+  if (Array.isArray(input.milestones) && system === 'imperial') {
+    result.milestones = input.milestones.map(milestone => (milestone && typeof milestone === 'object'
+      ? {
+        ...milestone,
+        targetValue: toStoredGoalValue(milestone.targetValue, unit, system),
+        achievedValue: toStoredGoalValue(milestone.achievedValue, unit, system)
+      }
+      : milestone));
+  }
+
+  return result;
+};
+
+// Middleware converting the request body with one of the normalizers above
+export const normalizeUnits = (normalize) => (req, res, next) => {
+  req.body = normalize(req.body, getUnitSystem(req));
+  next();
+};
+
+// ---- Output: convert stored metric values to the unit system ----
+
+// kg CO2e in the unit system, with its label
+export const formatEmissions = (kg, system) => {
+  const value = isNumber(kg) ? kg : 0;
+  return system === 'imperial'
+    ? { value: round(value / KG_PER_LB), unit: DISPLAY_UNITS.imperial.emissions }
+    : { value: round(value), unit: DISPLAY_UNITS.metric.emissions };
+};
+
+const emissionsValue = (kg, system) => formatEmissions(kg, system).value;
+
+// Factor to show a stored quantity unit in the unit system, and the unit it is shown in
+const displayQuantityUnit = (unit, system) => {
+  if (system !== 'imperial') return { unit, factor: 1 };
+  if (unit === 'km') return { unit: 'mi', factor: 1 / KM_PER_MILE };
+  if (unit === 'kg') return { unit: 'lb', factor: 1 / KG_PER_LB };
+  if (unit === 'L') return { unit: 'gal', factor: 1 / LITRES_PER_GALLON };
+  return { unit, factor: 1 };
+};
+
+// A breakdown or baseline line: quantity, factor and emissions in the unit system
+const formatFactorLine = (line, system, emissionsKey = 'emissions') => {
+  if (!line) return line;
+  const { unit, factor: quantityFactor } = displayQuantityUnit(line.unit, system);
+  const emissionsUnit = DISPLAY_UNITS[system].emissions;
+  const massFactor = system === 'imperial' ? 1 / KG_PER_LB : 1;
+
+  const formatted = { ...line, emissionsUnit };
+  if (isNumber(line.quantity)) formatted.quantity = round(line.quantity * quantityFactor);
+  if (line.unit) formatted.unit = unit;
+  if (isNumber(line.factor)) {
+    formatted.factor = Math.round(line.factor * massFactor / quantityFactor * 1e6) / 1e6;
+    formatted.factorUnit = `${emissionsUnit} CO2e/${unit}`;
+  }
+  if (isNumber(line[emissionsKey])) formatted[emissionsKey] = emissionsValue(line[emissionsKey], system);
+  return formatted;
+};
+
+const formatDistance = (km, system) => (system === 'imperial' ? round(km / KM_PER_MILE) : km);
+
+const formatActivityData = (data, system) => {
+  const units = DISPLAY_UNITS[system];
+  const formatted = { ...data };
+  const imperial = system === 'imperial';
+
+  if (isNumber(data.distance)) {
+    formatted.distance = formatDistance(data.distance, system);
+    formatted.distanceUnit = units.distance;
+  }
+  if (isNumber(data.weight)) {
+    formatted.weight = imperial ? round(data.weight / KG_PER_LB) : data.weight;
+    formatted.weightUnit = units.mass;
+  }
+  if (isNumber(data.temperature)) {
+    formatted.temperature = imperial ? round(data.temperature * 9 / 5 + 32) : data.temperature;
+    formatted.temperatureUnit = units.temperature;
+  }
+  if (isNumber(data.waterUsage)) {
+    const litres = data.waterUsage * (WATER_UNIT_TO_LITRES[unitKey(data.waterUnit) || 'litres'] || 1);
+    formatted.waterUsage = imperial ? round(litres / LITRES_PER_GALLON) : data.waterUsage;
+    formatted.waterUnit = imperial ? units.volume : data.waterUnit || units.volume;
+  }
+  if (isNumber(data.consumption) && !data.consumptionUnit) {
+    formatted.consumptionUnit = 'kWh';
+  }
+  if (isNumber(data.duration)) {
+    formatted.durationUnit = 'min';
+  }
+
+  // Food masses are shown in lb; servings and meals are left as they are
+  const formatFood = (item) => {
+    const unit = unitKey(item.quantityUnit) || 'kg';
+    if (!isNumber(item.quantity) || MASS_UNIT_TO_KG[unit] === undefined) return item;
+    const kg = item.quantity * MASS_UNIT_TO_KG[unit];
+    return imperial
+      ? { ...item, quantity: round(kg / KG_PER_LB), quantityUnit: units.mass }
+      : { ...item, quantityUnit: item.quantityUnit || units.mass };
+  };
+  if (isNumber(data.quantity)) {
+    const { quantity, quantityUnit } = formatFood(data);
+    Object.assign(formatted, { quantity, quantityUnit });
+  }
+  if (Array.isArray(data.ingredients)) formatted.ingredients = data.ingredients.map(formatFood);
+
+  if (data.flight?.legs) {
+    formatted.flight = {
+      ...data.flight,
+      legs: data.flight.legs.map(leg => ({
+        ...leg,
+        greatCircleDistance: formatDistance(leg.greatCircleDistance, system),
+        distance: formatDistance(leg.distance, system),
+        distanceUnit: units.distance
+      }))
+    };
+  }
+
+  return formatted;
+};
+
+/**
+ * Convert an activity response to the unit system and label its numeric
+ * fields. Footprints are shown in kg or lb CO2e, distances in km or miles,
+ * masses in kg or lb, volumes in litres or gallons and temperatures in °C or
+ * °F.
+ */
+export const formatActivityUnits = (activity, system) => {
+  const formatted = JSON.parse(JSON.stringify(activity));
+
+  if (formatted.carbonFootprint) {
+    const { value, unit, gross } = formatted.carbonFootprint;
+    const toKg = (amount) => (unit === 'tons' ? amount * 1000 : amount);
+    formatted.carbonFootprint = {
+      ...formatted.carbonFootprint,
+      ...(system === 'imperial' ? formatEmissions(toKg(value), system) : {}),
+      ...(system === 'imperial' && isNumber(gross) ? { gross: emissionsValue(toKg(gross), system) } : {}),
+      breakdown: (formatted.carbonFootprint.breakdown || []).map(line => formatFactorLine(line, system))
+    };
+  }
+
+  if (formatted.baseline?.kind) {
+    formatted.baseline = {
+      ...formatFactorLine(formatted.baseline, system, 'value'),
+      avoided: emissionsValue(formatted.baseline.avoided, system)
+    };
+  }
+
+  if (formatted.data) {
+    formatted.data = formatActivityData(formatted.data, system);
+  }
+
+  formatted.units = system;
+  return formatted;
+};
+
+/**
+ * Convert a goal response to the unit system. Mass and volume targets are
+ * shown in lb, short tons or gallons for imperial; the current value and
+ * milestones use the target's unit.
+ */
+export const formatGoalUnits = (goal, system) => {
+  const formatted = JSON.parse(JSON.stringify(goal));
+  const storedUnit = formatted.target?.unit;
+  const display = system === 'imperial' ? GOAL_DISPLAY_UNITS[storedUnit] : undefined;
+  const convert = (value) => (display && isNumber(value) ? round(value * display.factor) : value);
+  const unit = display ? display.unit : storedUnit;
+
+  if (formatted.target) {
+    formatted.target = { ...formatted.target, value: convert(formatted.target.value), unit };
+  }
+  if (formatted.current) {
+    formatted.current = { ...formatted.current, value: convert(formatted.current.value), unit };
+  }
+  if (Array.isArray(formatted.milestones)) {
+    formatted.milestones = formatted.milestones.map(milestone => ({
+      ...milestone,
+      targetValue: convert(milestone.targetValue),
+      achievedValue: convert(milestone.achievedValue),
+      unit
+    }));
+  }
+
+  formatted.units = system;
+  return formatted;
+};
+
+/**
+ * Add the footprint totals from getUserTotalFootprint or
+ * getFootprintByCategory in the unit system, next to the kg and tons
+ * figures they came from.
+ */
+export const formatTotals = (totals, system) => {
+  if (!totals) return totals;
+  const formatted = {
+    ...totals,
+    total: emissionsValue(totals.totalKg, system),
+    unit: DISPLAY_UNITS[system].emissions
+  };
+  if (isNumber(totals.grossKg)) formatted.gross = emissionsValue(totals.grossKg, system);
+  if (isNumber(totals.avoidedKg)) formatted.avoided = emissionsValue(totals.avoidedKg, system);
+  return formatted;
+};
+
+// Fields of User#getStats and user.carbonFootprint that hold kg CO2e
+const USER_EMISSION_FIELDS = [
+  'totalFootprint',
+  'grossFootprint',
+  'offsets',
+  'netFootprint',
+  'baselineFootprint',
+  'targetFootprint',
+  'reduction',
+  'total',
+  'baseline',
+  'target'
+];
+
+/**
+ * User#getStats or user.carbonFootprint in the unit system, with its unit
+ * label. Percentages and dates are left as they are.
+ */
+export const formatUserFootprint = (footprint, system) => {
+  if (!footprint) return footprint;
+  const source = footprint.toObject?.() ?? footprint;
+  const formatted = { ...source, unit: DISPLAY_UNITS[system].emissions };
+  USER_EMISSION_FIELDS
+    .filter(field => isNumber(source[field]))
+    .forEach(field => {
+      formatted[field] = emissionsValue(source[field], system);
+    });
+  return formatted;
+};